@@ -4,6 +4,29 @@ const mongoose = require('mongoose');
 
 const mongoURI = process.env.MONGO_URI || process.env.MONGODB_URI;
 
+// Indexes removed from the schemas, which MongoDB keeps until they are dropped.
+// Invoice and note numbers were unique across all businesses; they are now unique per business.
+const LEGACY_INDEXES = [
+  { model: 'Invoice', index: 'invoiceNumber_1' },
+  { model: 'CreditDebitNote', index: 'noteNumber_1' }
+];
+
+// Drop legacy indexes that are still there
+const dropLegacyIndexes = async () => {
+  for (const { model, index } of LEGACY_INDEXES) {
+    const collection = require(`../models/${model}`).collection;
+    try {
+      await collection.dropIndex(index);
+      console.log(`Dropped legacy index ${index} on ${collection.collectionName}`);
+    } catch (error) {
+      // NamespaceNotFound / IndexNotFound: nothing to drop
+      if (![26, 27].includes(error.code)) {
+        console.error(`Failed to drop legacy index ${index}:`, error.message);
+      }
+    }
+  }
+};
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
@@ -18,6 +41,7 @@ const connectDB = async () => {
     });
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    await dropLegacyIndexes();
     return conn;
   } catch (error) {
     console.error('MongoDB connection error:', error.message);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Account customers pay into, printed on invoices
+const bankDetailsSchema = new mongoose.Schema({
+  accountName: String,
+  bankName: String,
+  accountNumber: {
+    type: String,
+    trim: true
+  },
+  ifsc: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  branch: String
+}, { _id: false });
+
+// Uploaded image (PNG or JPEG)
+const imageSchema = new mongoose.Schema({
+  data: Buffer,
+  contentType: String
+}, { _id: false });
+
+const businessSettingsSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // How invoice grand totals are rounded to whole rupees
+  roundOff: {
+    type: String,
+    enum: ['nearest', 'up', 'none'],
+    default: 'nearest'
+  },
+  bankDetails: bankDetailsSchema,
+  // UPI address printed as a payment QR on invoices
+  upiVpa: {
+    type: String,
+    trim: true
+  },
+  // Invoice branding
+  template: {
+    type: String,
+    enum: ['classic', 'compact', 'modern'],
+    default: 'classic'
+  },
+  accentColor: {
+    type: String,
+    uppercase: true,
+    match: /^#[0-9A-F]{6}$/
+  },
+  logo: imageSchema,
+  signature: imageSchema,
+  // Printed on new invoices unless the invoice has its own terms
+  termsAndConditions: String,
+  footerText: String,
+  // Language of invoice PDFs: English, Hindi, or both side by side
+  invoiceLanguage: {
+    type: String,
+    enum: ['en', 'hi', 'bilingual'],
+    default: 'en'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BusinessSettings', businessSettingsSchema);
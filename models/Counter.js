@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  docType: {
+    type: String,
+    required: true
+  },
+  // Financial year label (e.g. 2026-27) for yearly series, 'all' otherwise
+  period: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: String,
+    default: ''
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Unique constraint so concurrent upserts land on a single counter
+counterSchema.index({ businessId: 1, docType: 1, period: 1, branch: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const batchAllocationSchema = require('./batchAllocationSchema');
+
+const noteItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  hsnCode: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  itemTotal: {
+    type: Number,
+    default: 0
+  },
+  itemGST: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  // Compensation cess: ad valorem rate and/or specific amount per unit
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  // Batches returned goods went back into
+  batches: [batchAllocationSchema]
+}, { _id: false });
+
+const creditDebitNoteSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  noteType: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  noteNumber: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['sales_return', 'rate_difference', 'discount', 'additional_charge', 'other'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  items: [noteItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  totalGST: {
+    type: Number,
+    default: 0
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  // Same place of supply as the original invoice
+  placeOfSupply: String,
+  grandTotal: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Whether returned quantities were added back to product stock
+  stockRestored: {
+    type: Boolean,
+    default: false
+  },
+  // Warehouse returned goods went back into: the one the invoice issued them from
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+creditDebitNoteSchema.index({ businessId: 1, date: -1 });
+creditDebitNoteSchema.index({ businessId: 1, noteType: 1 });
+creditDebitNoteSchema.index({ businessId: 1, noteNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('CreditDebitNote', creditDebitNoteSchema);
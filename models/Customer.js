@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { gstinSchemaPath } = require('../utils/gstinValidator');
 
 const customerSchema = new mongoose.Schema({
   businessId: {
@@ -20,10 +21,17 @@ const customerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  gstin: String,
+  // How supplies to this customer are taxed; see utils/gstTreatment
+  gstTreatment: {
+    type: String,
+    enum: ['registered', 'unregistered', 'composition', 'sez_with_payment', 'sez_without_payment', 'export', 'deemed_export']
+  },
+  gstin: gstinSchemaPath('gstin'),
   companyName: String,
   billingAddress: String,
   shippingAddress: String,
+  // State of the shipping address, when goods are delivered to another state
+  shippingState: String,
   state: String,
   pincode: String,
   bankName: String,
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const documentSeriesSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  docType: {
+    type: String,
+    required: true
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Tokens: {PREFIX}, {FY}, {FY_SHORT}, {YYYY}, {YY}, {MM}, {BRANCH}, {SEQ}
+  pattern: {
+    type: String,
+    default: '{PREFIX}/{FY}/{SEQ}'
+  },
+  padding: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 10
+  },
+  // Restart numbering from 1 on 1 April of every financial year
+  resetYearly: {
+    type: Boolean,
+    default: true
+  },
+  branch: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// One series per document type per business
+documentSeriesSchema.index({ businessId: 1, docType: 1 }, { unique: true });
+
+module.exports = mongoose.model('DocumentSeries', documentSeriesSchema);
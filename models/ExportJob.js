@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Bulk export run in the background; the finished file is kept on disk until it expires
+const exportJobSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice_pdfs'],
+    required: true
+  },
+  filters: {
+    startDate: Date,
+    endDate: Date,
+    status: [String],
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalCount: {
+    type: Number,
+    default: 0
+  },
+  processedCount: {
+    type: Number,
+    default: 0
+  },
+  fileName: String,
+  filePath: String,
+  fileSize: Number,
+  error: String,
+  completedAt: Date,
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ businessId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
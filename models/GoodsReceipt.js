@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  // Batch the goods were received in, for batch-tracked products
+  batchNumber: String,
+  manufacturingDate: Date,
+  expiryDate: Date
+}, { _id: false });
+
+// Goods receipt note (GRN): goods delivered against a purchase order, added to stock
+const goodsReceiptSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  grnNumber: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Supplier's delivery challan or invoice that came with the goods
+  supplierReference: String,
+  items: [goodsReceiptItemSchema],
+  // Warehouse the goods went into
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'cancelled'],
+    default: 'received'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+goodsReceiptSchema.index({ businessId: 1, grnNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const batchAllocationSchema = require('./batchAllocationSchema');
 
 const invoiceItemSchema = new mongoose.Schema({
   productId: {
@@ -7,6 +8,7 @@ const invoiceItemSchema = new mongoose.Schema({
     required: true
   },
   productName: String,
+  productNameHindi: String,
   hsnCode: String,
   quantity: {
     type: Number,
@@ -25,6 +27,33 @@ const invoiceItemSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // unitPrice already includes GST; taxable value is backed out of it
+  priceIncludesTax: {
+    type: Boolean,
+    default: false
+  },
+  // Line discount as a percentage or a flat amount
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // quantity × unitPrice, before discounts
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  // Line discount plus this line's share of the invoice discount
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Taxable value after discounts
   itemTotal: {
     type: Number,
     default: 0
@@ -32,7 +61,98 @@ const invoiceItemSchema = new mongoose.Schema({
   itemGST: {
     type: Number,
     default: 0
-  }
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  // Compensation cess: ad valorem rate and/or specific amount per unit
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  // Batches the quantity was issued from (FEFO), set when the invoice is finalized
+  batches: [batchAllocationSchema]
+}, { _id: false });
+
+// IRN details returned by the Invoice Registration Portal
+const einvoiceSchema = new mongoose.Schema({
+  irn: String,
+  ackNo: String,
+  ackDate: Date,
+  signedQRCode: String,
+  signedInvoice: String,
+  status: {
+    type: String,
+    enum: ['generated', 'cancelled']
+  },
+  cancelledAt: Date,
+  cancelReason: String,
+  cancelRemark: String
+}, { _id: false });
+
+// Goods movement details used for the e-way bill
+const transportSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['road', 'rail', 'air', 'ship']
+  },
+  distance: {
+    type: Number,
+    min: 0
+  },
+  transporterId: String,
+  transporterName: String,
+  vehicleNumber: String,
+  vehicleType: {
+    type: String,
+    enum: ['regular', 'odc'],
+    default: 'regular'
+  },
+  transportDocNumber: String,
+  transportDocDate: Date
+}, { _id: false });
+
+// Part-B (vehicle) updates made after the e-way bill was generated
+const vehicleUpdateSchema = new mongoose.Schema({
+  vehicleNumber: String,
+  transportDocNumber: String,
+  fromPlace: String,
+  fromState: String,
+  reasonCode: String,
+  reasonRemark: String,
+  updatedAt: Date,
+  validUpto: Date
+}, { _id: false });
+
+// E-way bill details returned by the e-way bill system
+const ewayBillSchema = new mongoose.Schema({
+  ewbNo: String,
+  ewbDate: Date,
+  validUpto: Date,
+  status: {
+    type: String,
+    enum: ['generated', 'cancelled']
+  },
+  vehicleUpdates: [vehicleUpdateSchema]
 }, { _id: false });
 
 const invoiceSchema = new mongoose.Schema({
@@ -50,9 +170,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   invoiceNumber: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
   },
   date: {
     type: Date,
@@ -62,6 +180,32 @@ const invoiceSchema = new mongoose.Schema({
   dueDate: Date,
   paymentTerms: String,
   items: [invoiceItemSchema],
+  // Invoice-wide tax-inclusive flag; when unset each line follows its product
+  pricesIncludeTax: Boolean,
+  // Invoice-level discount, applied after line discounts
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossTotal: {
+    type: Number,
+    default: 0
+  },
+  invoiceDiscount: {
+    type: Number,
+    default: 0
+  },
+  totalDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Taxable value after all discounts
   subtotal: {
     type: Number,
     default: 0
@@ -78,21 +222,70 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  cess: {
+    type: Number,
+    default: 0
+  },
   totalGST: {
     type: Number,
     default: 0
   },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  // Customer's GST treatment when the invoice was raised
+  gstTreatment: {
+    type: String,
+    enum: ['registered', 'unregistered', 'composition', 'sez_with_payment', 'sez_without_payment', 'export', 'deemed_export']
+  },
+  // Tax is payable by the recipient; it is shown but not included in grandTotal
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+  // Two-digit GST state code the supply is made to
+  placeOfSupply: String,
+  // Set when placeOfSupply was entered on the invoice rather than derived from the customer
+  placeOfSupplyOverridden: {
+    type: Boolean,
+    default: false
+  },
+  // Added to bring grandTotal to whole rupees (negative when rounded down)
+  roundOff: {
+    type: Number,
+    default: 0
+  },
   grandTotal: {
     type: Number,
     required: true,
     default: 0
   },
+  // Maintained from the payments allocated to this invoice
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['draft', 'pending', 'paid', 'overdue', 'cancelled'],
+    enum: ['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled'],
     default: 'draft'
   },
-  notes: String
+  // Warehouse the goods are issued from; returns on credit notes go back there
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  notes: String,
+  // Terms and conditions printed on the invoice; defaults to the business's terms
+  terms: String,
+  einvoice: einvoiceSchema,
+  transport: transportSchema,
+  ewayBill: ewayBillSchema
 }, {
   timestamps: true
 });
@@ -100,7 +293,8 @@ const invoiceSchema = new mongoose.Schema({
 // Index for faster queries
 invoiceSchema.index({ businessId: 1, date: -1 });
 invoiceSchema.index({ customerId: 1, date: -1 });
-invoiceSchema.index({ invoiceNumber: 1 });
+// Numbers are unique within a business's series
+invoiceSchema.index({ businessId: 1, invoiceNumber: 1 }, { unique: true });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
 
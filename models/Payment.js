@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const paymentAllocationSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'upi', 'bank_transfer', 'cheque'],
+    required: true
+  },
+  referenceNumber: String,
+  allocations: [paymentAllocationSchema],
+  // Part of the amount not yet allocated to any invoice (advance / on-account)
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+paymentSchema.index({ businessId: 1, date: -1 });
+paymentSchema.index({ 'allocations.invoiceId': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -22,6 +22,11 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price is MRP-style, with GST already included
+  priceIncludesTax: {
+    type: Boolean,
+    default: false
+  },
   purchasePrice: {
     type: Number,
     default: 0,
@@ -33,6 +38,17 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Compensation cess: ad valorem rate and/or specific amount per unit
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   stock: {
     type: Number,
     default: 0,
@@ -43,6 +59,11 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Stock is kept in batches with expiry dates (see models/ProductBatch)
+  trackBatches: {
+    type: Boolean,
+    default: false
+  },
   unit: {
     type: String,
     default: 'pcs',
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Stock of a batch-tracked product received under one batch number at one warehouse.
+// The product's stock is the total; batch quantities break it down by expiry.
+const productBatchSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Not set while the business has no warehouses
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  batchNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  manufacturingDate: Date,
+  expiryDate: Date,
+  // Quantity of the batch still in stock
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total quantity ever received into the batch
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+productBatchSchema.index({ businessId: 1, productId: 1, warehouseId: 1, batchNumber: 1 }, { unique: true });
+productBatchSchema.index({ businessId: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('ProductBatch', productBatchSchema);
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+const purchaseItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  hsnCode: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  // Rate charged by the supplier, before GST
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Taxable value after discounts
+  itemTotal: {
+    type: Number,
+    default: 0
+  },
+  itemGST: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  // Batch the goods were received in, for batch-tracked products
+  batchNumber: String,
+  manufacturingDate: Date,
+  expiryDate: Date
+}, { _id: false });
+
+// A supplier's bill for goods received. Tax on it is input tax credit (ITC)
+// unless the bill is marked ineligible.
+const purchaseBillSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  // Purchase order the bill was raised against, if any
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    index: true
+  },
+  // The supplier's own invoice number
+  billNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  billDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  dueDate: Date,
+  // Supplier's GSTIN as printed on the bill
+  supplierGstin: String,
+  items: [purchaseItemSchema],
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossTotal: {
+    type: Number,
+    default: 0
+  },
+  totalDiscount: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  totalGST: {
+    type: Number,
+    default: 0
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  // Business's own state code, where the goods are received
+  placeOfSupply: String,
+  // Tax is paid by the business rather than charged by the supplier
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+  // False for blocked credits (section 17(5)); the tax then becomes part of cost
+  itcEligible: {
+    type: Boolean,
+    default: true
+  },
+  // Round-off as printed on the supplier's bill
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Warehouse the goods went into
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Whether the bill added its goods to stock; goods received on a GRN are already in
+  stockUpdated: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['recorded', 'cancelled'],
+    default: 'recorded'
+  },
+  cancelledAt: Date,
+  cancelReason: String,
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseBillSchema.index({ businessId: 1, billDate: -1 });
+purchaseBillSchema.index({ businessId: 1, supplierId: 1, billNumber: 1 });
+
+module.exports = mongoose.model('PurchaseBill', purchaseBillSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  hsnCode: String,
+  // Quantity ordered
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  gstRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  itemTotal: {
+    type: Number,
+    default: 0
+  },
+  itemGST: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  // Received on goods receipt notes so far
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Received quantity already turned into purchase bills
+  billedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Order placed with a supplier. Goods arrive against it on goods receipt notes and
+// are then billed, so each line tracks ordered, received and billed quantities.
+const purchaseOrderSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true,
+    index: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  expectedDate: Date,
+  items: [purchaseOrderItemSchema],
+  discountType: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  grossTotal: {
+    type: Number,
+    default: 0
+  },
+  totalDiscount: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  cess: {
+    type: Number,
+    default: 0
+  },
+  totalGST: {
+    type: Number,
+    default: 0
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  // Business's own state code, where the goods are delivered
+  placeOfSupply: String,
+  // Warehouse the goods are to be delivered to; receipts go there unless they name another
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  grandTotal: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Closed orders expect no further deliveries, even if lines are short
+  status: {
+    type: String,
+    enum: ['open', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  notes: String,
+  terms: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ businessId: 1, date: -1 });
+purchaseOrderSchema.index({ businessId: 1, poNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One change to a product's stock. Entries are written in the order stock changed,
+// so each balance follows from the one before it.
+const stockMovementSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  type: {
+    type: String,
+    enum: ['opening', 'purchase', 'sale', 'return', 'adjustment', 'wastage', 'transfer'],
+    required: true
+  },
+  // Positive for stock in, negative for stock out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Product stock after this movement
+  balance: {
+    type: Number,
+    required: true
+  },
+  // Warehouse the stock moved in or out of, once the business has warehouses
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Stock of the product at that warehouse after this movement
+  warehouseBalance: Number,
+  // Document that caused the movement
+  referenceType: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'purchase_bill', 'goods_receipt', 'stock_transfer', 'import', 'manual']
+  },
+  referenceId: mongoose.Schema.Types.ObjectId,
+  referenceNumber: String,
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ businessId: 1, productId: 1, date: 1 });
+stockMovementSchema.index({ referenceType: 1, referenceId: 1 });
+stockMovementSchema.index({ warehouseId: 1, productId: 1, date: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const batchAllocationSchema = require('./batchAllocationSchema');
+
+const transferItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: String,
+  // Batches of a batch-tracked product taken from the source warehouse
+  batches: [batchAllocationSchema]
+}, { _id: false });
+
+// Stock moved from one warehouse to another; the business's total stock is unchanged
+const stockTransferSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  transferNumber: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  fromWarehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  toWarehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  items: [transferItemSchema],
+  status: {
+    type: String,
+    enum: ['completed', 'cancelled'],
+    default: 'completed'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ businessId: 1, transferNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { gstinSchemaPath } = require('../utils/gstinValidator');
+
+const supplierSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+  // Whether the supplier charges GST; see utils/purchases
+  gstTreatment: {
+    type: String,
+    enum: ['registered', 'unregistered', 'composition']
+  },
+  gstin: gstinSchemaPath('gstin'),
+  companyName: String,
+  address: String,
+  state: String,
+  pincode: String,
+  bankName: String,
+  bankAccount: String,
+  bankIFSC: String,
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ businessId: 1, name: 1 });
+supplierSchema.index({ businessId: 1, gstin: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { gstinSchemaPath } = require('../utils/gstinValidator');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -25,13 +26,13 @@ const userSchema = new mongoose.Schema({
   },
   // Business owner fields
   businessName: String,
-  gstNumber: String,
+  gstNumber: gstinSchemaPath('gstNumber'),
   address: String,
   state: String,
   phone: String,
   // Customer fields
   companyName: String,
-  gstin: String,
+  gstin: gstinSchemaPath('gstin'),
   pincode: String,
   businessId: {
     type: mongoose.Schema.Types.ObjectId,
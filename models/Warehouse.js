@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A location stock is kept at: the shop, a godown, etc. Once a business has
+// warehouses, every stock movement belongs to one of them.
+const warehouseSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  address: String,
+  state: String,
+  pincode: String,
+  // Stock movements that do not name a warehouse use the default one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ businessId: 1, name: 1 }, { unique: true });
+// A business has at most one default warehouse
+warehouseSchema.index({ businessId: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+module.exports = mongoose.model('Warehouse', warehouseSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Stock of a product at one warehouse; a product's stock is the total over its warehouses
+const warehouseStockSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  // Low-stock level at this warehouse; the product's minStock applies when unset
+  minStock: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+warehouseStockSchema.index({ warehouseId: 1, productId: 1 }, { unique: true });
+warehouseStockSchema.index({ businessId: 1, productId: 1 });
+
+module.exports = mongoose.model('WarehouseStock', warehouseStockSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Stock issued or returned from one batch of a batch-tracked product; a line
+// sub-document of invoices, credit notes and stock transfers rather than a model of its own
+const batchAllocationSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductBatch'
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: Number
+}, { _id: false });
+
+module.exports = batchAllocationSchema;
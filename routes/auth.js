@@ -2,16 +2,22 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { requireAuth, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { validateGSTIN } = require('../utils/gstinValidator');
 
 // Register - Admin/Business Owner
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name, businessName, gstNumber, address, state, phone } = req.body;
+    const { email, password, name, businessName, gstNumber, address, state, pincode, phone } = req.body;
 
     if (!email || !password || !name || !businessName || !gstNumber) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const gstinError = validateGSTIN(gstNumber);
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -28,6 +34,7 @@ router.post('/register', async (req, res) => {
       gstNumber,
       address,
       state,
+      pincode,
       phone
     });
 
@@ -65,6 +72,11 @@ router.post('/register/customer', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    const gstinError = gstin ? validateGSTIN(gstin) : null;
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ error: 'User already exists' });
@@ -0,0 +1,352 @@
+const express = require('express');
+const router = express.Router();
+const CreditDebitNote = require('../models/CreditDebitNote');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const { requireAdmin } = require('../middleware/auth');
+const { calculateInvoiceTotals, round2 } = require('../utils/gstCalculator');
+const {
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  validateNextDocumentNumber
+} = require('../utils/numberSeries');
+const { getBusinessStateCode, resolvePlaceOfSupply } = require('../utils/gstStates');
+const { recordStockMovement } = require('../utils/stockLedger');
+const { returnToBatches, removeFromBatches } = require('../utils/batches');
+const { resolveWarehouse, findStockShortfall } = require('../utils/warehouses');
+const { refreshInvoicePayments, getCreditedAmount } = require('../utils/invoicePayments');
+
+// Taxable price per unit actually charged on an invoice line, after discounts and
+// with GST backed out of tax-inclusive prices
+const effectiveUnitPrice = (line) => ((line.discountAmount > 0 || line.priceIncludesTax) && line.quantity > 0
+  ? line.itemTotal / line.quantity
+  : line.unitPrice);
+
+const NOTE_REASONS = {
+  credit: ['sales_return', 'rate_difference', 'discount', 'other'],
+  debit: ['rate_difference', 'additional_charge', 'other']
+};
+
+// Create credit/debit note against an invoice
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { invoiceId, noteType, reason, items, date, notes, restock, branch } = req.body;
+
+    if (!invoiceId || !items || items.length === 0) {
+      return res.status(400).json({ error: 'Invoice ID and items required' });
+    }
+
+    if (!NOTE_REASONS[noteType]) {
+      return res.status(400).json({ error: 'Note type must be credit or debit' });
+    }
+
+    if (!NOTE_REASONS[noteType].includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason for ${noteType} note. Use one of: ${NOTE_REASONS[noteType].join(', ')}` });
+    }
+
+    if (items.some(item => !(Number(item.quantity) > 0))) {
+      return res.status(400).json({ error: 'Quantity must be greater than 0' });
+    }
+
+    const invoice = await Invoice.findOne({ _id: invoiceId, businessId: req.user.businessId });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot issue a note against a ${invoice.status} invoice` });
+    }
+
+    const business = await User.findById(req.user.businessId);
+    const customer = await Customer.findById(invoice.customerId);
+
+    if (!business || !customer) {
+      return res.status(404).json({ error: 'Business or customer not found' });
+    }
+
+    const isSalesReturn = noteType === 'credit' && reason === 'sales_return';
+
+    // Quantities already returned on earlier credit notes for this invoice, by product and by batch
+    const returnedQuantities = {};
+    const returnedBatchQuantities = {};
+    if (isSalesReturn) {
+      const previousReturns = await CreditDebitNote.find({
+        invoiceId: invoice._id,
+        noteType: 'credit',
+        reason: 'sales_return',
+        status: 'issued'
+      });
+      previousReturns.forEach(note => {
+        note.items.forEach(item => {
+          const key = item.productId.toString();
+          returnedQuantities[key] = (returnedQuantities[key] || 0) + item.quantity;
+          (item.batches || []).forEach(batch => {
+            const batchKey = batch.batchId.toString();
+            returnedBatchQuantities[batchKey] = (returnedBatchQuantities[batchKey] || 0) + batch.quantity;
+          });
+        });
+      });
+    }
+
+    // Fill line details from the original invoice line, falling back to the product.
+    // A product may be on several lines, so returns are checked against the totals for it.
+    const itemsWithDetails = [];
+    const requestedQuantities = {};
+    for (const item of items) {
+      const key = String(item.productId);
+      const invoiceLine = invoice.items.find(line => line.productId.toString() === key);
+
+      if (isSalesReturn) {
+        if (!invoiceLine) {
+          return res.status(400).json({ error: `Product ${item.productId} is not on invoice ${invoice.invoiceNumber}` });
+        }
+        const invoicedQuantity = invoice.items
+          .filter(line => line.productId.toString() === key)
+          .reduce((sum, line) => sum + line.quantity, 0);
+        const returnable = invoicedQuantity - (returnedQuantities[key] || 0);
+        requestedQuantities[key] = (requestedQuantities[key] || 0) + Number(item.quantity);
+        if (requestedQuantities[key] > returnable) {
+          return res.status(400).json({
+            error: `Return quantity for ${invoiceLine.productName || 'item'} exceeds the ${returnable} still returnable`
+          });
+        }
+      }
+
+      const product = invoiceLine ? null : await Product.findOne({ _id: item.productId, businessId: req.user.businessId });
+      const source = invoiceLine || product;
+      if (!source) {
+        return res.status(400).json({ error: `Product ${item.productId} not found` });
+      }
+
+      itemsWithDetails.push({
+        productId: item.productId,
+        quantity: Number(item.quantity),
+        unitPrice: item.unitPrice !== undefined ? item.unitPrice : (invoiceLine ? effectiveUnitPrice(invoiceLine) : product.price),
+        gstRate: source.gstRate || 0,
+        cessRate: source.cessRate || 0,
+        cessPerUnit: source.cessPerUnit || 0,
+        hsnCode: source.hsnCode,
+        unit: source.unit,
+        productName: invoiceLine ? invoiceLine.productName : product.name
+      });
+    }
+
+    // Notes follow the original invoice's place of supply
+    const businessStateCode = getBusinessStateCode(business);
+    const placeOfSupplyCode = invoice.placeOfSupply || resolvePlaceOfSupply(customer) || businessStateCode;
+
+    // Notes also take the invoice's GST treatment: export and SEZ supplies under LUT carry
+    // no tax, and on reverse charge the tax is the customer's to pay
+    const totals = calculateInvoiceTotals(
+      itemsWithDetails,
+      placeOfSupplyCode,
+      businessStateCode,
+      { gstTreatment: invoice.gstTreatment, reverseCharge: invoice.reverseCharge }
+    );
+
+    // Credit notes together cannot take back more than the invoice was raised for
+    if (noteType === 'credit') {
+      const creditable = round2(invoice.grandTotal - await getCreditedAmount(invoice._id));
+      if (totals.grandTotal > creditable) {
+        return res.status(400).json({
+          error: `Credit note of ${totals.grandTotal} exceeds the ${creditable} of invoice ${invoice.invoiceNumber} not yet credited`
+        });
+      }
+    }
+
+    // Credit and debit notes each have their own series
+    const noteDate = date || new Date().toISOString().split('T')[0];
+    const numberError = await validateNextDocumentNumber(req.user.businessId, `${noteType}_note`, { date: noteDate, branch });
+    if (numberError) {
+      return res.status(400).json({ error: numberError });
+    }
+
+    const numbering = await allocateDocumentNumber(req.user.businessId, `${noteType}_note`, {
+      date: noteDate,
+      branch
+    });
+
+    const stockRestored = isSalesReturn && restock !== false;
+
+    const note = await CreditDebitNote.create({
+      businessId: req.user.businessId,
+      customerId: invoice.customerId,
+      invoiceId: invoice._id,
+      noteType,
+      noteNumber: numbering.number,
+      reason,
+      date: noteDate,
+      items: totals.items,
+      subtotal: totals.subtotal,
+      cgst: totals.cgst,
+      sgst: totals.sgst,
+      igst: totals.igst,
+      cess: totals.cess,
+      totalGST: totals.totalGST,
+      isInterState: !totals.isSameState,
+      placeOfSupply: placeOfSupplyCode,
+      grandTotal: totals.grandTotal,
+      stockRestored,
+      warehouseId: stockRestored ? invoice.warehouseId : undefined,
+      status: 'issued',
+      notes
+    }).catch(async (error) => {
+      await releaseDocumentNumber(numbering);
+      throw error;
+    });
+
+    // Put returned goods back into stock, and into the batches they were sold from
+    if (stockRestored) {
+      for (const item of note.items) {
+        // Batches issued for the product, over every invoice line it is on
+        const issued = new Map();
+        invoice.items
+          .filter(line => line.productId.equals(item.productId))
+          .forEach(line => (line.batches || []).forEach(batch => {
+            const batchKey = batch.batchId.toString();
+            const earlier = issued.get(batchKey);
+            issued.set(batchKey, earlier
+              ? { ...earlier, quantity: earlier.quantity + batch.quantity }
+              : batch.toObject());
+          }));
+        if (issued.size > 0) {
+          const returnable = [...issued.values()]
+            .map(batch => ({ ...batch, quantity: batch.quantity - (returnedBatchQuantities[batch.batchId.toString()] || 0) }))
+            .filter(batch => batch.quantity > 0);
+          item.batches = await returnToBatches(returnable, item.quantity);
+          // Later lines for the same product go into what is left of the batches
+          item.batches.forEach(batch => {
+            const batchKey = batch.batchId.toString();
+            returnedBatchQuantities[batchKey] = (returnedBatchQuantities[batchKey] || 0) + batch.quantity;
+          });
+        }
+
+        await recordStockMovement({
+          businessId: req.user.businessId,
+          productId: item.productId,
+          type: 'return',
+          quantity: item.quantity,
+          warehouseId: note.warehouseId,
+          referenceType: 'credit_note',
+          referenceId: note._id,
+          referenceNumber: note.noteNumber,
+          userId: req.user.id
+        });
+      }
+      await note.save();
+    }
+
+    // Credit notes reduce what the customer owes on the invoice
+    if (noteType === 'credit') {
+      await refreshInvoicePayments(invoice._id);
+    }
+
+    res.status(201).json({ message: `${noteType === 'credit' ? 'Credit' : 'Debit'} note created`, note });
+  } catch (error) {
+    console.error('Create credit/debit note error:', error);
+    res.status(500).json({ error: 'Failed to create note' });
+  }
+});
+
+// Get all credit/debit notes
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { noteType, invoiceId, customerId } = req.query;
+    const query = { businessId: req.user.businessId };
+
+    if (noteType) {
+      query.noteType = noteType;
+    }
+    if (invoiceId) {
+      query.invoiceId = invoiceId;
+    }
+    if (customerId) {
+      query.customerId = customerId;
+    }
+
+    const notes = await CreditDebitNote.find(query)
+      .populate('customerId', 'name email phone companyName gstin state')
+      .populate('invoiceId', 'invoiceNumber date grandTotal')
+      .sort({ date: -1, createdAt: -1 });
+    res.json({ notes });
+  } catch (error) {
+    console.error('Get credit/debit notes error:', error);
+    res.status(500).json({ error: 'Failed to get notes' });
+  }
+});
+
+// Get credit/debit note by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const note = await CreditDebitNote.findOne({ _id: id, businessId: req.user.businessId })
+      .populate('customerId', 'name email phone companyName gstin state billingAddress')
+      .populate('invoiceId', 'invoiceNumber date grandTotal');
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.json({ note });
+  } catch (error) {
+    console.error('Get credit/debit note error:', error);
+    res.status(500).json({ error: 'Failed to get note' });
+  }
+});
+
+// Cancel credit/debit note (notes are never deleted, to keep the audit trail)
+router.patch('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const note = await CreditDebitNote.findOne({ _id: id, businessId: req.user.businessId });
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (note.status === 'cancelled') {
+      return res.status(400).json({ error: 'Note is already cancelled' });
+    }
+
+    // Take back the stock that the return added, which must still be at the warehouse it went into
+    if (note.stockRestored) {
+      const location = await resolveWarehouse(req.user.businessId, note.warehouseId);
+      const shortfall = location.error || await findStockShortfall(req.user.businessId, location.warehouse, note.items);
+      if (shortfall) {
+        return res.status(400).json({ error: `${shortfall}; the note cannot be cancelled` });
+      }
+
+      for (const item of note.items) {
+        await removeFromBatches(item.batches);
+        await recordStockMovement({
+          businessId: req.user.businessId,
+          productId: item.productId,
+          type: 'return',
+          quantity: -item.quantity,
+          warehouseId: note.warehouseId,
+          referenceType: 'credit_note',
+          referenceId: note._id,
+          referenceNumber: note.noteNumber,
+          reason: 'Credit note cancelled',
+          userId: req.user.id
+        });
+      }
+    }
+
+    note.status = 'cancelled';
+    await note.save();
+
+    if (note.noteType === 'credit') {
+      await refreshInvoicePayments(note.invoiceId);
+    }
+
+    res.json({ message: 'Note cancelled', note });
+  } catch (error) {
+    console.error('Cancel credit/debit note error:', error);
+    res.status(500).json({ error: 'Failed to cancel note' });
+  }
+});
+
+module.exports = router;
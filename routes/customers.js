@@ -3,6 +3,8 @@ const router = express.Router();
 const Customer = require('../models/Customer');
 const CustomerPricing = require('../models/CustomerPricing');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { validateGSTIN } = require('../utils/gstinValidator');
+const { validateGstTreatment } = require('../utils/gstTreatment');
 
 // Create customer
 router.post('/', requireAdmin, async (req, res) => {
@@ -12,9 +14,11 @@ router.post('/', requireAdmin, async (req, res) => {
       email,
       phone,
       gstin,
+      gstTreatment,
       companyName,
       billingAddress,
       shippingAddress,
+      shippingState,
       state,
       pincode,
       bankName,
@@ -31,15 +35,27 @@ router.post('/', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Name and phone are required' });
     }
 
+    const gstinError = gstin ? validateGSTIN(gstin) : null;
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
+    const treatmentError = validateGstTreatment(gstTreatment, gstin);
+    if (treatmentError) {
+      return res.status(400).json({ error: treatmentError });
+    }
+
     const customer = await Customer.create({
       businessId: req.user.businessId,
       name,
       email,
       phone,
       gstin,
+      gstTreatment,
       companyName,
       billingAddress,
       shippingAddress,
+      shippingState,
       state,
       pincode,
       bankName,
@@ -156,6 +172,26 @@ router.get('/:id', requireAuth, async (req, res) => {
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+
+    const gstinError = req.body.gstin ? validateGSTIN(req.body.gstin) : null;
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
+    // Check the treatment against the GSTIN the customer will end up with
+    if (req.body.gstTreatment !== undefined || req.body.gstin !== undefined) {
+      const existing = await Customer.findOne({ _id: id, businessId: req.user.businessId });
+      if (existing) {
+        const treatmentError = validateGstTreatment(
+          req.body.gstTreatment !== undefined ? req.body.gstTreatment : existing.gstTreatment,
+          req.body.gstin !== undefined ? req.body.gstin : existing.gstin
+        );
+        if (treatmentError) {
+          return res.status(400).json({ error: treatmentError });
+        }
+      }
+    }
+
     const customer = await Customer.findOneAndUpdate(
       { _id: id, businessId: req.user.businessId },
       req.body,
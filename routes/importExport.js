@@ -16,6 +16,20 @@ const upload = multer({
 const Product = require('../models/Product');
 const Customer = require('../models/Customer');
 const Invoice = require('../models/Invoice');
+const ExportJob = require('../models/ExportJob');
+const { validateGSTIN, normalizeGSTIN } = require('../utils/gstinValidator');
+const { recordOpeningStock } = require('../utils/stockLedger');
+const {
+  SYNC_EXPORT_LIMIT,
+  parseInvoiceExportFilters,
+  buildInvoiceExportQuery,
+  writeInvoicePdfZip,
+  removeExpiredExports,
+  runInvoicePdfExportJob
+} = require('../utils/invoiceExport');
+
+// Spreadsheet flags: Yes/Y/True/1 (Excel may also give a real boolean)
+const isYes = (value) => value === true || ['yes', 'y', 'true', '1'].includes(String(value || '').trim().toLowerCase());
 
 // Import products from CSV/Excel
 router.post('/import/products', requireAdmin, upload.single('file'), async (req, res) => {
@@ -76,8 +90,11 @@ router.post('/import/products', requireAdmin, upload.single('file'), async (req,
           sku: row.sku || row.SKU || `SKU-${baseTimestamp}-${index}-${Math.random().toString(36).substr(2, 5)}`,
           hsnCode: row.hsnCode || row['HSN Code'] || '',
           price: parseFloat(row.price || row.Price || 0),
+          priceIncludesTax: isYes(row.priceIncludesTax || row['Price Includes Tax']),
           purchasePrice: parseFloat(row.purchasePrice || row['Purchase Price'] || 0),
           gstRate: parseFloat(row.gstRate || row['GST Rate'] || 0),
+          cessRate: parseFloat(row.cessRate || row['Cess Rate'] || 0),
+          cessPerUnit: parseFloat(row.cessPerUnit || row['Cess Per Unit'] || 0),
           stock: parseFloat(row.stock || row.Stock || 0),
           minStock: parseFloat(row.minStock || row['Min Stock'] || 0),
           unit: row.unit || row.Unit || 'pcs',
@@ -130,8 +147,11 @@ router.post('/import/products', requireAdmin, upload.single('file'), async (req,
           sku: row.sku || row.SKU || `SKU-${baseTimestamp}-${index}-${Math.random().toString(36).substr(2, 5)}`,
           hsnCode: row.hsnCode || row['HSN Code'] || '',
           price: parseFloat(row.price || row.Price || 0),
+          priceIncludesTax: isYes(row.priceIncludesTax || row['Price Includes Tax']),
           purchasePrice: parseFloat(row.purchasePrice || row['Purchase Price'] || 0),
           gstRate: parseFloat(row.gstRate || row['GST Rate'] || 0),
+          cessRate: parseFloat(row.cessRate || row['Cess Rate'] || 0),
+          cessPerUnit: parseFloat(row.cessPerUnit || row['Cess Per Unit'] || 0),
           stock: parseFloat(row.stock || row.Stock || 0),
           minStock: parseFloat(row.minStock || row['Min Stock'] || 0),
           unit: row.unit || row.Unit || 'pcs',
@@ -160,6 +180,7 @@ router.post('/import/products', requireAdmin, upload.single('file'), async (req,
       businessId: req.user.businessId
     }));
     const result = await Product.insertMany(productsToInsert);
+    await recordOpeningStock(result, { referenceType: 'import', userId: req.user.id });
 
     res.json({
       message: 'Products imported successfully',
@@ -235,10 +256,28 @@ router.post('/import/customers', requireAdmin, upload.single('file'), async (req
 
     fs.unlinkSync(filePath);
 
-    const validCustomers = customers.filter(c => c.name && c.phone);
+    // Check each row; rows are numbered as in the spreadsheet (row 1 is the header)
+    const rowErrors = [];
+    const validCustomers = [];
+    customers.forEach((c, index) => {
+      const row = index + 2;
+      if (!c.name || !c.phone) {
+        rowErrors.push({ row, error: 'Name and phone are required' });
+        return;
+      }
+      if (c.gstin) {
+        const gstinError = validateGSTIN(c.gstin);
+        if (gstinError) {
+          rowErrors.push({ row, name: c.name, error: gstinError });
+          return;
+        }
+        c.gstin = normalizeGSTIN(c.gstin);
+      }
+      validCustomers.push(c);
+    });
     
     if (validCustomers.length === 0) {
-      return res.status(400).json({ error: 'No valid customers found in file' });
+      return res.status(400).json({ error: 'No valid customers found in file', errors: rowErrors });
     }
 
     const customersToInsert = validCustomers.map(c => ({
@@ -250,7 +289,8 @@ router.post('/import/customers', requireAdmin, upload.single('file'), async (req
     res.json({
       message: 'Customers imported successfully',
       imported: result.length,
-      total: customers.length
+      total: customers.length,
+      errors: rowErrors
     });
   } catch (error) {
     console.error('Import customers error:', error);
@@ -267,9 +307,9 @@ router.get('/export/products', requireAdmin, async (req, res) => {
     const products = await Product.find({ businessId: req.user.businessId });
     
     // Convert to CSV
-    const csvHeader = 'Name,SKU,HSN Code,Price,Purchase Price,GST Rate,Stock,Min Stock,Unit,Category\n';
+    const csvHeader = 'Name,SKU,HSN Code,Price,Price Includes Tax,Purchase Price,GST Rate,Cess Rate,Cess Per Unit,Stock,Min Stock,Unit,Category\n';
     const csvRows = products.map(p => 
-      `"${p.name}","${p.sku || ''}","${p.hsnCode || ''}",${p.price},${p.purchasePrice || 0},${p.gstRate},${p.stock},${p.minStock || 0},"${p.unit || 'pcs'}","${p.category || ''}"`
+      `"${p.name}","${p.sku || ''}","${p.hsnCode || ''}",${p.price},${p.priceIncludesTax ? 'Yes' : 'No'},${p.purchasePrice || 0},${p.gstRate},${p.cessRate || 0},${p.cessPerUnit || 0},${p.stock},${p.minStock || 0},"${p.unit || 'pcs'}","${p.category || ''}"`
     ).join('\n');
     
     const csv = csvHeader + csvRows;
@@ -316,9 +356,9 @@ router.get('/export/invoices', requireAdmin, async (req, res) => {
       .populate('customerId', 'name')
       .sort({ date: -1 });
     
-    const csvHeader = 'Invoice Number,Date,Customer,Subtotal,CGST,SGST,IGST,Grand Total,Status\n';
+    const csvHeader = 'Invoice Number,Date,Customer,Gross,Discount,Taxable Value,CGST,SGST,IGST,Cess,Round Off,Grand Total,Status\n';
     const csvRows = invoices.map(inv => 
-      `"${inv.invoiceNumber}","${inv.date}","${inv.customerId?.name || ''}",${inv.subtotal},${inv.cgst || 0},${inv.sgst || 0},${inv.igst || 0},${inv.grandTotal},"${inv.status}"`
+      `"${inv.invoiceNumber}","${inv.date}","${inv.customerId?.name || ''}",${inv.grossTotal || inv.subtotal},${inv.totalDiscount || 0},${inv.subtotal},${inv.cgst || 0},${inv.sgst || 0},${inv.igst || 0},${inv.cess || 0},${inv.roundOff || 0},${inv.grandTotal},"${inv.status}"`
     ).join('\n');
     
     const csv = csvHeader + csvRows;
@@ -332,5 +372,109 @@ router.get('/export/invoices', requireAdmin, async (req, res) => {
   }
 });
 
+// Export invoice PDFs as a ZIP with index.csv. Small ranges stream straight back;
+// larger ones (or ?background=true) start a job to poll and download later.
+router.get('/export/invoices/pdf', requireAdmin, async (req, res) => {
+  try {
+    const { filters, error } = parseInvoiceExportFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const query = buildInvoiceExportQuery(req.user.businessId, filters);
+    const count = await Invoice.countDocuments(query);
+    if (count === 0) {
+      return res.status(404).json({ error: 'No invoices match the filters' });
+    }
+
+    if (count > SYNC_EXPORT_LIMIT || req.query.background === 'true') {
+      await removeExpiredExports();
+      const job = await ExportJob.create({
+        businessId: req.user.businessId,
+        type: 'invoice_pdfs',
+        filters,
+        totalCount: count,
+        createdBy: req.user.id
+      });
+      setImmediate(() => runInvoicePdfExportJob(job._id));
+
+      return res.status(202).json({
+        message: `Exporting ${count} invoices in the background`,
+        job,
+        statusUrl: `/api/import-export/export/jobs/${job._id}`
+      });
+    }
+
+    const startDate = filters.startDate.toISOString().slice(0, 10);
+    const endDate = filters.endDate.toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=invoices-${startDate}-to-${endDate}.zip`);
+    await writeInvoicePdfZip(req.user.businessId, query, res);
+  } catch (error) {
+    console.error('Export invoice PDFs error:', error);
+    // Once the ZIP has started streaming the only option is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export invoice PDFs' });
+  }
+});
+
+// List recent export jobs
+router.get('/export/jobs', requireAdmin, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ businessId: req.user.businessId })
+      .select('-filePath')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get export jobs error:', error);
+    res.status(500).json({ error: 'Failed to get export jobs' });
+  }
+});
+
+// Get an export job's progress, with its download link once completed
+router.get('/export/jobs/:id', requireAdmin, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .select('-filePath');
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    res.json({
+      job,
+      downloadUrl: job.status === 'completed' ? `/api/import-export/export/jobs/${job._id}/download` : null
+    });
+  } catch (error) {
+    console.error('Get export job error:', error);
+    res.status(500).json({ error: 'Failed to get export job' });
+  }
+});
+
+// Download a completed export
+router.get('/export/jobs/:id/download', requireAdmin, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!job) {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Export is ${job.status}` });
+    }
+    if (!job.filePath || job.expiresAt < new Date() || !fs.existsSync(job.filePath)) {
+      return res.status(410).json({ error: 'Export has expired; start a new one' });
+    }
+
+    const startDate = job.filters.startDate.toISOString().slice(0, 10);
+    const endDate = job.filters.endDate.toISOString().slice(0, 10);
+    res.download(job.filePath, `invoices-${startDate}-to-${endDate}.zip`);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
 module.exports = router;
 
@@ -5,18 +5,92 @@ const User = require('../models/User');
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const { requireAuth, requireAdmin, requireCustomer } = require('../middleware/auth');
-const { calculateInvoiceTotals, generateInvoiceNumber } = require('../utils/gstCalculator');
-const { generateInvoicePDF } = require('../utils/pdfGenerator');
+const { calculateInvoiceTotals, validateDiscount } = require('../utils/gstCalculator');
+const {
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  validateNextDocumentNumber
+} = require('../utils/numberSeries');
+const { PDF_CUSTOMER_FIELDS, loadInvoicePdfContext, getInvoicePdfFileName, renderInvoicePDF } = require('../utils/invoicePdf');
+const { RECEIPT_WIDTHS, generateReceiptPDF, generateReceiptEscPos } = require('../utils/receiptGenerator');
+const { refreshInvoicePayments } = require('../utils/invoicePayments');
+const { validateEInvoiceData, buildEInvoicePayload, canCancelIrn, IRN_CANCEL_REASONS, IRN_CANCEL_WINDOW_HOURS } = require('../utils/einvoice');
+const { getIrpClient } = require('../utils/irpClient');
+const {
+  EWAY_BILL_THRESHOLD,
+  VEHICLE_UPDATE_REASONS,
+  normalizeVehicleNumber,
+  validateTransport,
+  validateEwayBillData,
+  buildEwayBillPayload
+} = require('../utils/ewayBill');
+const { getEwbClient } = require('../utils/ewbClient');
+const { getStateCode, getStateName, getBusinessStateCode, resolvePlaceOfSupply } = require('../utils/gstStates');
+const {
+  EXPORT_PLACE_OF_SUPPLY,
+  getCustomerGstTreatment,
+  getDocumentTitle,
+  getTreatmentDeclaration
+} = require('../utils/gstTreatment');
+const { getBusinessSettings } = require('../utils/businessSettings');
+const { getInvoiceUpiPayment, generateUpiQR } = require('../utils/upi');
+const { recordStockMovement } = require('../utils/stockLedger');
+const { allocateInvoiceBatches, releaseInvoiceBatches } = require('../utils/batches');
+const { resolveWarehouse, findStockShortfall } = require('../utils/warehouses');
+
+// Check line and invoice discounts; returns the first error found
+const findDiscountError = (items, discountType, discountValue) => {
+  for (const item of items || []) {
+    const error = validateDiscount(item.discountType, item.discountValue);
+    if (error) return `${item.name || item.productName || 'Line'}: ${error}`;
+  }
+  return validateDiscount(discountType, discountValue);
+};
+
+/**
+ * Fill invoice lines from their products: tax rates, HSN code, names and pricing mode
+ * @param {Array} items - Lines from the request
+ * @param {boolean} pricesIncludeTax - Invoice-wide pricing mode (optional)
+ * @returns {Promise<Array>} - Lines ready for calculateInvoiceTotals
+ */
+const getInvoiceItemDetails = (items, pricesIncludeTax) => Promise.all(items.map(async (item) => {
+  const product = await Product.findById(item.productId);
+  // Line flag, else the invoice-wide flag, else the product's own pricing mode
+  const priceIncludesTax = [item.priceIncludesTax, pricesIncludeTax, product && product.priceIncludesTax]
+    .find(flag => flag !== undefined && flag !== null);
+  return {
+    ...item,
+    priceIncludesTax: !!priceIncludesTax,
+    gstRate: product ? product.gstRate : item.gstRate || 0,
+    cessRate: product ? product.cessRate : item.cessRate || 0,
+    cessPerUnit: product ? product.cessPerUnit : item.cessPerUnit || 0,
+    hsnCode: product ? product.hsnCode : item.hsnCode,
+    productName: product ? product.name : item.name,
+    productNameHindi: product ? product.nameHindi : item.nameHindi
+  };
+}));
 
 // Create invoice
 router.post('/', requireAdmin, async (req, res) => {
   try {
-    const { customerId, items, date, dueDate, paymentTerms, notes } = req.body;
+    const {
+      customerId, items, date, dueDate, paymentTerms, notes, terms, branch,
+      discountType, discountValue, pricesIncludeTax, placeOfSupply, reverseCharge, warehouseId
+    } = req.body;
 
     if (!customerId || !items || items.length === 0) {
       return res.status(400).json({ error: 'Customer ID and items required' });
     }
 
+    if (placeOfSupply && !getStateCode(placeOfSupply)) {
+      return res.status(400).json({ error: `Unknown place of supply "${placeOfSupply}"` });
+    }
+
+    const discountError = findDiscountError(items, discountType, discountValue);
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
+    }
+
     // Get business and customer details for GST calculation
     const business = await User.findById(req.user.businessId);
     const customer = await Customer.findById(customerId);
@@ -25,45 +99,82 @@ router.post('/', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Business or customer not found' });
     }
 
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
     // Get product details for items
-    const itemsWithDetails = await Promise.all(items.map(async (item) => {
-      const product = await Product.findById(item.productId);
-      return {
-        ...item,
-        gstRate: product ? product.gstRate : item.gstRate || 0,
-        hsnCode: product ? product.hsnCode : item.hsnCode,
-        productName: product ? product.name : item.name
-      };
-    }));
-
-    // Calculate invoice totals with GST
+    const itemsWithDetails = await getInvoiceItemDetails(items, pricesIncludeTax);
+
+    // Without an explicit invoice discount, the customer's default discount applies
+    const invoiceDiscount = discountValue !== undefined && discountValue !== null && discountValue !== ''
+      ? { discountType: discountType || 'percentage', discountValue: Number(discountValue) }
+      : { discountType: 'percentage', discountValue: customer.discountPercentage || 0 };
+
+    // Unknown place of supply falls back to the supplier's own state; exports go outside India
+    const gstTreatment = getCustomerGstTreatment(customer);
+    const businessStateCode = getBusinessStateCode(business);
+    const placeOfSupplyCode = resolvePlaceOfSupply(customer, placeOfSupply) ||
+      (gstTreatment === 'export' ? EXPORT_PLACE_OF_SUPPLY : businessStateCode);
+
+    // Calculate invoice totals with GST, rounded as the business has configured
+    const settings = await getBusinessSettings(req.user.businessId);
     const totals = calculateInvoiceTotals(
       itemsWithDetails,
-      customer.state,
-      business.state
+      placeOfSupplyCode,
+      businessStateCode,
+      { ...invoiceDiscount, gstTreatment, reverseCharge: !!reverseCharge, roundOff: settings.roundOff }
     );
 
-    // Generate invoice number
-    const invoiceCount = await Invoice.countDocuments({ businessId: req.user.businessId });
-    const invoiceNumber = generateInvoiceNumber(req.user.businessId, invoiceCount);
+    // Take the next number from the business's invoice series
+    const invoiceDate = date || new Date().toISOString().split('T')[0];
+    const numberError = await validateNextDocumentNumber(req.user.businessId, 'invoice', { date: invoiceDate, branch });
+    if (numberError) {
+      return res.status(400).json({ error: numberError });
+    }
+
+    const numbering = await allocateDocumentNumber(req.user.businessId, 'invoice', {
+      date: invoiceDate,
+      branch
+    });
 
     // Create invoice
     const invoice = await Invoice.create({
       businessId: req.user.businessId,
       customerId,
-      invoiceNumber,
-      date: date || new Date().toISOString().split('T')[0],
+      invoiceNumber: numbering.number,
+      date: invoiceDate,
       dueDate,
       paymentTerms,
       items: totals.items,
+      pricesIncludeTax,
+      discountType: invoiceDiscount.discountType,
+      discountValue: invoiceDiscount.discountValue,
+      grossTotal: totals.grossTotal,
+      invoiceDiscount: totals.invoiceDiscount,
+      totalDiscount: totals.totalDiscount,
       subtotal: totals.subtotal,
       cgst: totals.cgst,
       sgst: totals.sgst,
       igst: totals.igst,
+      cess: totals.cess,
       totalGST: totals.totalGST,
+      isInterState: !totals.isSameState,
+      gstTreatment,
+      reverseCharge: !!reverseCharge,
+      placeOfSupply: placeOfSupplyCode,
+      placeOfSupplyOverridden: !!placeOfSupply,
+      roundOff: totals.roundOff,
       grandTotal: totals.grandTotal,
+      balanceDue: totals.grandTotal,
       status: 'draft',
-      notes
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      notes,
+      terms: terms !== undefined ? terms : settings.termsAndConditions
+    }).catch(async (error) => {
+      await releaseDocumentNumber(numbering);
+      throw error;
     });
 
     res.status(201).json({ message: 'Invoice created', invoice });
@@ -119,40 +230,134 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Fields PUT /:id takes from the request; totals are worked out from them
+const EDITABLE_FIELDS = [
+  'items', 'customerId', 'date', 'dueDate', 'paymentTerms', 'notes', 'terms',
+  'discountType', 'discountValue', 'pricesIncludeTax', 'placeOfSupply', 'reverseCharge', 'warehouseId'
+];
+
+// Fields only the invoice's own workflow writes: status and payments through their
+// endpoints, IRN and e-way bill details through the IRP endpoints, the number from
+// the series, batches when the invoice is finalized
+const PROTECTED_FIELDS = ['status', 'amountPaid', 'balanceDue', 'einvoice', 'ewayBill', 'invoiceNumber'];
+
 // Update invoice
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { items, customerId, date, dueDate, notes } = req.body;
+    const {
+      items, customerId, date, dueDate, notes,
+      discountType, discountValue, pricesIncludeTax, placeOfSupply, reverseCharge
+    } = req.body;
+
+    const protectedField = PROTECTED_FIELDS.find(field => req.body[field] !== undefined);
+    if (protectedField) {
+      return res.status(400).json({ error: `${protectedField} cannot be changed by editing the invoice` });
+    }
+    if (Array.isArray(items) && items.some(item => item && item.batches !== undefined)) {
+      return res.status(400).json({ error: 'Batches are issued when the invoice is finalized and cannot be set' });
+    }
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    // An invoice registered on the IRP can only be cancelled, not edited
+    const existing = await Invoice.findOne({ _id: id, businessId: req.user.businessId });
+    if (existing && existing.einvoice && existing.einvoice.status === 'generated') {
+      return res.status(400).json({ error: 'Invoice has an active IRN and cannot be edited. Cancel the IRN first.' });
+    }
+
+    const discountError = findDiscountError(items, discountType, discountValue);
+    if (discountError) {
+      return res.status(400).json({ error: discountError });
+    }
+
+    if (placeOfSupply && !getStateCode(placeOfSupply)) {
+      return res.status(400).json({ error: `Unknown place of supply "${placeOfSupply}"` });
+    }
+
+    // Once finalized, stock (and batches) have been issued for the lines as they are
+    if (items && existing && existing.status !== 'draft') {
+      return res.status(400).json({ error: 'Items can only be changed while the invoice is a draft' });
+    }
+
+    // Stock leaves the warehouse when the invoice is finalized, so it is fixed from then on
+    if (req.body.warehouseId && existing) {
+      if (existing.status !== 'draft' && String(existing.warehouseId) !== String(req.body.warehouseId)) {
+        return res.status(400).json({ error: 'Warehouse can only be changed while the invoice is a draft' });
+      }
+      const location = await resolveWarehouse(req.user.businessId, req.body.warehouseId);
+      if (location.error) {
+        return res.status(400).json({ error: location.error });
+      }
+    }
 
-    // If items are updated, recalculate totals
-    if (items) {
+    // If anything the tax depends on is updated, recalculate totals
+    const recalculate = !!items || !!customerId || discountValue !== undefined ||
+      pricesIncludeTax !== undefined || placeOfSupply !== undefined || reverseCharge !== undefined;
+    if (recalculate && existing) {
       const business = await User.findById(req.user.businessId);
-      const customer = await Customer.findById(customerId || req.body.customerId);
+      const customer = await Customer.findById(customerId || existing.customerId);
       
       if (business && customer) {
+        const invoiceDiscount = {
+          discountType: discountType || existing.discountType,
+          discountValue: discountValue !== undefined ? Number(discountValue) : existing.discountValue
+        };
+        // An invoice-wide pricing mode applies to every line that doesn't set its own
+        const invoiceMode = pricesIncludeTax !== undefined ? pricesIncludeTax : existing.pricesIncludeTax;
+        const linesWithMode = items
+          ? await getInvoiceItemDetails(items, invoiceMode)
+          : existing.items.map(item => {
+            const line = item.toObject();
+            return pricesIncludeTax !== undefined ? { ...line, priceIncludesTax: pricesIncludeTax } : line;
+          });
+
+        // An empty placeOfSupply clears the override; otherwise an earlier override is kept
+        const override = placeOfSupply !== undefined
+          ? placeOfSupply
+          : (existing.placeOfSupplyOverridden ? existing.placeOfSupply : null);
+        const gstTreatment = getCustomerGstTreatment(customer);
+        const businessStateCode = getBusinessStateCode(business);
+        const placeOfSupplyCode = resolvePlaceOfSupply(customer, override) ||
+          (gstTreatment === 'export' ? EXPORT_PLACE_OF_SUPPLY : businessStateCode);
+        const isReverseCharge = reverseCharge !== undefined ? !!reverseCharge : existing.reverseCharge;
+        const settings = await getBusinessSettings(req.user.businessId);
+
         const totals = calculateInvoiceTotals(
-          items,
-          customer.state,
-          business.state
+          linesWithMode,
+          placeOfSupplyCode,
+          businessStateCode,
+          { ...invoiceDiscount, gstTreatment, reverseCharge: isReverseCharge, roundOff: settings.roundOff }
         );
 
-        req.body = {
-          ...req.body,
+        Object.assign(updates, {
+          ...invoiceDiscount,
+          gstTreatment,
+          reverseCharge: isReverseCharge,
+          placeOfSupply: placeOfSupplyCode,
+          placeOfSupplyOverridden: !!override,
           items: totals.items,
+          grossTotal: totals.grossTotal,
+          invoiceDiscount: totals.invoiceDiscount,
+          totalDiscount: totals.totalDiscount,
           subtotal: totals.subtotal,
           cgst: totals.cgst,
           sgst: totals.sgst,
           igst: totals.igst,
+          cess: totals.cess,
           totalGST: totals.totalGST,
+          isInterState: !totals.isSameState,
+          roundOff: totals.roundOff,
           grandTotal: totals.grandTotal
-        };
+        });
       }
     }
 
     const invoice = await Invoice.findOneAndUpdate(
       { _id: id, businessId: req.user.businessId },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
     
@@ -160,6 +365,12 @@ router.put('/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    // Grand total may have changed, so re-derive the balance due
+    if (recalculate) {
+      const refreshed = await refreshInvoicePayments(invoice._id);
+      return res.json({ message: 'Invoice updated', invoice: refreshed });
+    }
+
     res.json({ message: 'Invoice updated', invoice });
   } catch (error) {
     console.error('Update invoice error:', error);
@@ -167,31 +378,116 @@ router.put('/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// Issue the stock of an invoice just claimed from draft: the stock must be at the
+// invoice's warehouse, batch-tracked products come out of their earliest-expiring
+// batches, then every line is recorded as a sale. When that cannot be done in full,
+// everything issued is put back and the invoice returns to draft.
+// Returns an error message when the stock is not there, or null.
+const finalizeInvoiceStock = async (invoice, userId) => {
+  const sold = [];
+  const restoreDraft = async () => {
+    for (const item of sold) {
+      await recordStockMovement({
+        businessId: invoice.businessId,
+        productId: item.productId,
+        type: 'sale',
+        quantity: item.quantity,
+        warehouseId: invoice.warehouseId,
+        referenceType: 'invoice',
+        referenceId: invoice._id,
+        referenceNumber: invoice.invoiceNumber,
+        reason: 'Invoice finalization failed',
+        userId
+      });
+    }
+    await releaseInvoiceBatches(invoice);
+    invoice.status = 'draft';
+    await invoice.save();
+  };
+
+  try {
+    const location = await resolveWarehouse(invoice.businessId, invoice.warehouseId);
+    const shortfall = location.error || await findStockShortfall(invoice.businessId, location.warehouse, invoice.items);
+    if (shortfall) {
+      await restoreDraft();
+      return shortfall;
+    }
+
+    const batchError = await allocateInvoiceBatches(invoice);
+    if (batchError) {
+      await restoreDraft();
+      return batchError;
+    }
+    await invoice.save();
+
+    // Deduct stock for each item
+    for (const item of invoice.items) {
+      await recordStockMovement({
+        businessId: invoice.businessId,
+        productId: item.productId,
+        type: 'sale',
+        quantity: -item.quantity,
+        warehouseId: invoice.warehouseId,
+        referenceType: 'invoice',
+        referenceId: invoice._id,
+        referenceNumber: invoice.invoiceNumber,
+        userId
+      });
+      sold.push(item);
+    }
+  } catch (error) {
+    await restoreDraft();
+    throw error;
+  }
+  return null;
+};
+
 // Update invoice status
 router.patch('/:id/status', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['draft', 'pending', 'paid', 'overdue', 'cancelled'];
+    const validStatuses = ['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
+    // Paid and partially paid follow from the payments allocated to the invoice
+    if (['partially_paid', 'paid'].includes(status)) {
+      return res.status(400).json({ error: 'Record a payment against the invoice to mark it paid' });
+    }
 
     const invoice = await Invoice.findOne({ _id: id, businessId: req.user.businessId });
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    // If invoice is finalized (status changed from draft to pending/paid), update stock
-    if (invoice.status === 'draft' && (status === 'pending' || status === 'paid')) {
-      // Deduct stock for each item
-      for (const item of invoice.items) {
-        await Product.findByIdAndUpdate(
-          item.productId,
-          { $inc: { stock: -item.quantity } }
-        );
+    if (status === 'cancelled' && invoice.einvoice && invoice.einvoice.status === 'generated') {
+      return res.status(400).json({ error: 'Invoice has an active IRN. Cancel it through the e-invoice cancellation instead.' });
+    }
+
+    // A finalized invoice has issued its stock; going back to draft would let it issue it again
+    if (status === 'draft' && invoice.status !== 'draft') {
+      return res.status(400).json({ error: 'A finalized invoice cannot go back to draft' });
+    }
+
+    // If invoice is finalized (status changed from draft to pending), update stock
+    if (invoice.status === 'draft' && status === 'pending') {
+      // Claim the draft first, so two requests cannot both finalize it and issue its stock twice
+      const claimed = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, status: 'draft' },
+        { status },
+        { new: true }
+      );
+      if (!claimed) {
+        return res.status(400).json({ error: 'Invoice has already been finalized' });
       }
+
+      const stockError = await finalizeInvoiceStock(claimed, req.user.id);
+      if (stockError) {
+        return res.status(400).json({ error: stockError });
+      }
+      return res.json({ message: 'Invoice status updated', invoice: claimed });
     }
 
     const updated = await Invoice.findOneAndUpdate(
@@ -219,64 +515,480 @@ router.get('/:id/pdf', requireAuth, async (req, res) => {
     }
     
     const invoice = await Invoice.findOne(query)
-      .populate('customerId', 'name email phone companyName gstin state address');
+      .populate('customerId', PDF_CUSTOMER_FIELDS);
     
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    // Get business and customer details
+    // ?language= overrides the business's invoice language for this copy
+    const context = await loadInvoicePdfContext(invoice.businessId);
+    const pdfBuffer = await renderInvoicePDF(invoice, context, { language: req.query.language });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${getInvoicePdfFileName(invoice)}`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// UPI payment QR (PNG) for the balance due, for showing on screen
+router.get('/:id/upi-qr', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = { _id: id };
+
+    if (req.user.userType === 'admin') {
+      query.businessId = req.user.businessId;
+    } else if (req.user.userType === 'customer') {
+      query.customerId = req.user.id;
+    }
+
+    const invoice = await Invoice.findOne(query);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
     const business = await User.findById(invoice.businessId);
-    const customer = invoice.customerId;
+    const settings = await getBusinessSettings(invoice.businessId);
+    if (!settings.upiVpa) {
+      return res.status(400).json({ error: 'Set a UPI VPA in business settings first' });
+    }
+
+    const upiPayment = getInvoiceUpiPayment(invoice, settings.upiVpa, business.businessName || business.name);
+    if (!upiPayment) {
+      return res.status(400).json({ error: 'Invoice has no balance due' });
+    }
+
+    const png = await generateUpiQR(upiPayment.link);
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('X-UPI-Link', upiPayment.link);
+    res.send(png);
+  } catch (error) {
+    console.error('Generate UPI QR error:', error);
+    res.status(500).json({ error: 'Failed to generate UPI QR' });
+  }
+});
 
-    const pdfData = {
+// Thermal printer receipt: ?width=58|80 (default 80), ?format=pdf|escpos (default pdf)
+router.get('/:id/receipt', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const width = Number(req.query.width || 80);
+    const format = req.query.format || 'pdf';
+
+    if (!RECEIPT_WIDTHS[width]) {
+      return res.status(400).json({ error: `Width must be one of: ${Object.keys(RECEIPT_WIDTHS).join(', ')}` });
+    }
+    if (!['pdf', 'escpos'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be pdf or escpos' });
+    }
+
+    const query = { _id: id };
+    if (req.user.userType === 'admin') {
+      query.businessId = req.user.businessId;
+    } else if (req.user.userType === 'customer') {
+      query.customerId = req.user.id;
+    }
+
+    const invoice = await Invoice.findOne(query)
+      .populate('customerId', 'name companyName gstin');
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const { business, settings } = await loadInvoicePdfContext(invoice.businessId);
+    const customer = invoice.customerId || {};
+
+    const receiptData = {
+      title: getDocumentTitle(invoice),
+      declaration: getTreatmentDeclaration(invoice),
       invoiceNumber: invoice.invoiceNumber,
       date: invoice.date,
-      dueDate: invoice.dueDate,
       business: {
         name: business.businessName || business.name,
         address: business.address,
-        state: business.state,
+        phone: business.phone,
         gstNumber: business.gstNumber
       },
       customer: {
         name: customer.name,
         companyName: customer.companyName,
-        address: customer.billingAddress || customer.address,
-        state: customer.state,
         gstin: customer.gstin
       },
+      placeOfSupply: invoice.placeOfSupply
+        ? `${getStateName(invoice.placeOfSupply)} (${invoice.placeOfSupply})`
+        : null,
       items: invoice.items,
+      isInterState: invoice.isInterState,
+      grossTotal: invoice.grossTotal,
+      totalDiscount: invoice.totalDiscount,
       subtotal: invoice.subtotal,
       cgst: invoice.cgst,
       sgst: invoice.sgst,
       igst: invoice.igst,
+      cess: invoice.cess,
+      roundOff: invoice.roundOff,
       grandTotal: invoice.grandTotal,
-      notes: invoice.notes
+      footerText: settings.footerText
     };
 
-    const pdfBuffer = await generateInvoicePDF(pdfData);
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=receipt-${invoice.invoiceNumber}.bin`);
+      return res.send(generateReceiptEscPos(receiptData, width));
+    }
+
+    const pdfBuffer = await generateReceiptPDF(receiptData, width);
 
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=invoice-${invoice.invoiceNumber}.pdf`);
+    res.setHeader('Content-Disposition', `attachment; filename=receipt-${invoice.invoiceNumber}.pdf`);
     res.send(pdfBuffer);
   } catch (error) {
-    console.error('Generate PDF error:', error);
-    res.status(500).json({ error: 'Failed to generate PDF' });
+    console.error('Generate receipt error:', error);
+    res.status(500).json({ error: 'Failed to generate receipt' });
   }
 });
 
-// Delete invoice
-router.delete('/:id', requireAdmin, async (req, res) => {
+// Load an invoice with the customer and business records its e-invoice is built from
+const loadEInvoiceData = async (invoiceId, businessId) => {
+  const invoice = await Invoice.findOne({ _id: invoiceId, businessId });
+  if (!invoice) return null;
+  const [customer, business] = await Promise.all([
+    Customer.findById(invoice.customerId),
+    User.findById(invoice.businessId)
+  ]);
+  return { invoice, customer, business };
+};
+
+// Preview e-invoice (INV-01) payload
+router.get('/:id/einvoice/payload', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadEInvoiceData(req.params.id, req.user.businessId);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!data.customer || !data.business) {
+      return res.status(404).json({ error: 'Business or customer not found' });
+    }
+
+    const errors = validateEInvoiceData(data);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invoice data is not valid for e-invoicing', errors });
+    }
+
+    res.json({ payload: buildEInvoicePayload(data) });
+  } catch (error) {
+    console.error('Build e-invoice payload error:', error);
+    res.status(500).json({ error: 'Failed to build e-invoice payload' });
+  }
+});
+
+// Generate IRN for invoice
+router.post('/:id/einvoice', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadEInvoiceData(req.params.id, req.user.businessId);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!data.customer || !data.business) {
+      return res.status(404).json({ error: 'Business or customer not found' });
+    }
+
+    const { invoice } = data;
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot generate an IRN for a ${invoice.status} invoice` });
+    }
+    if (invoice.einvoice && invoice.einvoice.status === 'generated') {
+      return res.status(400).json({ error: 'IRN already generated for this invoice', einvoice: invoice.einvoice });
+    }
+
+    const errors = validateEInvoiceData(data);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invoice data is not valid for e-invoicing', errors });
+    }
+
+    let result;
+    try {
+      result = await getIrpClient().generateIrn(buildEInvoicePayload(data));
+    } catch (irpError) {
+      if (!irpError.irpCode) throw irpError;
+      return res.status(502).json({ error: `IRP rejected the invoice: ${irpError.message}`, irpCode: irpError.irpCode });
+    }
+
+    invoice.einvoice = {
+      irn: result.irn,
+      ackNo: result.ackNo,
+      ackDate: result.ackDate,
+      signedQRCode: result.signedQRCode,
+      signedInvoice: result.signedInvoice,
+      status: 'generated'
+    };
+    await invoice.save();
+
+    res.json({ message: 'IRN generated', einvoice: invoice.einvoice });
+  } catch (error) {
+    console.error('Generate IRN error:', error);
+    res.status(500).json({ error: 'Failed to generate IRN' });
+  }
+});
+
+// Cancel IRN (also cancels the invoice)
+router.post('/:id/einvoice/cancel', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const invoice = await Invoice.findOneAndDelete({ _id: id, businessId: req.user.businessId });
-    
+    const { reasonCode, remark } = req.body;
+
+    if (!IRN_CANCEL_REASONS[reasonCode]) {
+      return res.status(400).json({ error: 'Reason code must be 1 (Duplicate), 2 (Data entry mistake), 3 (Order cancelled) or 4 (Others)' });
+    }
+    if (!remark) {
+      return res.status(400).json({ error: 'Cancellation remark required' });
+    }
+
+    const invoice = await Invoice.findOne({ _id: id, businessId: req.user.businessId });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!invoice.einvoice || invoice.einvoice.status !== 'generated') {
+      return res.status(400).json({ error: 'Invoice has no active IRN' });
+    }
+    if (!canCancelIrn(invoice.einvoice.ackDate)) {
+      return res.status(400).json({ error: `IRN can only be cancelled within ${IRN_CANCEL_WINDOW_HOURS} hours of generation. Issue a credit note instead.` });
+    }
+
+    let result;
+    try {
+      result = await getIrpClient().cancelIrn({
+        irn: invoice.einvoice.irn,
+        reasonCode: String(reasonCode),
+        remark: String(remark).slice(0, 100)
+      });
+    } catch (irpError) {
+      if (!irpError.irpCode) throw irpError;
+      return res.status(502).json({ error: `IRP rejected the cancellation: ${irpError.message}`, irpCode: irpError.irpCode });
+    }
+
+    invoice.einvoice.status = 'cancelled';
+    invoice.einvoice.cancelledAt = result.cancelDate;
+    invoice.einvoice.cancelReason = IRN_CANCEL_REASONS[reasonCode];
+    invoice.einvoice.cancelRemark = remark;
+    invoice.status = 'cancelled';
+    await invoice.save();
+
+    res.json({ message: 'IRN cancelled', invoice });
+  } catch (error) {
+    console.error('Cancel IRN error:', error);
+    res.status(500).json({ error: 'Failed to cancel IRN' });
+  }
+});
+
+// Set transport details (Part-B) used for the e-way bill
+router.put('/:id/transport', requireAdmin, async (req, res) => {
+  try {
+    const { mode, distance, transporterId, transporterName, vehicleNumber, vehicleType, transportDocNumber, transportDocDate } = req.body;
+
+    const transport = {
+      mode,
+      distance: Number(distance),
+      transporterId: transporterId ? String(transporterId).trim().toUpperCase() : undefined,
+      transporterName,
+      vehicleNumber: vehicleNumber ? normalizeVehicleNumber(vehicleNumber) : undefined,
+      vehicleType: vehicleType || 'regular',
+      transportDocNumber,
+      transportDocDate
+    };
+
+    const errors = validateTransport(transport);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (invoice.ewayBill && invoice.ewayBill.status === 'generated') {
+      return res.status(400).json({ error: 'E-way bill already generated. Use the vehicle update to change the vehicle.' });
+    }
+
+    invoice.transport = transport;
+    await invoice.save();
+
+    res.json({ message: 'Transport details updated', invoice });
+  } catch (error) {
+    console.error('Update transport error:', error);
+    res.status(500).json({ error: 'Failed to update transport details' });
+  }
+});
+
+// Preview e-way bill payload
+router.get('/:id/eway-bill/payload', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadEInvoiceData(req.params.id, req.user.businessId);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!data.customer || !data.business) {
+      return res.status(404).json({ error: 'Business or customer not found' });
+    }
+
+    const errors = validateEwayBillData(data);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invoice data is not valid for an e-way bill', errors });
+    }
+
+    res.json({
+      required: data.invoice.grandTotal > EWAY_BILL_THRESHOLD,
+      payload: buildEwayBillPayload(data)
+    });
+  } catch (error) {
+    console.error('Build e-way bill payload error:', error);
+    res.status(500).json({ error: 'Failed to build e-way bill payload' });
+  }
+});
+
+// Generate e-way bill for invoice
+router.post('/:id/eway-bill', requireAdmin, async (req, res) => {
+  try {
+    const data = await loadEInvoiceData(req.params.id, req.user.businessId);
+    if (!data) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!data.customer || !data.business) {
+      return res.status(404).json({ error: 'Business or customer not found' });
+    }
+
+    const { invoice } = data;
+    if (['draft', 'cancelled'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot generate an e-way bill for a ${invoice.status} invoice` });
+    }
+    if (invoice.ewayBill && invoice.ewayBill.status === 'generated') {
+      return res.status(400).json({ error: 'E-way bill already generated for this invoice', ewayBill: invoice.ewayBill });
+    }
+
+    const errors = validateEwayBillData(data);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'Invoice data is not valid for an e-way bill', errors });
+    }
+
+    let result;
+    try {
+      result = await getEwbClient().generateEwayBill(buildEwayBillPayload(data));
+    } catch (ewbError) {
+      if (!ewbError.ewbCode) throw ewbError;
+      return res.status(502).json({ error: `E-way bill system rejected the invoice: ${ewbError.message}`, ewbCode: ewbError.ewbCode });
+    }
+
+    invoice.ewayBill = {
+      ewbNo: result.ewbNo,
+      ewbDate: result.ewbDate,
+      validUpto: result.validUpto,
+      status: 'generated',
+      vehicleUpdates: []
+    };
+    await invoice.save();
+
+    res.json({ message: 'E-way bill generated', ewayBill: invoice.ewayBill });
+  } catch (error) {
+    console.error('Generate e-way bill error:', error);
+    res.status(500).json({ error: 'Failed to generate e-way bill' });
+  }
+});
+
+// Update vehicle on an e-way bill (Part-B)
+router.patch('/:id/eway-bill/vehicle', requireAdmin, async (req, res) => {
+  try {
+    const { vehicleNumber, transportDocNumber, transportDocDate, fromPlace, fromState, reasonCode, reasonRemark } = req.body;
+
+    if (!VEHICLE_UPDATE_REASONS[reasonCode]) {
+      return res.status(400).json({ error: 'Reason code must be 1 (Break down), 2 (Transhipment), 3 (Others) or 4 (First time)' });
+    }
+    if (String(reasonCode) === '3' && !reasonRemark) {
+      return res.status(400).json({ error: 'Reason remark required' });
+    }
+    if (!fromPlace || !fromState) {
+      return res.status(400).json({ error: 'Place and state the goods are moving from are required' });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (!invoice.ewayBill || invoice.ewayBill.status !== 'generated') {
+      return res.status(400).json({ error: 'Invoice has no active e-way bill' });
+    }
+
+    const transport = {
+      ...invoice.transport.toObject(),
+      vehicleNumber: vehicleNumber ? normalizeVehicleNumber(vehicleNumber) : invoice.transport.vehicleNumber,
+      transportDocNumber: transportDocNumber || invoice.transport.transportDocNumber,
+      transportDocDate: transportDocDate || invoice.transport.transportDocDate
+    };
+    if (!vehicleNumber && !transportDocNumber) {
+      return res.status(400).json({ error: 'Vehicle number or transport document number required' });
+    }
+    const errors = validateTransport(transport);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors[0], errors });
+    }
+
+    let result;
+    try {
+      result = await getEwbClient().updateVehicle({
+        ewbNo: invoice.ewayBill.ewbNo,
+        vehicleNo: vehicleNumber ? transport.vehicleNumber : '',
+        transDocNo: transportDocNumber || '',
+        transDocDate: transportDocDate,
+        fromPlace,
+        fromState,
+        reasonCode: String(reasonCode),
+        reasonRem: reasonRemark ? String(reasonRemark).slice(0, 50) : VEHICLE_UPDATE_REASONS[reasonCode],
+        transMode: transport.mode,
+        distance: transport.distance,
+        vehicleType: transport.vehicleType
+      });
+    } catch (ewbError) {
+      if (!ewbError.ewbCode) throw ewbError;
+      return res.status(502).json({ error: `E-way bill system rejected the update: ${ewbError.message}`, ewbCode: ewbError.ewbCode });
+    }
+
+    invoice.transport = transport;
+    invoice.ewayBill.validUpto = result.validUpto;
+    invoice.ewayBill.vehicleUpdates.push({
+      vehicleNumber: transport.vehicleNumber,
+      transportDocNumber: transportDocNumber,
+      fromPlace,
+      fromState,
+      reasonCode: String(reasonCode),
+      reasonRemark,
+      updatedAt: result.vehicleUpdatedAt,
+      validUpto: result.validUpto
+    });
+    await invoice.save();
+
+    res.json({ message: 'Vehicle updated', ewayBill: invoice.ewayBill });
+  } catch (error) {
+    console.error('Update e-way bill vehicle error:', error);
+    res.status(500).json({ error: 'Failed to update e-way bill vehicle' });
+  }
+});
+
+// Delete invoice: never allowed. Every invoice takes a number from its series when it is
+// created, and GST requires the series to be gapless, so an invoice no longer wanted is
+// cancelled (PATCH /:id/status) instead and keeps its number.
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await Invoice.exists({ _id: req.params.id, businessId: req.user.businessId });
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    res.json({ message: 'Invoice deleted' });
+    res.status(400).json({ error: 'Invoices cannot be deleted, as that would leave a gap in the number series. Cancel the invoice instead.' });
   } catch (error) {
     console.error('Delete invoice error:', error);
     res.status(500).json({ error: 'Failed to delete invoice' });
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const { requireAdmin } = require('../middleware/auth');
+const { refreshInvoicePayments, claimInvoiceBalance, getOutstandingAmount } = require('../utils/invoicePayments');
+
+const PAYMENT_METHODS = ['cash', 'upi', 'bank_transfer', 'cheque'];
+
+// Record a payment and allocate it to invoices
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { customerId, amount, method, referenceNumber, date, allocations, notes } = req.body;
+    const paymentAmount = parseFloat(amount);
+
+    if (!customerId || !paymentAmount || paymentAmount <= 0) {
+      return res.status(400).json({ error: 'Customer ID and a positive amount required' });
+    }
+
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `Invalid payment method. Use one of: ${PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (method !== 'cash' && !referenceNumber) {
+      return res.status(400).json({ error: 'Reference number required for non-cash payments' });
+    }
+
+    const customer = await Customer.findOne({ _id: customerId, businessId: req.user.businessId });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const finalAllocations = [];
+
+    if (Array.isArray(allocations) && allocations.length > 0) {
+      // Explicit allocation: validate every invoice and amount
+      for (const allocation of allocations) {
+        const allocationAmount = parseFloat(allocation.amount);
+        if (!allocation.invoiceId || !allocationAmount || allocationAmount <= 0) {
+          return res.status(400).json({ error: 'Each allocation needs an invoice ID and a positive amount' });
+        }
+        if (finalAllocations.some(a => a.invoiceId.toString() === String(allocation.invoiceId))) {
+          return res.status(400).json({ error: 'An invoice can only appear once in allocations' });
+        }
+
+        const invoice = await Invoice.findOne({
+          _id: allocation.invoiceId,
+          businessId: req.user.businessId,
+          customerId
+        });
+        if (!invoice) {
+          return res.status(404).json({ error: `Invoice ${allocation.invoiceId} not found for this customer` });
+        }
+        if (['draft', 'cancelled'].includes(invoice.status)) {
+          return res.status(400).json({ error: `Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot receive payments` });
+        }
+        if (allocationAmount > getOutstandingAmount(invoice)) {
+          return res.status(400).json({
+            error: `Allocation of ${allocationAmount} exceeds balance due ${getOutstandingAmount(invoice)} on invoice ${invoice.invoiceNumber}`
+          });
+        }
+
+        finalAllocations.push({ invoiceId: invoice._id, amount: allocationAmount });
+      }
+    } else {
+      // No allocation given: settle the customer's oldest outstanding invoices first
+      const openInvoices = await Invoice.find({
+        businessId: req.user.businessId,
+        customerId,
+        status: { $in: ['pending', 'partially_paid', 'overdue'] }
+      }).sort({ date: 1, createdAt: 1 });
+
+      let remaining = paymentAmount;
+      for (const invoice of openInvoices) {
+        if (remaining <= 0) break;
+        const outstanding = getOutstandingAmount(invoice);
+        if (outstanding <= 0) continue;
+        const allocationAmount = parseFloat(Math.min(outstanding, remaining).toFixed(2));
+        finalAllocations.push({ invoiceId: invoice._id, amount: allocationAmount });
+        remaining -= allocationAmount;
+      }
+    }
+
+    const allocatedTotal = finalAllocations.reduce((sum, a) => sum + a.amount, 0);
+    if (allocatedTotal - paymentAmount > 0.005) {
+      return res.status(400).json({ error: 'Allocated amount exceeds payment amount' });
+    }
+
+    // Claim each balance before saving the payment; if one has been paid meanwhile the
+    // claims already made are given back by re-deriving those invoices from their payments
+    const claimed = [];
+    const releaseClaims = () => Promise.all(claimed.map(invoiceId => refreshInvoicePayments(invoiceId)));
+    for (const allocation of finalAllocations) {
+      const invoice = await claimInvoiceBalance(allocation.invoiceId, allocation.amount);
+      if (!invoice) {
+        await releaseClaims();
+        return res.status(400).json({ error: `Invoice no longer has ${allocation.amount} due; reload and try again` });
+      }
+      claimed.push(invoice._id);
+    }
+
+    const payment = await Payment.create({
+      businessId: req.user.businessId,
+      customerId,
+      date: date || new Date().toISOString().split('T')[0],
+      amount: paymentAmount,
+      method,
+      referenceNumber,
+      allocations: finalAllocations,
+      unallocatedAmount: parseFloat((paymentAmount - allocatedTotal).toFixed(2)),
+      notes,
+      createdBy: req.user.id
+    }).catch(async (error) => {
+      await releaseClaims();
+      throw error;
+    });
+
+    const invoices = await Promise.all(
+      finalAllocations.map(a => refreshInvoicePayments(a.invoiceId))
+    );
+
+    res.status(201).json({ message: 'Payment recorded', payment, invoices });
+  } catch (error) {
+    console.error('Create payment error:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// Get all payments
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { customerId, invoiceId, startDate, endDate } = req.query;
+    const query = { businessId: req.user.businessId };
+
+    if (customerId) {
+      query.customerId = customerId;
+    }
+    if (invoiceId) {
+      query['allocations.invoiceId'] = invoiceId;
+    }
+    if (startDate && endDate) {
+      query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const payments = await Payment.find(query)
+      .populate('customerId', 'name email phone companyName')
+      .populate('allocations.invoiceId', 'invoiceNumber date grandTotal')
+      .sort({ date: -1, createdAt: -1 });
+    res.json({ payments });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ error: 'Failed to get payments' });
+  }
+});
+
+// Get payment by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const payment = await Payment.findOne({ _id: id, businessId: req.user.businessId })
+      .populate('customerId', 'name email phone companyName')
+      .populate('allocations.invoiceId', 'invoiceNumber date grandTotal amountPaid balanceDue status');
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json({ payment });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({ error: 'Failed to get payment' });
+  }
+});
+
+// Delete payment (reverses its allocations)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const payment = await Payment.findOneAndDelete({ _id: id, businessId: req.user.businessId });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    await Promise.all(
+      payment.allocations.map(a => refreshInvoicePayments(a.invoiceId))
+    );
+
+    res.json({ message: 'Payment deleted' });
+  } catch (error) {
+    console.error('Delete payment error:', error);
+    res.status(500).json({ error: 'Failed to delete payment' });
+  }
+});
+
+module.exports = router;
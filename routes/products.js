@@ -1,7 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  STOCK_MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  recordStockMovement,
+  setStockLevel,
+  recordOpeningStock,
+  getStockCard
+} = require('../utils/stockLedger');
+const {
+  startOfDay,
+  validateBatchDetails,
+  findBatchDateConflict,
+  receiveIntoBatch,
+  writeOffBatch
+} = require('../utils/batches');
+const {
+  getDefaultWarehouse,
+  resolveWarehouse,
+  getWarehouseStock,
+  findStockShortfall,
+  warehouseStockLevel
+} = require('../utils/warehouses');
 
 // Create product
 router.post('/', requireAdmin, async (req, res) => {
@@ -11,35 +34,55 @@ router.post('/', requireAdmin, async (req, res) => {
       sku,
       hsnCode,
       price,
+      priceIncludesTax,
       purchasePrice,
       gstRate,
+      cessRate,
+      cessPerUnit,
       stock,
       minStock,
+      trackBatches,
       unit,
       category,
       nameHindi,
-      description
+      description,
+      warehouseId
     } = req.body;
 
     if (!name || !price || !gstRate) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // Opening stock goes to this warehouse (the default when none is given)
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
     const product = await Product.create({
       businessId: req.user.businessId,
       name,
       sku: sku || `SKU-${Date.now()}`,
       hsnCode,
       price,
+      priceIncludesTax: !!priceIncludesTax,
       purchasePrice: purchasePrice || 0,
       gstRate,
+      cessRate: cessRate || 0,
+      cessPerUnit: cessPerUnit || 0,
       stock: stock || 0,
       minStock: minStock || 0,
+      trackBatches: !!trackBatches,
       unit: unit || 'pcs',
       category,
       nameHindi,
       description
     });
+    await recordOpeningStock([product], {
+      referenceType: 'manual',
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      userId: req.user.id
+    });
 
     res.status(201).json({ message: 'Product created', product });
   } catch (error) {
@@ -141,9 +184,15 @@ router.get('/:id', requireAuth, async (req, res) => {
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+    // Stock only changes through the ledger; an edited stock figure is recorded as an adjustment
+    const { stock, ...updates } = req.body;
+    if (stock !== undefined && !(Number.isFinite(Number(stock)) && Number(stock) >= 0)) {
+      return res.status(400).json({ error: 'Stock must be zero or more' });
+    }
+
     const product = await Product.findOneAndUpdate(
       { _id: id, businessId: req.user.businessId },
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
     
@@ -151,6 +200,22 @@ router.put('/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    if (stock !== undefined && Number(stock) !== product.stock) {
+      const result = await setStockLevel({
+        businessId: req.user.businessId,
+        productId: product._id,
+        stock: Number(stock),
+        type: 'adjustment',
+        referenceType: 'manual',
+        reason: 'Stock edited on product',
+        userId: req.user.id
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      product.stock = result.product.stock;
+    }
+
     res.json({ message: 'Product updated', product });
   } catch (error) {
     console.error('Update product error:', error);
@@ -179,40 +244,396 @@ router.delete('/:id', requireAdmin, async (req, res) => {
 router.patch('/:id/stock', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity, type } = req.body; // type: 'add', 'subtract', 'set'
+    // type: 'add', 'subtract', 'set'; movementType says why (defaults to adjustment).
+    // With a warehouseId the change is to that warehouse's stock and 'set' is a count of it.
+    const { type, movementType = 'adjustment', reason, warehouseId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!['add', 'subtract', 'set'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be add, subtract or set' });
+    }
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      return res.status(400).json({ error: 'Quantity must be zero or more' });
+    }
+    if (!MANUAL_MOVEMENT_TYPES.includes(movementType)) {
+      return res.status(400).json({ error: `Movement type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}` });
+    }
 
     const product = await Product.findOne({ _id: id, businessId: req.user.businessId });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    let newQuantity = product.stock;
-    if (type === 'add') {
-      newQuantity = product.stock + quantity;
-    } else if (type === 'subtract') {
-      newQuantity = Math.max(0, product.stock - quantity);
-    } else if (type === 'set') {
-      newQuantity = quantity;
+    const location = warehouseId ? await resolveWarehouse(req.user.businessId, warehouseId) : {};
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const movement = {
+      businessId: req.user.businessId,
+      productId: product._id,
+      type: movementType,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      referenceType: 'manual',
+      reason,
+      userId: req.user.id
+    };
+    // Stock is not taken below zero at the warehouse it leaves, the default one when none is given
+    if (type === 'subtract') {
+      const source = location.warehouse || await getDefaultWarehouse(req.user.businessId);
+      const shortfall = await findStockShortfall(req.user.businessId, source, [
+        { productId: product._id, productName: product.name, quantity }
+      ]);
+      if (shortfall) {
+        return res.status(400).json({ error: shortfall });
+      }
     }
 
-    product.stock = newQuantity;
-    await product.save();
+    let result;
+    if (type === 'set') {
+      result = await setStockLevel({ ...movement, stock: quantity });
+    } else {
+      result = await recordStockMovement({ ...movement, quantity: type === 'add' ? quantity : -quantity });
+    }
     
-    res.json({ message: 'Stock updated', product });
+    res.json({ message: 'Stock updated', product: result.product, movement: result.movement });
   } catch (error) {
     console.error('Update stock error:', error);
     res.status(500).json({ error: 'Failed to update stock' });
   }
 });
 
-// Get low stock products
-router.get('/inventory/low-stock', requireAdmin, async (req, res) => {
+// Stock card: opening balance, movements and closing balance for a period
+// (defaults to the current month)
+router.get('/:id/stock-card', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const now = new Date();
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : now;
+
+    if (isNaN(startDate) || isNaN(endDate)) {
+      return res.status(400).json({ error: 'Start date and end date must be valid dates' });
+    }
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Start date must be on or before end date' });
+    }
+    // An end date without a time covers that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(req.query.endDate))) {
+      endDate.setHours(23, 59, 59, 999);
+    }
+
+    const stockCard = await getStockCard(req.user.businessId, id, startDate, endDate);
+    if (!stockCard) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json({ stockCard, movementTypes: STOCK_MOVEMENT_TYPES });
+  } catch (error) {
+    console.error('Get stock card error:', error);
+    res.status(500).json({ error: 'Failed to get stock card' });
+  }
+});
+
+// Stock of a product not yet put in a batch, at a warehouse when there is one and otherwise in total
+const getUnbatchedQuantity = async (businessId, product, warehouseId) => {
+  const query = { businessId, productId: product._id };
+  let stock = product.stock;
+  if (warehouseId) {
+    query.warehouseId = warehouseId;
+    const row = (await getWarehouseStock(warehouseId, [product._id])).get(product._id.toString());
+    stock = row ? row.quantity : 0;
+  }
+  const batches = await ProductBatch.find(query).select('quantity');
+  return Math.max(stock - batches.reduce((sum, batch) => sum + batch.quantity, 0), 0);
+};
+
+// Batches of a product, soonest expiry first; ?all=true includes empty batches and
+// ?warehouseId= limits them to one warehouse
+router.get('/:id/batches', requireAdmin, async (req, res) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .select('name sku unit stock trackBatches');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const query = { businessId: req.user.businessId, productId: product._id };
+    if (req.query.all !== 'true') {
+      query.quantity = { $gt: 0 };
+    }
+    if (req.query.warehouseId) {
+      query.warehouseId = req.query.warehouseId;
+    }
+    const batches = await ProductBatch.find(query)
+      .populate('warehouseId', 'name code')
+      .sort({ expiryDate: 1, createdAt: 1 });
+    const unbatchedQuantity = await getUnbatchedQuantity(req.user.businessId, product, req.query.warehouseId);
+
+    res.json({ product, batches, unbatchedQuantity });
+  } catch (error) {
+    console.error('Get product batches error:', error);
+    res.status(500).json({ error: 'Failed to get product batches' });
+  }
+});
+
+// Receive stock into a batch
+router.post('/:id/batches', requireAdmin, async (req, res) => {
   try {
-    const products = await Product.find({ 
+    const { batchNumber, manufacturingDate, expiryDate, movementType = 'purchase', reason, warehouseId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    const batchError = validateBatchDetails({ batchNumber, manufacturingDate, expiryDate });
+    if (batchError) {
+      return res.status(400).json({ error: batchError });
+    }
+    if (!(quantity > 0)) {
+      return res.status(400).json({ error: 'Quantity must be greater than 0' });
+    }
+    if (!['opening', 'purchase'].includes(movementType)) {
+      return res.status(400).json({ error: 'Movement type must be opening or purchase' });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!product.trackBatches) {
+      return res.status(400).json({ error: 'Turn on batch tracking for this product first' });
+    }
+    const dateConflict = await findBatchDateConflict(req.user.businessId, [
+      { productId: product._id, batchNumber, manufacturingDate, expiryDate }
+    ]);
+    if (dateConflict) {
+      return res.status(400).json({ error: dateConflict });
+    }
+
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const batch = await receiveIntoBatch({
       businessId: req.user.businessId,
-      $expr: { $lte: ['$stock', '$minStock'] }
+      productId: product._id,
+      batchNumber,
+      manufacturingDate,
+      expiryDate,
+      quantity,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined
     });
-    res.json({ products });
+    const result = await recordStockMovement({
+      businessId: req.user.businessId,
+      productId: product._id,
+      type: movementType,
+      quantity,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      referenceType: 'manual',
+      referenceNumber: batch.batchNumber,
+      reason,
+      userId: req.user.id
+    });
+
+    res.status(201).json({ message: 'Stock received into batch', batch, product: result.product, movement: result.movement });
+  } catch (error) {
+    console.error('Receive batch error:', error);
+    res.status(500).json({ error: 'Failed to receive stock into batch' });
+  }
+});
+
+// Put stock already on hand at a warehouse into a batch, e.g. stock held before batch
+// tracking was turned on. Product stock is unchanged, so no movement is recorded.
+router.post('/:id/batches/assign', requireAdmin, async (req, res) => {
+  try {
+    const { batchNumber, manufacturingDate, expiryDate, warehouseId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    const batchError = validateBatchDetails({ batchNumber, manufacturingDate, expiryDate });
+    if (batchError) {
+      return res.status(400).json({ error: batchError });
+    }
+    if (!(quantity > 0)) {
+      return res.status(400).json({ error: 'Quantity must be greater than 0' });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!product.trackBatches) {
+      return res.status(400).json({ error: 'Turn on batch tracking for this product first' });
+    }
+    const dateConflict = await findBatchDateConflict(req.user.businessId, [
+      { productId: product._id, batchNumber, manufacturingDate, expiryDate }
+    ]);
+    if (dateConflict) {
+      return res.status(400).json({ error: dateConflict });
+    }
+
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+    const unbatchedQuantity = await getUnbatchedQuantity(
+      req.user.businessId,
+      product,
+      location.warehouse ? location.warehouse._id : undefined
+    );
+    if (quantity > unbatchedQuantity) {
+      return res.status(400).json({
+        error: `Only ${unbatchedQuantity} of ${product.name}${location.warehouse ? ` at ${location.warehouse.name}` : ''} is not in a batch`
+      });
+    }
+
+    const batch = await receiveIntoBatch({
+      businessId: req.user.businessId,
+      productId: product._id,
+      batchNumber,
+      manufacturingDate,
+      expiryDate,
+      quantity,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined
+    });
+
+    res.status(201).json({ message: 'Stock assigned to batch', batch, unbatchedQuantity: unbatchedQuantity - quantity });
+  } catch (error) {
+    console.error('Assign batch error:', error);
+    res.status(500).json({ error: 'Failed to assign stock to batch' });
+  }
+});
+
+// Write off stock from a batch as wastage (all of it unless a quantity is given)
+router.post('/:id/batches/:batchId/write-off', requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : undefined;
+
+    if (quantity !== undefined && !(quantity > 0)) {
+      return res.status(400).json({ error: 'Quantity must be greater than 0' });
+    }
+
+    const batch = await ProductBatch.findOne({
+      _id: req.params.batchId,
+      productId: req.params.id,
+      businessId: req.user.businessId
+    });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (quantity > batch.quantity) {
+      return res.status(400).json({ error: `Batch ${batch.batchNumber} has only ${batch.quantity} in stock` });
+    }
+
+    // The stock comes out of the warehouse holding the batch
+    const location = await resolveWarehouse(req.user.businessId, batch.warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+    const product = await Product.findById(batch.productId).select('name');
+    const shortfall = await findStockShortfall(req.user.businessId, location.warehouse, [{
+      productId: batch.productId,
+      productName: product ? product.name : `batch ${batch.batchNumber}`,
+      quantity: quantity === undefined ? batch.quantity : quantity
+    }]);
+    if (shortfall) {
+      return res.status(400).json({ error: shortfall });
+    }
+
+    const result = await writeOffBatch({ batch, quantity, reason, userId: req.user.id });
+    if (!result) {
+      return res.status(400).json({ error: `Batch ${batch.batchNumber} has no stock to write off` });
+    }
+
+    res.json({ message: 'Batch written off', batch: result.batch, movement: result.movement });
+  } catch (error) {
+    console.error('Write off batch error:', error);
+    res.status(500).json({ error: 'Failed to write off batch' });
+  }
+});
+
+// Write off every expired batch still in stock
+router.post('/inventory/write-off-expired', requireAdmin, async (req, res) => {
+  try {
+    const batches = await ProductBatch.find({
+      businessId: req.user.businessId,
+      quantity: { $gt: 0 },
+      expiryDate: { $lt: startOfDay(new Date()) }
+    }).populate('productId', 'name unit');
+
+    // Expired stock comes out of the warehouse holding each batch, which must still have it
+    const byWarehouse = new Map();
+    batches.filter(batch => batch.productId).forEach(batch => {
+      const key = batch.warehouseId ? batch.warehouseId.toString() : '';
+      byWarehouse.set(key, [...(byWarehouse.get(key) || []), batch]);
+    });
+    for (const [warehouseId, held] of byWarehouse) {
+      const location = await resolveWarehouse(req.user.businessId, warehouseId || undefined);
+      const shortfall = location.error || await findStockShortfall(
+        req.user.businessId,
+        location.warehouse,
+        held.map(batch => ({ productId: batch.productId._id, productName: batch.productId.name, quantity: batch.quantity }))
+      );
+      if (shortfall) {
+        return res.status(400).json({ error: `${shortfall}; the expired batches cannot be written off` });
+      }
+    }
+
+    const writtenOff = [];
+    for (const batch of batches) {
+      const product = batch.productId;
+      if (!product) continue;
+      const quantity = batch.quantity;
+      batch.productId = product._id;
+      await writeOffBatch({ batch, reason: `Batch ${batch.batchNumber} expired`, userId: req.user.id });
+      writtenOff.push({
+        productId: product._id,
+        productName: product.name,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity,
+        unit: product.unit
+      });
+    }
+
+    res.json({ message: `${writtenOff.length} expired batch(es) written off`, writtenOff });
+  } catch (error) {
+    console.error('Write off expired batches error:', error);
+    res.status(500).json({ error: 'Failed to write off expired batches' });
+  }
+});
+
+// Get low stock products; ?warehouseId= checks stock at that warehouse against its own
+// minimum levels (the product's minStock where the warehouse sets none)
+router.get('/inventory/low-stock', requireAdmin, async (req, res) => {
+  try {
+    const { warehouseId } = req.query;
+
+    if (!warehouseId) {
+      const products = await Product.find({ 
+        businessId: req.user.businessId,
+        $expr: { $lte: ['$stock', '$minStock'] }
+      });
+      return res.json({ products });
+    }
+
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const [products, stock] = await Promise.all([
+      Product.find({ businessId: req.user.businessId }),
+      getWarehouseStock(location.warehouse._id)
+    ]);
+    const lowStock = products
+      .map(product => ({
+        ...product.toObject(),
+        totalStock: product.stock,
+        ...warehouseStockLevel(product, stock.get(product._id.toString()))
+      }))
+      .filter(product => product.stock <= product.minStock);
+
+    res.json({ warehouse: location.warehouse, products: lowStock });
   } catch (error) {
     console.error('Get low stock error:', error);
     res.status(500).json({ error: 'Failed to get low stock products' });
@@ -0,0 +1,212 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseBill = require('../models/PurchaseBill');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const User = require('../models/User');
+const { requireAdmin } = require('../middleware/auth');
+const { validateDiscount } = require('../utils/gstCalculator');
+const {
+  validatePurchaseItems,
+  validateBillRoundOff,
+  findRecordedBill,
+  getPurchaseItemDetails,
+  createPurchaseBill
+} = require('../utils/purchases');
+const { recordStockMovement } = require('../utils/stockLedger');
+const { findBatchDateConflict, receiveIntoBatch, reverseBatchReceipt } = require('../utils/batches');
+const { resolveWarehouse, findStockShortfall } = require('../utils/warehouses');
+
+// Record a supplier's bill; the goods go into stock and its GST counts as input tax credit
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const {
+      supplierId, billNumber, billDate, dueDate, items, discountType, discountValue,
+      reverseCharge, itcEligible, roundOff, warehouseId, notes
+    } = req.body;
+
+    if (!supplierId || !billNumber || !items || items.length === 0) {
+      return res.status(400).json({ error: 'Supplier ID, bill number and items required' });
+    }
+
+    const itemError = validatePurchaseItems(items) || validateDiscount(discountType, discountValue) ||
+      validateBillRoundOff(roundOff);
+    if (itemError) {
+      return res.status(400).json({ error: itemError });
+    }
+
+    const business = await User.findById(req.user.businessId);
+    const supplier = await Supplier.findOne({ _id: supplierId, businessId: req.user.businessId });
+
+    if (!business || !supplier) {
+      return res.status(404).json({ error: 'Business or supplier not found' });
+    }
+
+    // The same supplier bill must not be entered twice
+    if (await findRecordedBill(req.user.businessId, supplierId, billNumber)) {
+      return res.status(400).json({ error: `Bill ${billNumber} from this supplier is already recorded` });
+    }
+
+    const details = await getPurchaseItemDetails(req.user.businessId, items, { requireBatches: true });
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+    const dateConflict = await findBatchDateConflict(req.user.businessId, details.items);
+    if (dateConflict) {
+      return res.status(400).json({ error: dateConflict });
+    }
+
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const bill = await createPurchaseBill({
+      business,
+      supplier,
+      items: details.items,
+      billNumber,
+      billDate,
+      dueDate,
+      discountType,
+      discountValue,
+      reverseCharge,
+      itcEligible,
+      roundOff: Number(roundOff || 0),
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      notes,
+      userId: req.user.id
+    });
+
+    for (const item of bill.items) {
+      if (item.batchNumber) {
+        await receiveIntoBatch({ ...item.toObject(), businessId: req.user.businessId, warehouseId: bill.warehouseId });
+      }
+      await recordStockMovement({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        type: 'purchase',
+        quantity: item.quantity,
+        warehouseId: bill.warehouseId,
+        referenceType: 'purchase_bill',
+        referenceId: bill._id,
+        referenceNumber: bill.billNumber,
+        userId: req.user.id
+      });
+    }
+
+    res.status(201).json({ message: 'Purchase bill recorded', bill });
+  } catch (error) {
+    console.error('Create purchase bill error:', error);
+    res.status(500).json({ error: 'Failed to record purchase bill' });
+  }
+});
+
+// Get all purchase bills
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { supplierId, status, startDate, endDate } = req.query;
+    const query = { businessId: req.user.businessId };
+
+    if (supplierId) {
+      query.supplierId = supplierId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (startDate && endDate) {
+      query.billDate = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const bills = await PurchaseBill.find(query)
+      .populate('supplierId', 'name companyName gstin state')
+      .sort({ billDate: -1, createdAt: -1 });
+    res.json({ bills });
+  } catch (error) {
+    console.error('Get purchase bills error:', error);
+    res.status(500).json({ error: 'Failed to get purchase bills' });
+  }
+});
+
+// Get purchase bill by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const bill = await PurchaseBill.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .populate('supplierId', 'name email phone companyName gstin state address');
+
+    if (!bill) {
+      return res.status(404).json({ error: 'Purchase bill not found' });
+    }
+
+    res.json({ bill });
+  } catch (error) {
+    console.error('Get purchase bill error:', error);
+    res.status(500).json({ error: 'Failed to get purchase bill' });
+  }
+});
+
+// Cancel purchase bill (bills are never deleted, to keep the audit trail)
+router.patch('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const bill = await PurchaseBill.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!bill) {
+      return res.status(404).json({ error: 'Purchase bill not found' });
+    }
+
+    if (bill.status === 'cancelled') {
+      return res.status(400).json({ error: 'Purchase bill is already cancelled' });
+    }
+
+    // Take back the stock the bill added; goods received on a GRN stay until the GRN is cancelled.
+    // The goods must still be at the warehouse they went into.
+    const location = await resolveWarehouse(req.user.businessId, bill.warehouseId);
+    const shortfall = location.error ||
+      await findStockShortfall(req.user.businessId, location.warehouse, bill.stockUpdated ? bill.items : []);
+    if (shortfall) {
+      return res.status(400).json({ error: `${shortfall}; the purchase bill cannot be cancelled` });
+    }
+
+    for (const item of bill.stockUpdated ? bill.items : []) {
+      if (item.batchNumber) {
+        await reverseBatchReceipt({ ...item.toObject(), businessId: req.user.businessId, warehouseId: bill.warehouseId });
+      }
+      await recordStockMovement({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        type: 'purchase',
+        quantity: -item.quantity,
+        warehouseId: bill.warehouseId,
+        referenceType: 'purchase_bill',
+        referenceId: bill._id,
+        referenceNumber: bill.billNumber,
+        reason: 'Purchase bill cancelled',
+        userId: req.user.id
+      });
+    }
+
+    // The quantities can be billed again on the purchase order
+    if (bill.purchaseOrderId) {
+      const order = await PurchaseOrder.findById(bill.purchaseOrderId);
+      if (order) {
+        bill.items.forEach(item => {
+          const line = order.items.find(orderLine => orderLine.productId.equals(item.productId));
+          if (line) line.billedQuantity = Math.max((line.billedQuantity || 0) - item.quantity, 0);
+        });
+        await order.save();
+      }
+    }
+
+    bill.status = 'cancelled';
+    bill.cancelledAt = new Date();
+    bill.cancelReason = req.body.reason;
+    await bill.save();
+
+    res.json({ message: 'Purchase bill cancelled', bill });
+  } catch (error) {
+    console.error('Cancel purchase bill error:', error);
+    res.status(500).json({ error: 'Failed to cancel purchase bill' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,618 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const PurchaseBill = require('../models/PurchaseBill');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { requireAdmin } = require('../middleware/auth');
+const { round2, validateDiscount } = require('../utils/gstCalculator');
+const {
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  validateNextDocumentNumber
+} = require('../utils/numberSeries');
+const {
+  validatePurchaseItems,
+  validateBillRoundOff,
+  findRecordedBill,
+  getPurchaseItemDetails,
+  calculatePurchaseTotals,
+  createPurchaseBill
+} = require('../utils/purchases');
+const { recordStockMovement } = require('../utils/stockLedger');
+const { validateBatchDetails, findBatchDateConflict, receiveIntoBatch, reverseBatchReceipt } = require('../utils/batches');
+const { resolveWarehouse, findStockShortfall } = require('../utils/warehouses');
+const { loadInvoicePdfContext } = require('../utils/invoicePdf');
+const { PDF_SUPPLIER_FIELDS, getPurchaseOrderPdfFileName, renderPurchaseOrderPDF } = require('../utils/purchaseOrderPdf');
+
+// Quantity still to be delivered / delivered but not yet billed on a PO line
+const pendingQuantity = (line) => Math.max(round2(line.quantity - (line.receivedQuantity || 0)), 0);
+const unbilledQuantity = (line) => Math.max(round2((line.receivedQuantity || 0) - (line.billedQuantity || 0)), 0);
+
+// Delivery status from the received quantities; closed and cancelled orders keep theirs
+const updateReceiptStatus = (order) => {
+  if (['closed', 'cancelled'].includes(order.status)) return;
+  if (order.items.every(line => pendingQuantity(line) === 0)) {
+    order.status = 'received';
+  } else if (order.items.some(line => line.receivedQuantity > 0)) {
+    order.status = 'partially_received';
+  } else {
+    order.status = 'open';
+  }
+};
+
+/**
+ * Match requested quantities to PO lines
+ * @param {object} order - PurchaseOrder document
+ * @param {Array} [items] - [{ productId, quantity }]; all available quantities when omitted
+ * @param {Function} available - (line) => quantity that may be taken from the line
+ * @returns {object} - { lines: [{ line, quantity, item }] } or { error }; item is the request line
+ */
+const selectOrderLines = (order, items, available) => {
+  if (!items || items.length === 0) {
+    const lines = order.items
+      .filter(line => available(line) > 0)
+      .map(line => ({ line, quantity: available(line), item: {} }));
+    return lines.length > 0 ? { lines } : { error: 'Nothing left on this purchase order' };
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const line = order.items.find(orderLine => orderLine.productId.toString() === String(item.productId));
+    if (!line) {
+      return { error: `Product ${item.productId} is not on purchase order ${order.poNumber}` };
+    }
+    const quantity = Number(item.quantity);
+    if (!(quantity > 0)) {
+      return { error: 'Quantity must be greater than 0' };
+    }
+    if (quantity > available(line)) {
+      return { error: `Quantity for ${line.productName || 'item'} exceeds the ${available(line)} available` };
+    }
+    lines.push({ line, quantity, item });
+  }
+  return { lines };
+};
+
+// Create purchase order
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const {
+      supplierId, items, date, expectedDate, discountType, discountValue, warehouseId, notes, terms, branch
+    } = req.body;
+
+    if (!supplierId || !items || items.length === 0) {
+      return res.status(400).json({ error: 'Supplier ID and items required' });
+    }
+
+    const itemError = validatePurchaseItems(items) || validateDiscount(discountType, discountValue);
+    if (itemError) {
+      return res.status(400).json({ error: itemError });
+    }
+
+    // Receipts and bills are matched to lines by product
+    const productIds = items.map(item => String(item.productId));
+    if (new Set(productIds).size !== productIds.length) {
+      return res.status(400).json({ error: 'Each product can appear only once on a purchase order' });
+    }
+
+    const business = await User.findById(req.user.businessId);
+    const supplier = await Supplier.findOne({ _id: supplierId, businessId: req.user.businessId });
+
+    if (!business || !supplier) {
+      return res.status(404).json({ error: 'Business or supplier not found' });
+    }
+
+    const details = await getPurchaseItemDetails(req.user.businessId, items);
+    if (details.error) {
+      return res.status(400).json({ error: details.error });
+    }
+
+    const location = await resolveWarehouse(req.user.businessId, warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const totals = calculatePurchaseTotals(details.items, supplier, business, { discountType, discountValue });
+
+    const orderDate = date || new Date().toISOString().split('T')[0];
+    const numberError = await validateNextDocumentNumber(req.user.businessId, 'purchase_order', { date: orderDate, branch });
+    if (numberError) {
+      return res.status(400).json({ error: numberError });
+    }
+
+    const numbering = await allocateDocumentNumber(req.user.businessId, 'purchase_order', {
+      date: orderDate,
+      branch
+    });
+
+    const order = await PurchaseOrder.create({
+      businessId: req.user.businessId,
+      supplierId,
+      poNumber: numbering.number,
+      date: orderDate,
+      expectedDate,
+      items: totals.items,
+      discountType: discountType || 'percentage',
+      discountValue: discountValue || 0,
+      grossTotal: totals.grossTotal,
+      totalDiscount: totals.totalDiscount,
+      subtotal: totals.subtotal,
+      cgst: totals.cgst,
+      sgst: totals.sgst,
+      igst: totals.igst,
+      cess: totals.cess,
+      totalGST: totals.totalGST,
+      isInterState: !totals.isSameState,
+      placeOfSupply: totals.placeOfSupply,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      grandTotal: totals.grandTotal,
+      notes,
+      terms,
+      createdBy: req.user.id
+    }).catch(async (error) => {
+      await releaseDocumentNumber(numbering);
+      throw error;
+    });
+
+    res.status(201).json({ message: 'Purchase order created', order });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Failed to create purchase order' });
+  }
+});
+
+// Get all purchase orders
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { supplierId, status } = req.query;
+    const query = { businessId: req.user.businessId };
+
+    if (supplierId) {
+      query.supplierId = supplierId;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplierId', 'name companyName gstin')
+      .sort({ date: -1, createdAt: -1 });
+    res.json({ orders });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Failed to get purchase orders' });
+  }
+});
+
+// Outstanding deliveries: lines of open orders still to be received, oldest first
+router.get('/outstanding', requireAdmin, async (req, res) => {
+  try {
+    const query = {
+      businessId: req.user.businessId,
+      status: { $in: ['open', 'partially_received'] }
+    };
+    if (req.query.supplierId) {
+      query.supplierId = req.query.supplierId;
+    }
+
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplierId', 'name companyName phone')
+      .sort({ expectedDate: 1, date: 1 });
+
+    const now = new Date();
+    const outstanding = [];
+    orders.forEach(order => {
+      order.items.filter(line => pendingQuantity(line) > 0).forEach(line => {
+        outstanding.push({
+          purchaseOrderId: order._id,
+          poNumber: order.poNumber,
+          date: order.date,
+          expectedDate: order.expectedDate,
+          overdue: !!order.expectedDate && order.expectedDate < now,
+          supplier: {
+            _id: order.supplierId?._id,
+            name: order.supplierId?.companyName || order.supplierId?.name || 'Unknown',
+            phone: order.supplierId?.phone || ''
+          },
+          productId: line.productId,
+          productName: line.productName,
+          unit: line.unit,
+          orderedQuantity: line.quantity,
+          receivedQuantity: line.receivedQuantity || 0,
+          pendingQuantity: pendingQuantity(line),
+          pendingValue: round2(pendingQuantity(line) * line.unitPrice)
+        });
+      });
+    });
+
+    const summary = {
+      orderCount: orders.length,
+      lineCount: outstanding.length,
+      overdueLines: outstanding.filter(line => line.overdue).length,
+      pendingValue: round2(outstanding.reduce((sum, line) => sum + line.pendingValue, 0))
+    };
+
+    res.json({ outstanding, summary });
+  } catch (error) {
+    console.error('Get outstanding deliveries error:', error);
+    res.status(500).json({ error: 'Failed to get outstanding deliveries' });
+  }
+});
+
+// Get purchase order by ID, with its goods receipts and bills
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .populate('supplierId', 'name email phone companyName gstin state address');
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const receipts = await GoodsReceipt.find({ purchaseOrderId: order._id }).sort({ date: 1, createdAt: 1 });
+    const bills = await PurchaseBill.find({ purchaseOrderId: order._id })
+      .select('billNumber billDate grandTotal status')
+      .sort({ billDate: 1 });
+
+    const lines = order.items.map(line => ({
+      productId: line.productId,
+      productName: line.productName,
+      orderedQuantity: line.quantity,
+      receivedQuantity: line.receivedQuantity || 0,
+      billedQuantity: line.billedQuantity || 0,
+      pendingQuantity: pendingQuantity(line),
+      unbilledQuantity: unbilledQuantity(line)
+    }));
+
+    res.json({ order, lines, receipts, bills });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Failed to get purchase order' });
+  }
+});
+
+// Purchase order PDF, to send to the supplier
+router.get('/:id/pdf', requireAdmin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .populate('supplierId', PDF_SUPPLIER_FIELDS);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    const context = await loadInvoicePdfContext(order.businessId);
+    const pdfBuffer = await renderPurchaseOrderPDF(order, context, { language: req.query.language });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${getPurchaseOrderPdfFileName(order)}`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate purchase order PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Receive goods against a purchase order (GRN); received goods go into stock, and
+// into the given batch for batch-tracked products
+router.post('/:id/receipts', requireAdmin, async (req, res) => {
+  try {
+    const { items, date, supplierReference, warehouseId, notes, branch } = req.body;
+
+    const batchError = (items || []).map(item => (item.batchNumber ? validateBatchDetails(item) : null)).find(Boolean);
+    if (batchError) {
+      return res.status(400).json({ error: batchError });
+    }
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (!['open', 'partially_received'].includes(order.status)) {
+      return res.status(400).json({ error: `Cannot receive goods on a ${order.status.replace('_', ' ')} purchase order` });
+    }
+
+    const selection = selectOrderLines(order, items, pendingQuantity);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const tracked = await Product.find({
+      _id: { $in: selection.lines.map(({ line }) => line.productId) },
+      businessId: req.user.businessId,
+      trackBatches: true
+    }).select('_id');
+    const trackedIds = new Set(tracked.map(product => product._id.toString()));
+    const unbatched = selection.lines.find(({ line, item }) => trackedIds.has(line.productId.toString()) && !item.batchNumber);
+    if (unbatched) {
+      return res.status(400).json({ error: `Batch number is required for ${unbatched.line.productName}` });
+    }
+    const receiptItems = selection.lines.map(({ line, quantity, item }) => ({
+      productId: line.productId,
+      productName: line.productName,
+      quantity,
+      unit: line.unit,
+      ...(trackedIds.has(line.productId.toString()) ? {
+        batchNumber: String(item.batchNumber).trim(),
+        manufacturingDate: item.manufacturingDate,
+        expiryDate: item.expiryDate
+      } : {})
+    }));
+    const dateConflict = await findBatchDateConflict(req.user.businessId, receiptItems);
+    if (dateConflict) {
+      return res.status(400).json({ error: dateConflict });
+    }
+
+    // Goods go to the order's delivery warehouse unless the receipt names another
+    const location = await resolveWarehouse(req.user.businessId, warehouseId || order.warehouseId);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const receiptDate = date || new Date().toISOString().split('T')[0];
+    const numberError = await validateNextDocumentNumber(req.user.businessId, 'goods_receipt', { date: receiptDate, branch });
+    if (numberError) {
+      return res.status(400).json({ error: numberError });
+    }
+
+    const numbering = await allocateDocumentNumber(req.user.businessId, 'goods_receipt', {
+      date: receiptDate,
+      branch
+    });
+
+    const receipt = await GoodsReceipt.create({
+      businessId: req.user.businessId,
+      purchaseOrderId: order._id,
+      supplierId: order.supplierId,
+      grnNumber: numbering.number,
+      date: receiptDate,
+      supplierReference,
+      warehouseId: location.warehouse ? location.warehouse._id : undefined,
+      items: receiptItems,
+      notes,
+      createdBy: req.user.id
+    }).catch(async (error) => {
+      await releaseDocumentNumber(numbering);
+      throw error;
+    });
+
+    selection.lines.forEach(({ line, quantity }) => {
+      line.receivedQuantity = round2((line.receivedQuantity || 0) + quantity);
+    });
+    updateReceiptStatus(order);
+    await order.save();
+
+    for (const item of receipt.items) {
+      if (item.batchNumber) {
+        await receiveIntoBatch({ ...item.toObject(), businessId: req.user.businessId, warehouseId: receipt.warehouseId });
+      }
+      await recordStockMovement({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        type: 'purchase',
+        quantity: item.quantity,
+        warehouseId: receipt.warehouseId,
+        referenceType: 'goods_receipt',
+        referenceId: receipt._id,
+        referenceNumber: receipt.grnNumber,
+        userId: req.user.id
+      });
+    }
+
+    res.status(201).json({ message: 'Goods received', receipt, order });
+  } catch (error) {
+    console.error('Create goods receipt error:', error);
+    res.status(500).json({ error: 'Failed to receive goods' });
+  }
+});
+
+// Cancel a goods receipt; goods already billed must have their bill cancelled first
+router.patch('/:id/receipts/:receiptId/cancel', requireAdmin, async (req, res) => {
+  try {
+    const receipt = await GoodsReceipt.findOne({
+      _id: req.params.receiptId,
+      purchaseOrderId: req.params.id,
+      businessId: req.user.businessId
+    });
+
+    if (!receipt) {
+      return res.status(404).json({ error: 'Goods receipt not found' });
+    }
+
+    if (receipt.status === 'cancelled') {
+      return res.status(400).json({ error: 'Goods receipt is already cancelled' });
+    }
+
+    const order = await PurchaseOrder.findById(receipt.purchaseOrderId);
+    for (const item of receipt.items) {
+      const line = order.items.find(orderLine => orderLine.productId.equals(item.productId));
+      if (line && (line.receivedQuantity || 0) - item.quantity < (line.billedQuantity || 0)) {
+        return res.status(400).json({ error: `${line.productName || 'Item'} has been billed; cancel the purchase bill first` });
+      }
+    }
+
+    // The goods must still be at the warehouse they went into
+    const location = await resolveWarehouse(req.user.businessId, receipt.warehouseId);
+    const shortfall = location.error || await findStockShortfall(req.user.businessId, location.warehouse, receipt.items);
+    if (shortfall) {
+      return res.status(400).json({ error: `${shortfall}; the goods receipt cannot be cancelled` });
+    }
+
+    for (const item of receipt.items) {
+      const line = order.items.find(orderLine => orderLine.productId.equals(item.productId));
+      if (line) line.receivedQuantity = Math.max(round2(line.receivedQuantity - item.quantity), 0);
+      if (item.batchNumber) {
+        await reverseBatchReceipt({ ...item.toObject(), businessId: req.user.businessId, warehouseId: receipt.warehouseId });
+      }
+
+      await recordStockMovement({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        type: 'purchase',
+        quantity: -item.quantity,
+        warehouseId: receipt.warehouseId,
+        referenceType: 'goods_receipt',
+        referenceId: receipt._id,
+        referenceNumber: receipt.grnNumber,
+        reason: 'Goods receipt cancelled',
+        userId: req.user.id
+      });
+    }
+    updateReceiptStatus(order);
+    await order.save();
+
+    receipt.status = 'cancelled';
+    await receipt.save();
+
+    res.json({ message: 'Goods receipt cancelled', receipt, order });
+  } catch (error) {
+    console.error('Cancel goods receipt error:', error);
+    res.status(500).json({ error: 'Failed to cancel goods receipt' });
+  }
+});
+
+// Turn received, unbilled quantities into a purchase bill at the order's rates.
+// The goods are already in stock from their GRNs, so the bill does not add them again.
+router.post('/:id/bill', requireAdmin, async (req, res) => {
+  try {
+    const { billNumber, billDate, dueDate, items, reverseCharge, itcEligible, roundOff, notes } = req.body;
+
+    if (!billNumber) {
+      return res.status(400).json({ error: 'Bill number required' });
+    }
+
+    const roundOffError = validateBillRoundOff(roundOff);
+    if (roundOffError) {
+      return res.status(400).json({ error: roundOffError });
+    }
+
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cannot bill a cancelled purchase order' });
+    }
+
+    const selection = selectOrderLines(order, items, unbilledQuantity);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+
+    const business = await User.findById(req.user.businessId);
+    const supplier = await Supplier.findById(order.supplierId);
+    if (!business || !supplier) {
+      return res.status(404).json({ error: 'Business or supplier not found' });
+    }
+
+    if (await findRecordedBill(req.user.businessId, supplier._id, billNumber)) {
+      return res.status(400).json({ error: `Bill ${billNumber} from this supplier is already recorded` });
+    }
+
+    // Flat discounts are shared out in proportion to the quantity or value billed
+    const billItems = selection.lines.map(({ line, quantity }) => ({
+      productId: line.productId,
+      productName: line.productName,
+      hsnCode: line.hsnCode,
+      unit: line.unit,
+      quantity,
+      unitPrice: line.unitPrice,
+      gstRate: line.gstRate,
+      cessRate: line.cessRate,
+      cessPerUnit: line.cessPerUnit,
+      discountType: line.discountType,
+      discountValue: line.discountType === 'amount'
+        ? round2(line.discountValue * quantity / line.quantity)
+        : line.discountValue
+    }));
+    const orderedValue = order.items.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+    const billedValue = billItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+
+    const bill = await createPurchaseBill({
+      business,
+      supplier,
+      items: billItems,
+      purchaseOrderId: order._id,
+      billNumber,
+      billDate,
+      dueDate,
+      discountType: order.discountType,
+      discountValue: order.discountType === 'amount' && orderedValue > 0
+        ? round2(order.discountValue * billedValue / orderedValue)
+        : order.discountValue,
+      reverseCharge,
+      itcEligible,
+      roundOff: Number(roundOff || 0),
+      stockUpdated: false,
+      notes,
+      userId: req.user.id
+    });
+
+    selection.lines.forEach(({ line, quantity }) => {
+      line.billedQuantity = round2((line.billedQuantity || 0) + quantity);
+    });
+    await order.save();
+
+    res.status(201).json({ message: 'Purchase bill recorded', bill, order });
+  } catch (error) {
+    console.error('Bill purchase order error:', error);
+    res.status(500).json({ error: 'Failed to record purchase bill' });
+  }
+});
+
+// Close a purchase order: nothing more is expected from the supplier
+router.patch('/:id/close', requireAdmin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (['closed', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ error: `Purchase order is already ${order.status}` });
+    }
+
+    order.status = 'closed';
+    await order.save();
+
+    res.json({ message: 'Purchase order closed', order });
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    res.status(500).json({ error: 'Failed to close purchase order' });
+  }
+});
+
+// Cancel a purchase order before any goods have been received on it
+router.patch('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ error: 'Purchase order is already cancelled' });
+    }
+
+    if (order.items.some(line => line.receivedQuantity > 0)) {
+      return res.status(400).json({ error: 'Goods have been received on this order; close it instead' });
+    }
+
+    order.status = 'cancelled';
+    await order.save();
+
+    res.json({ message: 'Purchase order cancelled', order });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ error: 'Failed to cancel purchase order' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,90 @@ const express = require('express');
 const router = express.Router();
 const Invoice = require('../models/Invoice');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const PurchaseBill = require('../models/PurchaseBill');
 const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { buildGSTR1 } = require('../utils/gstr1');
+const { validateGSTR1Documents, toPortalJSON } = require('../utils/gstr1Export');
+const { isZeroRated } = require('../utils/gstTreatment');
+const { summarizeItc, setOffItc, getProductUnitCosts } = require('../utils/purchases');
+const { startOfDay, findExpiringBatches } = require('../utils/batches');
+const { resolveWarehouse, getWarehouseStock, warehouseStockLevel } = require('../utils/warehouses');
+
+/**
+ * Summarise issued credit and debit notes for GST returns
+ * @param {Array} notes - CreditDebitNote documents (invoiceId and customerId populated)
+ * @returns {object} - { credit, debit, notes } with tax totals per note type
+ */
+const summarizeNotes = (notes) => {
+  const emptyTotals = () => ({ count: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0, totalGST: 0, total: 0 });
+  const summary = { credit: emptyTotals(), debit: emptyTotals(), notes: [] };
+
+  notes.forEach(note => {
+    const totals = summary[note.noteType];
+    totals.count += 1;
+    totals.taxableValue += note.subtotal || 0;
+    totals.cgst += note.cgst || 0;
+    totals.sgst += note.sgst || 0;
+    totals.igst += note.igst || 0;
+    totals.cess += note.cess || 0;
+    totals.totalGST += note.totalGST || 0;
+    totals.total += note.grandTotal || 0;
+
+    summary.notes.push({
+      noteNumber: note.noteNumber,
+      noteType: note.noteType,
+      reason: note.reason,
+      date: note.date,
+      invoiceNumber: note.invoiceId?.invoiceNumber || '',
+      invoiceDate: note.invoiceId?.date || null,
+      customerName: note.customerId?.name || 'Unknown',
+      customerGSTIN: note.customerId?.gstin || '',
+      taxableValue: note.subtotal || 0,
+      cgst: note.cgst || 0,
+      sgst: note.sgst || 0,
+      igst: note.igst || 0,
+      cess: note.cess || 0,
+      total: note.grandTotal || 0
+    });
+  });
+
+  return summary;
+};
+
+// Invoices and notes for GSTR-1; cancelled documents are needed for the documents-issued summary
+const loadGSTR1Documents = async (businessId, startDate, endDate) => {
+  const invoices = await Invoice.find({
+    businessId,
+    date: { $gte: startDate, $lte: endDate },
+    status: { $ne: 'draft' }
+  })
+    .populate('customerId', 'name gstin state shippingState gstTreatment')
+    .sort({ date: 1 });
+
+  const notes = await CreditDebitNote.find({
+    businessId,
+    date: { $gte: startDate, $lte: endDate }
+  })
+    .populate('invoiceId', 'invoiceNumber date grandTotal isInterState igst placeOfSupply gstTreatment reverseCharge')
+    .populate('customerId', 'name gstin state shippingState gstTreatment')
+    .sort({ date: 1 });
+
+  return { invoices, notes };
+};
+
+// Issued credit/debit notes for a business in a date range
+const findNotesForPeriod = (businessId, startDate, endDate) => {
+  return CreditDebitNote.find({
+    businessId,
+    date: { $gte: startDate, $lte: endDate },
+    status: 'issued'
+  })
+    .populate('invoiceId', 'invoiceNumber date reverseCharge')
+    .populate('customerId', 'name gstin state shippingState')
+    .sort({ date: 1 });
+};
 
 // Sales Report
 router.get('/sales', requireAdmin, async (req, res) => {
@@ -22,6 +105,7 @@ router.get('/sales', requireAdmin, async (req, res) => {
     const report = {
       totalSales: invoices.reduce((sum, inv) => sum + (inv.grandTotal || 0), 0),
       totalGST: invoices.reduce((sum, inv) => sum + (inv.totalGST || 0), 0),
+      totalRoundOff: invoices.reduce((sum, inv) => sum + (inv.roundOff || 0), 0),
       invoiceCount: invoices.length,
       dailySales: []
     };
@@ -60,17 +144,20 @@ router.get('/profit-loss', requireAdmin, async (req, res) => {
       status: { $ne: 'cancelled' }
     });
 
+    // Goods sold are costed at their average purchase cost as of the period end
+    const unitCosts = await getProductUnitCosts(
+      req.user.businessId,
+      invoices.flatMap(invoice => invoice.items.map(item => item.productId)),
+      new Date(endDate)
+    );
+
     let revenue = 0;
     let costs = 0;
 
     for (const invoice of invoices) {
       revenue += invoice.grandTotal || 0;
-      // Calculate costs from items
       for (const item of invoice.items) {
-        const product = await Product.findById(item.productId);
-        if (product && product.purchasePrice) {
-          costs += item.quantity * product.purchasePrice;
-        }
+        costs += item.quantity * (unitCosts.get(item.productId.toString()) || 0);
       }
     }
 
@@ -144,39 +231,8 @@ router.get('/gstr-1', requireAdmin, async (req, res) => {
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59);
 
-    const invoices = await Invoice.find({
-      businessId: req.user.businessId,
-      date: { $gte: startDate, $lte: endDate },
-      status: { $ne: 'cancelled' }
-    });
-
-    const byGSTRate = {
-      '0': { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 },
-      '5': { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 },
-      '12': { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 },
-      '18': { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 },
-      '28': { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 }
-    };
-
-    invoices.forEach(invoice => {
-      invoice.items.forEach(item => {
-        const rate = Math.round(item.gstRate || 0).toString();
-        if (!byGSTRate[rate]) {
-          byGSTRate[rate] = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
-        }
-        byGSTRate[rate].taxableValue += item.itemTotal || 0;
-        byGSTRate[rate].cgst += invoice.cgst || 0;
-        byGSTRate[rate].sgst += invoice.sgst || 0;
-        byGSTRate[rate].igst += invoice.igst || 0;
-      });
-    });
-
-    const report = {
-      period,
-      taxableValue: {},
-      taxBreakdown: {},
-      byGSTRate
-    };
+    const { invoices, notes } = await loadGSTR1Documents(req.user.businessId, startDate, endDate);
+    const report = buildGSTR1({ period, invoices, notes });
 
     res.json(report);
   } catch (error) {
@@ -185,6 +241,45 @@ router.get('/gstr-1', requireAdmin, async (req, res) => {
   }
 });
 
+// GSTR-1 JSON export for the GST portal offline tool
+router.get('/gstr-1/export', requireAdmin, async (req, res) => {
+  try {
+    const { period } = req.query; // Format: YYYY-MM
+
+    if (!period || !/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+      return res.status(400).json({ error: 'Period required (format: YYYY-MM)' });
+    }
+
+    const [year, month] = period.split('-');
+    const startDate = new Date(year, month - 1, 1);
+    const endDate = new Date(year, month, 0, 23, 59, 59);
+
+    const business = await User.findById(req.user.businessId);
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const { invoices, notes } = await loadGSTR1Documents(req.user.businessId, startDate, endDate);
+
+    // Report bad data up front instead of producing a file the portal rejects
+    const errors = validateGSTR1Documents({ business, invoices, notes });
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'GSTR-1 data has errors that must be fixed before export', errors });
+    }
+
+    const gstin = business.gstNumber.trim().toUpperCase();
+    const report = buildGSTR1({ period, invoices, notes });
+    const payload = toPortalJSON(report, { gstin, period });
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=GSTR1_${gstin}_${month}${year}.json`);
+    res.send(JSON.stringify(payload, null, 2));
+  } catch (error) {
+    console.error('Export GSTR-1 error:', error);
+    res.status(500).json({ error: 'Failed to export GSTR-1' });
+  }
+});
+
 // GSTR-3B Report
 router.get('/gstr-3b', requireAdmin, async (req, res) => {
   try {
@@ -198,22 +293,83 @@ router.get('/gstr-3b', requireAdmin, async (req, res) => {
     const startDate = new Date(year, month - 1, 1);
     const endDate = new Date(year, month, 0, 23, 59, 59);
 
-    const invoices = await Invoice.find({
+    const allInvoices = await Invoice.find({
       businessId: req.user.businessId,
       date: { $gte: startDate, $lte: endDate },
       status: { $ne: 'cancelled' }
     });
 
+    // Tax on reverse-charge supplies is paid by the recipient, not the business
+    const invoices = allInvoices.filter(inv => !inv.reverseCharge);
+    const reverseChargeInvoices = allInvoices.filter(inv => inv.reverseCharge);
+    const zeroRatedInvoices = invoices.filter(inv => isZeroRated(inv.gstTreatment) || inv.gstTreatment === 'sez_with_payment');
+
     const summary = {
       totalTaxableValue: invoices.reduce((sum, inv) => sum + (inv.subtotal || 0), 0),
       totalCGST: invoices.reduce((sum, inv) => sum + (inv.cgst || 0), 0),
       totalSGST: invoices.reduce((sum, inv) => sum + (inv.sgst || 0), 0),
-      totalIGST: invoices.reduce((sum, inv) => sum + (inv.igst || 0), 0)
+      totalIGST: invoices.reduce((sum, inv) => sum + (inv.igst || 0), 0),
+      totalCess: invoices.reduce((sum, inv) => sum + (inv.cess || 0), 0)
+    };
+
+    // Zero-rated supplies: exports and SEZ supplies, with or without payment of IGST
+    const zeroRatedSupplies = {
+      count: zeroRatedInvoices.length,
+      taxableValue: zeroRatedInvoices.reduce((sum, inv) => sum + (inv.subtotal || 0), 0),
+      igst: zeroRatedInvoices.reduce((sum, inv) => sum + (inv.igst || 0), 0),
+      cess: zeroRatedInvoices.reduce((sum, inv) => sum + (inv.cess || 0), 0)
     };
 
+    const reverseChargeSupplies = {
+      count: reverseChargeInvoices.length,
+      taxableValue: reverseChargeInvoices.reduce((sum, inv) => sum + (inv.subtotal || 0), 0),
+      taxPayableByRecipient: reverseChargeInvoices.reduce((sum, inv) => sum + (inv.totalGST || 0) + (inv.cess || 0), 0)
+    };
+
+    const periodNotes = await findNotesForPeriod(req.user.businessId, startDate, endDate);
+    const notes = summarizeNotes(periodNotes.filter(note => !note.invoiceId?.reverseCharge));
+
+    // Credit notes reduce and debit notes add to the outward tax liability
+    const netSummary = {
+      totalTaxableValue: summary.totalTaxableValue - notes.credit.taxableValue + notes.debit.taxableValue,
+      totalCGST: summary.totalCGST - notes.credit.cgst + notes.debit.cgst,
+      totalSGST: summary.totalSGST - notes.credit.sgst + notes.debit.sgst,
+      totalIGST: summary.totalIGST - notes.credit.igst + notes.debit.igst,
+      totalCess: summary.totalCess - notes.credit.cess + notes.debit.cess
+    };
+
+    // Inward supplies: tax on reverse-charge purchases is payable in cash and then
+    // claimable, alongside the ITC on other purchase bills
+    const bills = await PurchaseBill.find({
+      businessId: req.user.businessId,
+      billDate: { $gte: startDate, $lte: endDate },
+      status: 'recorded'
+    });
+    const { inwardReverseCharge, itc } = summarizeItc(bills);
+
+    const setOff = setOffItc({
+      igst: netSummary.totalIGST,
+      cgst: netSummary.totalCGST,
+      sgst: netSummary.totalSGST,
+      cess: netSummary.totalCess
+    }, itc.net);
+    Object.keys(setOff.payableInCash).forEach(head => {
+      setOff.payableInCash[head] = parseFloat((setOff.payableInCash[head] + inwardReverseCharge[head]).toFixed(2));
+    });
+
     const report = {
       period,
-      summary
+      summary,
+      zeroRatedSupplies,
+      reverseChargeSupplies,
+      inwardReverseCharge,
+      creditDebitNotes: {
+        credit: notes.credit,
+        debit: notes.debit
+      },
+      netSummary,
+      itc,
+      taxPayment: setOff
     };
 
     res.json(report);
@@ -250,7 +406,9 @@ router.get('/transactions/sales', requireAdmin, async (req, res) => {
       cgst: inv.cgst || 0,
       sgst: inv.sgst || 0,
       igst: inv.igst || 0,
+      cess: inv.cess || 0,
       totalGST: inv.totalGST || 0,
+      roundOff: inv.roundOff || 0,
       grandTotal: inv.grandTotal || 0,
       status: inv.status,
       itemCount: inv.items.length
@@ -260,7 +418,8 @@ router.get('/transactions/sales', requireAdmin, async (req, res) => {
       totalTransactions: transactions.length,
       totalSales: transactions.reduce((sum, t) => sum + t.grandTotal, 0),
       totalGST: transactions.reduce((sum, t) => sum + t.totalGST, 0),
-      totalSubtotal: transactions.reduce((sum, t) => sum + t.subtotal, 0)
+      totalSubtotal: transactions.reduce((sum, t) => sum + t.subtotal, 0),
+      totalRoundOff: transactions.reduce((sum, t) => sum + t.roundOff, 0)
     };
 
     res.json({ transactions, summary });
@@ -279,53 +438,47 @@ router.get('/transactions/purchases', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Start date and end date required' });
     }
 
-    // Get invoices in the date range
-    const invoices = await Invoice.find({
+    const bills = await PurchaseBill.find({
       businessId: req.user.businessId,
-      date: { $gte: new Date(startDate), $lte: new Date(endDate) },
-      status: { $ne: 'cancelled' }
-    });
-
-    // Calculate purchases from invoice items (using purchasePrice)
-    const purchaseMap = {};
-    let totalPurchaseCost = 0;
-
-    for (const invoice of invoices) {
-      for (const item of invoice.items) {
-        const product = await Product.findById(item.productId);
-        if (product && product.purchasePrice) {
-          const purchaseCost = item.quantity * product.purchasePrice;
-          totalPurchaseCost += purchaseCost;
-          
-          const date = invoice.date.toISOString().split('T')[0];
-          if (!purchaseMap[date]) {
-            purchaseMap[date] = {
-              date,
-              items: [],
-              totalCost: 0
-            };
-          }
-          
-          purchaseMap[date].items.push({
-            productName: item.productName || product.name,
-            quantity: item.quantity,
-            unit: item.unit || product.unit,
-            purchasePrice: product.purchasePrice,
-            totalCost: purchaseCost
-          });
-          purchaseMap[date].totalCost += purchaseCost;
-        }
-      }
-    }
-
-    const purchases = Object.values(purchaseMap).sort((a, b) => 
-      new Date(b.date) - new Date(a.date)
-    );
+      billDate: { $gte: new Date(startDate), $lte: new Date(endDate) },
+      status: 'recorded'
+    }).populate('supplierId', 'name gstin').sort({ billDate: -1 });
+
+    const purchases = bills.map(bill => ({
+      date: bill.billDate,
+      billNumber: bill.billNumber,
+      supplier: {
+        name: bill.supplierId?.name || 'Unknown',
+        gstin: bill.supplierGstin || bill.supplierId?.gstin || ''
+      },
+      items: bill.items.map(item => ({
+        productName: item.productName,
+        quantity: item.quantity,
+        unit: item.unit,
+        purchasePrice: item.unitPrice,
+        totalCost: item.itemTotal || 0
+      })),
+      subtotal: bill.subtotal || 0,
+      cgst: bill.cgst || 0,
+      sgst: bill.sgst || 0,
+      igst: bill.igst || 0,
+      cess: bill.cess || 0,
+      totalGST: bill.totalGST || 0,
+      reverseCharge: bill.reverseCharge,
+      itcEligible: bill.itcEligible,
+      roundOff: bill.roundOff || 0,
+      grandTotal: bill.grandTotal || 0,
+      totalCost: bill.subtotal || 0
+    }));
 
+    const { itc } = summarizeItc(bills);
     const summary = {
       totalPurchases: purchases.length,
-      totalCost: totalPurchaseCost,
-      totalItems: purchases.reduce((sum, p) => sum + p.items.length, 0)
+      totalCost: purchases.reduce((sum, p) => sum + p.totalCost, 0),
+      totalGST: purchases.reduce((sum, p) => sum + p.totalGST, 0),
+      totalAmount: purchases.reduce((sum, p) => sum + p.grandTotal, 0),
+      totalItems: purchases.reduce((sum, p) => sum + p.items.length, 0),
+      eligibleITC: itc.net
     };
 
     res.json({ purchases, summary });
@@ -360,12 +513,16 @@ router.get('/bill-wise/items', requireAdmin, async (req, res) => {
         quantity: item.quantity,
         unit: item.unit,
         unitPrice: item.unitPrice,
+        priceIncludesTax: !!item.priceIncludesTax,
         gstRate: item.gstRate,
+        grossAmount: item.grossAmount || item.itemTotal,
+        discountAmount: item.discountAmount || 0,
         itemTotal: item.itemTotal,
         itemGST: item.itemGST
       })),
       subtotal: invoice.subtotal,
       totalGST: invoice.totalGST,
+      roundOff: invoice.roundOff || 0,
       grandTotal: invoice.grandTotal,
       status: invoice.status
     }));
@@ -405,13 +562,30 @@ router.get('/bill-wise/items', requireAdmin, async (req, res) => {
 // Item Reports: Stock Summary
 router.get('/items/stock-summary', requireAdmin, async (req, res) => {
   try {
+    const { warehouseId } = req.query;
+
+    // With ?warehouseId= stock and low-stock levels are those at that warehouse
+    let warehouse = null;
+    let warehouseStock = null;
+    if (warehouseId) {
+      const location = await resolveWarehouse(req.user.businessId, warehouseId);
+      if (location.error) {
+        return res.status(400).json({ error: location.error });
+      }
+      warehouse = location.warehouse;
+      warehouseStock = await getWarehouseStock(warehouse._id);
+    }
+
     const products = await Product.find({ businessId: req.user.businessId })
       .sort({ name: 1 });
 
     const stockSummary = products.map(product => {
-      const stockValue = product.stock * product.price;
-      const purchaseValue = product.stock * (product.purchasePrice || 0);
-      const isLowStock = product.stock <= product.minStock;
+      const { stock, minStock } = warehouseStock
+        ? warehouseStockLevel(product, warehouseStock.get(product._id.toString()))
+        : product;
+      const stockValue = stock * product.price;
+      const purchaseValue = stock * (product.purchasePrice || 0);
+      const isLowStock = stock <= minStock;
       
       return {
         productId: product._id,
@@ -419,15 +593,15 @@ router.get('/items/stock-summary', requireAdmin, async (req, res) => {
         nameHindi: product.nameHindi,
         sku: product.sku,
         category: product.category,
-        stock: product.stock,
-        minStock: product.minStock,
+        stock,
+        minStock,
         unit: product.unit,
         price: product.price,
         purchasePrice: product.purchasePrice || 0,
         stockValue,
         purchaseValue,
         isLowStock,
-        stockStatus: isLowStock ? 'Low Stock' : product.stock === 0 ? 'Out of Stock' : 'In Stock'
+        stockStatus: isLowStock ? 'Low Stock' : stock === 0 ? 'Out of Stock' : 'In Stock'
       };
     });
 
@@ -440,13 +614,65 @@ router.get('/items/stock-summary', requireAdmin, async (req, res) => {
       inStockCount: stockSummary.filter(p => p.stock > 0 && !p.isLowStock).length
     };
 
-    res.json({ stockSummary, summary });
+    res.json({ warehouse, stockSummary, summary });
   } catch (error) {
     console.error('Get stock summary error:', error);
     res.status(500).json({ error: 'Failed to get stock summary' });
   }
 });
 
+// Item Reports: Batches expiring within ?days= (default 30), including those already expired
+router.get('/items/expiring', requireAdmin, async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ error: 'Days must be a whole number of 0 or more' });
+    }
+
+    const batches = (await findExpiringBatches(req.user.businessId, days)).filter(batch => batch.productId);
+    const today = startOfDay(new Date());
+    const unitCosts = await getProductUnitCosts(
+      req.user.businessId,
+      batches.map(batch => batch.productId._id),
+      new Date()
+    );
+
+    const items = batches.map(batch => {
+      const daysToExpiry = Math.round((startOfDay(batch.expiryDate) - today) / (24 * 60 * 60 * 1000));
+      const unitCost = unitCosts.get(batch.productId._id.toString()) || 0;
+      return {
+        batchId: batch._id,
+        productId: batch.productId._id,
+        productName: batch.productId.name,
+        sku: batch.productId.sku || '',
+        category: batch.productId.category || '',
+        batchNumber: batch.batchNumber,
+        manufacturingDate: batch.manufacturingDate,
+        expiryDate: batch.expiryDate,
+        daysToExpiry,
+        expired: daysToExpiry < 0,
+        quantity: batch.quantity,
+        unit: batch.productId.unit,
+        value: parseFloat((batch.quantity * unitCost).toFixed(2))
+      };
+    });
+
+    const expired = items.filter(item => item.expired);
+    const summary = {
+      days,
+      batchCount: items.length,
+      expiredBatches: expired.length,
+      expiredValue: expired.reduce((sum, item) => sum + item.value, 0),
+      expiringValue: items.filter(item => !item.expired).reduce((sum, item) => sum + item.value, 0)
+    };
+
+    res.json({ batches: items, summary });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({ error: 'Failed to get expiring batches' });
+  }
+});
+
 // Item Reports: P&L Statement (Product-wise)
 router.get('/items/pl-statement', requireAdmin, async (req, res) => {
   try {
@@ -462,6 +688,12 @@ router.get('/items/pl-statement', requireAdmin, async (req, res) => {
       status: { $ne: 'cancelled' }
     });
 
+    const unitCosts = await getProductUnitCosts(
+      req.user.businessId,
+      invoices.flatMap(invoice => invoice.items.map(item => item.productId)),
+      new Date(endDate)
+    );
+
     const productPL = {};
     
     for (const invoice of invoices) {
@@ -484,7 +716,7 @@ router.get('/items/pl-statement', requireAdmin, async (req, res) => {
         }
         
         const revenue = item.itemTotal || 0;
-        const cost = item.quantity * (product?.purchasePrice || 0);
+        const cost = item.quantity * (unitCosts.get(productId) || 0);
         const profit = revenue - cost;
         
         productPL[productId].totalQuantitySold += item.quantity;
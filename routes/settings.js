@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const DocumentSeries = require('../models/DocumentSeries');
+const BusinessSettings = require('../models/BusinessSettings');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  DOCUMENT_TYPES,
+  validateSeries,
+  getSeries,
+  previewDocumentNumber,
+  setNextDocumentNumber,
+  carryOverCounter
+} = require('../utils/numberSeries');
+const {
+  ROUND_OFF_MODES,
+  INVOICE_TEMPLATES,
+  BRANDING_IMAGES,
+  MAX_IMAGE_SIZE,
+  getBusinessSettings,
+  getBrandingImages,
+  validateBrandingImage,
+  validateBusinessSettings
+} = require('../utils/businessSettings');
+const { INVOICE_LANGUAGES } = require('../utils/invoiceLabels');
+
+// Logo and signature uploads are kept in memory and stored with the settings
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE }
+});
+
+// Upload errors such as an oversized file are the client's, so they are a 400
+const uploadImage = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      error: error.code === 'LIMIT_FILE_SIZE' ? 'Image must be 1 MB or smaller' : error.message
+    });
+  }
+  next(error);
+});
+
+// Settings fields that can be updated through the API
+const BUSINESS_SETTINGS_FIELDS = ['roundOff', 'bankDetails', 'upiVpa', 'template', 'accentColor', 'termsAndConditions', 'footerText', 'invoiceLanguage'];
+const BANK_DETAILS_FIELDS = ['accountName', 'bankName', 'accountNumber', 'ifsc', 'branch'];
+
+// Get business settings
+router.get('/business', requireAdmin, async (req, res) => {
+  try {
+    const settings = await getBusinessSettings(req.user.businessId);
+    res.json({ settings, roundOffModes: ROUND_OFF_MODES, templates: INVOICE_TEMPLATES, languages: INVOICE_LANGUAGES });
+  } catch (error) {
+    console.error('Get business settings error:', error);
+    res.status(500).json({ error: 'Failed to get business settings' });
+  }
+});
+
+// Update business settings
+router.put('/business', requireAdmin, async (req, res) => {
+  try {
+    const updates = {};
+    BUSINESS_SETTINGS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const validationError = validateBusinessSettings(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Bank details are merged field by field, so a partial update keeps the rest; null removes them
+    const { bankDetails, ...fields } = updates;
+    const update = { $set: { businessId: req.user.businessId, ...fields } };
+    if (bankDetails === null) {
+      update.$unset = { bankDetails: 1 };
+    } else if (bankDetails) {
+      BANK_DETAILS_FIELDS.forEach(field => {
+        if (bankDetails[field] !== undefined) {
+          update.$set[`bankDetails.${field}`] = bankDetails[field];
+        }
+      });
+    }
+
+    await BusinessSettings.findOneAndUpdate(
+      { businessId: req.user.businessId },
+      update,
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Business settings updated',
+      settings: await getBusinessSettings(req.user.businessId)
+    });
+  } catch (error) {
+    console.error('Update business settings error:', error);
+    res.status(500).json({ error: 'Failed to update business settings' });
+  }
+});
+
+// Get the uploaded logo or signature
+router.get('/business/:image', requireAdmin, async (req, res) => {
+  try {
+    const { image } = req.params;
+    if (!BRANDING_IMAGES.includes(image)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const images = await getBrandingImages(req.user.businessId);
+    if (!images[image]) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.setHeader('Content-Type', images[image].contentType);
+    res.send(images[image].data);
+  } catch (error) {
+    console.error('Get branding image error:', error);
+    res.status(500).json({ error: 'Failed to get image' });
+  }
+});
+
+// Upload the logo or signature (PNG or JPEG, form field "file")
+router.post('/business/:image', requireAdmin, uploadImage, async (req, res) => {
+  try {
+    const { image } = req.params;
+    if (!BRANDING_IMAGES.includes(image)) {
+      return res.status(400).json({ error: `Image must be one of: ${BRANDING_IMAGES.join(', ')}` });
+    }
+
+    const imageError = validateBrandingImage(req.file);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+
+    await BusinessSettings.findOneAndUpdate(
+      { businessId: req.user.businessId },
+      {
+        businessId: req.user.businessId,
+        [image]: { data: req.file.buffer, contentType: req.file.mimetype }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.json({
+      message: `${image === 'logo' ? 'Logo' : 'Signature'} uploaded`,
+      settings: await getBusinessSettings(req.user.businessId)
+    });
+  } catch (error) {
+    console.error('Upload branding image error:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// Remove the logo or signature
+router.delete('/business/:image', requireAdmin, async (req, res) => {
+  try {
+    const { image } = req.params;
+    if (!BRANDING_IMAGES.includes(image)) {
+      return res.status(400).json({ error: `Image must be one of: ${BRANDING_IMAGES.join(', ')}` });
+    }
+
+    await BusinessSettings.updateOne(
+      { businessId: req.user.businessId },
+      { $unset: { [image]: 1 } }
+    );
+
+    res.json({
+      message: `${image === 'logo' ? 'Logo' : 'Signature'} removed`,
+      settings: await getBusinessSettings(req.user.businessId)
+    });
+  } catch (error) {
+    console.error('Delete branding image error:', error);
+    res.status(500).json({ error: 'Failed to remove image' });
+  }
+});
+
+// Get number series for all document types
+router.get('/number-series', requireAdmin, async (req, res) => {
+  try {
+    const series = await Promise.all(Object.keys(DOCUMENT_TYPES).map(async (docType) => ({
+      ...(await getSeries(req.user.businessId, docType)),
+      nextNumber: await previewDocumentNumber(req.user.businessId, docType)
+    })));
+    res.json({ series });
+  } catch (error) {
+    console.error('Get number series error:', error);
+    res.status(500).json({ error: 'Failed to get number series' });
+  }
+});
+
+// Create or update the number series for a document type
+router.put('/number-series/:docType', requireAdmin, async (req, res) => {
+  try {
+    const { docType } = req.params;
+    const { prefix, pattern, padding, resetYearly, branch, nextNumber } = req.body;
+
+    const current = DOCUMENT_TYPES[docType] ? await getSeries(req.user.businessId, docType) : {};
+    const updates = {
+      prefix: prefix !== undefined ? prefix : current.prefix,
+      pattern: pattern !== undefined ? pattern : current.pattern,
+      padding: padding !== undefined ? parseInt(padding) : current.padding,
+      resetYearly: resetYearly !== undefined ? !!resetYearly : current.resetYearly,
+      branch: branch !== undefined ? branch : current.branch
+    };
+
+    if (nextNumber !== undefined && (!Number.isInteger(Number(nextNumber)) || Number(nextNumber) < 1)) {
+      return res.status(400).json({ error: 'Next number must be a positive whole number' });
+    }
+
+    const validationError = validateSeries(docType, updates, nextNumber !== undefined ? Number(nextNumber) : undefined);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const series = await DocumentSeries.findOneAndUpdate(
+      { businessId: req.user.businessId, docType },
+      { businessId: req.user.businessId, docType, ...updates },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    if (updates.resetYearly !== current.resetYearly) {
+      await carryOverCounter(req.user.businessId, current, { ...current, ...updates });
+    }
+    if (nextNumber !== undefined) {
+      await setNextDocumentNumber(req.user.businessId, docType, Number(nextNumber));
+    }
+
+    res.json({
+      message: 'Number series updated',
+      series,
+      nextNumber: await previewDocumentNumber(req.user.businessId, docType)
+    });
+  } catch (error) {
+    console.error('Update number series error:', error);
+    res.status(500).json({ error: 'Failed to update number series' });
+  }
+});
+
+module.exports = router;
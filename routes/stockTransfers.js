@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const StockTransfer = require('../models/StockTransfer');
+const Product = require('../models/Product');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  validateNextDocumentNumber
+} = require('../utils/numberSeries');
+const { transferStock } = require('../utils/stockLedger');
+const { resolveWarehouse, findStockShortfall } = require('../utils/warehouses');
+const { transferBatches, reverseBatchTransfer } = require('../utils/batches');
+
+// Move every line of a transfer out of one warehouse into another. A line fails when
+// the stock left the warehouse since it was checked; the lines already moved are then
+// moved back. Returns an error message, or null when every line moved.
+const moveTransferStock = async (transfer, from, toWarehouseId, userId, reason) => {
+  const move = (item, fromWarehouseId, destinationId, why) => transferStock({
+    businessId: transfer.businessId,
+    productId: item.productId,
+    quantity: item.quantity,
+    fromWarehouseId,
+    toWarehouseId: destinationId,
+    referenceType: 'stock_transfer',
+    referenceId: transfer._id,
+    referenceNumber: transfer.transferNumber,
+    reason: why,
+    userId
+  });
+  const moved = [];
+  const moveBack = async () => {
+    for (const item of moved) {
+      await move(item, toWarehouseId, from._id, 'Stock transfer failed');
+    }
+  };
+
+  try {
+    for (const item of transfer.items) {
+      if (!(await move(item, from._id, toWarehouseId, reason))) {
+        await moveBack();
+        return `${from.name} no longer has ${item.quantity} of ${item.productName}`;
+      }
+      moved.push(item);
+    }
+  } catch (error) {
+    await moveBack();
+    throw error;
+  }
+  return null;
+};
+
+// Move stock from one warehouse to another
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { fromWarehouseId, toWarehouseId, items, date, notes, branch } = req.body;
+
+    if (!fromWarehouseId || !toWarehouseId || !items || items.length === 0) {
+      return res.status(400).json({ error: 'From warehouse, to warehouse and items required' });
+    }
+    if (String(fromWarehouseId) === String(toWarehouseId)) {
+      return res.status(400).json({ error: 'From and to warehouses must be different' });
+    }
+    if (items.some(item => !item.productId || !(Number(item.quantity) > 0))) {
+      return res.status(400).json({ error: 'Each item needs a product and a quantity greater than 0' });
+    }
+    const productIds = items.map(item => String(item.productId));
+    if (new Set(productIds).size !== productIds.length) {
+      return res.status(400).json({ error: 'Each product can appear only once on a transfer' });
+    }
+
+    const from = await resolveWarehouse(req.user.businessId, fromWarehouseId);
+    const to = await resolveWarehouse(req.user.businessId, toWarehouseId);
+    if (from.error || to.error) {
+      return res.status(400).json({ error: from.error || to.error });
+    }
+
+    const products = await Product.find({ _id: { $in: productIds }, businessId: req.user.businessId });
+    const lines = [];
+    for (const item of items) {
+      const product = products.find(p => p._id.toString() === String(item.productId));
+      if (!product) {
+        return res.status(400).json({ error: `Product ${item.productId} not found` });
+      }
+      lines.push({ productId: product._id, productName: product.name, quantity: Number(item.quantity), unit: product.unit });
+    }
+
+    const shortfall = await findStockShortfall(req.user.businessId, from.warehouse, lines);
+    if (shortfall) {
+      return res.status(400).json({ error: shortfall });
+    }
+
+    const transferDate = date || new Date().toISOString().split('T')[0];
+    const numberError = await validateNextDocumentNumber(req.user.businessId, 'stock_transfer', { date: transferDate, branch });
+    if (numberError) {
+      return res.status(400).json({ error: numberError });
+    }
+
+    const numbering = await allocateDocumentNumber(req.user.businessId, 'stock_transfer', {
+      date: transferDate,
+      branch
+    });
+
+    const transfer = await StockTransfer.create({
+      businessId: req.user.businessId,
+      transferNumber: numbering.number,
+      date: transferDate,
+      fromWarehouseId: from.warehouse._id,
+      toWarehouseId: to.warehouse._id,
+      items: lines,
+      notes,
+      createdBy: req.user.id
+    }).catch(async (error) => {
+      await releaseDocumentNumber(numbering);
+      throw error;
+    });
+
+    const moveError = await moveTransferStock(transfer, from.warehouse, to.warehouse._id, req.user.id);
+    if (moveError) {
+      // Nothing moved, so the transfer stays on record as cancelled
+      transfer.status = 'cancelled';
+      await transfer.save();
+      return res.status(400).json({ error: moveError });
+    }
+
+    // Batch-tracked stock takes its batches along, earliest expiry first
+    const trackedIds = new Set(products.filter(product => product.trackBatches).map(product => product._id.toString()));
+    for (const item of transfer.items) {
+      if (!trackedIds.has(item.productId.toString())) continue;
+      item.batches = await transferBatches({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        quantity: item.quantity,
+        fromWarehouseId: transfer.fromWarehouseId,
+        toWarehouseId: transfer.toWarehouseId
+      });
+    }
+    await transfer.save();
+
+    res.status(201).json({ message: 'Stock transferred', transfer });
+  } catch (error) {
+    console.error('Create stock transfer error:', error);
+    res.status(500).json({ error: 'Failed to transfer stock' });
+  }
+});
+
+// Get all stock transfers; ?warehouseId= matches transfers out of or into that warehouse
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const { warehouseId, status, startDate, endDate } = req.query;
+    const query = { businessId: req.user.businessId };
+
+    if (warehouseId) {
+      query.$or = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (startDate && endDate) {
+      query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .populate('fromWarehouseId', 'name code')
+      .populate('toWarehouseId', 'name code')
+      .sort({ date: -1, createdAt: -1 });
+    res.json({ transfers });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({ error: 'Failed to get stock transfers' });
+  }
+});
+
+// Get stock transfer by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .populate('fromWarehouseId', 'name code address')
+      .populate('toWarehouseId', 'name code address')
+      .populate('createdBy', 'name');
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Stock transfer not found' });
+    }
+
+    res.json({ transfer });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    res.status(500).json({ error: 'Failed to get stock transfer' });
+  }
+});
+
+// Cancel stock transfer, moving the stock back (transfers are never deleted, to keep the audit trail)
+router.patch('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, businessId: req.user.businessId })
+      .populate('toWarehouseId', 'name');
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Stock transfer not found' });
+    }
+
+    if (transfer.status === 'cancelled') {
+      return res.status(400).json({ error: 'Stock transfer is already cancelled' });
+    }
+
+    // The goods must still be at the destination to go back
+    const shortfall = await findStockShortfall(req.user.businessId, transfer.toWarehouseId, transfer.items);
+    if (shortfall) {
+      return res.status(400).json({ error: `${shortfall}; the transfer cannot be cancelled` });
+    }
+
+    // Claim the cancellation before moving anything, so two cancels made at once cannot
+    // both move the stock back; the transfer is completed again if the move fails
+    const claimed = await StockTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'completed' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ error: 'Stock transfer is already cancelled' });
+    }
+    const restoreCompleted = () => StockTransfer.updateOne({ _id: transfer._id }, { status: 'completed' });
+
+    let moveError;
+    try {
+      moveError = await moveTransferStock(
+        transfer,
+        transfer.toWarehouseId,
+        transfer.fromWarehouseId,
+        req.user.id,
+        'Stock transfer cancelled'
+      );
+    } catch (error) {
+      await restoreCompleted();
+      throw error;
+    }
+    if (moveError) {
+      await restoreCompleted();
+      return res.status(400).json({ error: `${moveError}; the transfer cannot be cancelled` });
+    }
+
+    for (const item of transfer.items) {
+      await reverseBatchTransfer({
+        businessId: req.user.businessId,
+        productId: item.productId,
+        batches: item.batches,
+        toWarehouseId: transfer.toWarehouseId._id
+      });
+    }
+
+    // Saved by the claim above
+    transfer.status = 'cancelled';
+
+    res.json({ message: 'Stock transfer cancelled', transfer });
+  } catch (error) {
+    console.error('Cancel stock transfer error:', error);
+    res.status(500).json({ error: 'Failed to cancel stock transfer' });
+  }
+});
+
+module.exports = router;
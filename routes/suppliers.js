@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Supplier = require('../models/Supplier');
+const PurchaseBill = require('../models/PurchaseBill');
+const { requireAdmin } = require('../middleware/auth');
+const { validateGSTIN } = require('../utils/gstinValidator');
+const { validateSupplierGstTreatment } = require('../utils/purchases');
+
+// Create supplier
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      email,
+      phone,
+      gstin,
+      gstTreatment,
+      companyName,
+      address,
+      state,
+      pincode,
+      bankName,
+      bankAccount,
+      bankIFSC,
+      openingBalance,
+      notes
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const gstinError = gstin ? validateGSTIN(gstin) : null;
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
+    const treatmentError = validateSupplierGstTreatment(gstTreatment, gstin);
+    if (treatmentError) {
+      return res.status(400).json({ error: treatmentError });
+    }
+
+    const supplier = await Supplier.create({
+      businessId: req.user.businessId,
+      name,
+      email,
+      phone,
+      gstin,
+      gstTreatment,
+      companyName,
+      address,
+      state,
+      pincode,
+      bankName,
+      bankAccount,
+      bankIFSC,
+      openingBalance: openingBalance || 0,
+      notes
+    });
+
+    res.status(201).json({ message: 'Supplier created', supplier });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({ error: 'Failed to create supplier' });
+  }
+});
+
+// Get all suppliers
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const suppliers = await Supplier.find({ businessId: req.user.businessId }).sort({ name: 1 });
+    res.json({ suppliers });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Failed to get suppliers' });
+  }
+});
+
+// Get supplier by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json({ supplier });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ error: 'Failed to get supplier' });
+  }
+});
+
+// Update supplier
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const gstinError = req.body.gstin ? validateGSTIN(req.body.gstin) : null;
+    if (gstinError) {
+      return res.status(400).json({ error: gstinError });
+    }
+
+    // Check the treatment against the GSTIN the supplier will end up with
+    if (req.body.gstTreatment !== undefined || req.body.gstin !== undefined) {
+      const existing = await Supplier.findOne({ _id: id, businessId: req.user.businessId });
+      if (existing) {
+        const treatmentError = validateSupplierGstTreatment(
+          req.body.gstTreatment !== undefined ? req.body.gstTreatment : existing.gstTreatment,
+          req.body.gstin !== undefined ? req.body.gstin : existing.gstin
+        );
+        if (treatmentError) {
+          return res.status(400).json({ error: treatmentError });
+        }
+      }
+    }
+
+    const { businessId, ...updates } = req.body;
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id: id, businessId: req.user.businessId },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json({ message: 'Supplier updated', supplier });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ error: 'Failed to update supplier' });
+  }
+});
+
+// Delete supplier (only while no purchase bills refer to it)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const billCount = await PurchaseBill.countDocuments({ businessId: req.user.businessId, supplierId: id });
+    if (billCount > 0) {
+      return res.status(400).json({ error: `Supplier has ${billCount} purchase bill(s) and cannot be deleted` });
+    }
+
+    const supplier = await Supplier.findOneAndDelete({ _id: id, businessId: req.user.businessId });
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json({ message: 'Supplier deleted' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ error: 'Failed to delete supplier' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+const StockMovement = require('../models/StockMovement');
+const { requireAdmin } = require('../middleware/auth');
+const { warehouseStockLevel, seedWarehouseStock } = require('../utils/warehouses');
+
+// Create warehouse. The first one becomes the default and takes all existing stock.
+// Make a warehouse the default unless another one is. The unique index on the default
+// warehouse lets only one of two claims made at once succeed. Returns whether it did.
+const claimDefault = async (warehouse) => {
+  try {
+    await Warehouse.updateOne({ _id: warehouse._id }, { isDefault: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+  warehouse.isDefault = true;
+  return true;
+};
+
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { name, code, address, state, pincode, isDefault } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const existing = await Warehouse.findOne({ businessId: req.user.businessId, name: String(name).trim() });
+    if (existing) {
+      return res.status(400).json({ error: `Warehouse ${existing.name} already exists` });
+    }
+
+    const isFirst = (await Warehouse.countDocuments({ businessId: req.user.businessId })) === 0;
+
+    const warehouse = await Warehouse.create({
+      businessId: req.user.businessId,
+      name,
+      code,
+      address,
+      state,
+      pincode
+    });
+
+    // The first warehouse becomes the default and takes the stock already on hand. When
+    // two first warehouses are created at once, only the one that claims the default does.
+    if (isDefault && !isFirst) {
+      await Warehouse.updateMany({ businessId: req.user.businessId, _id: { $ne: warehouse._id } }, { isDefault: false });
+    }
+    if ((isFirst || isDefault) && await claimDefault(warehouse) && isFirst) {
+      await seedWarehouseStock(warehouse);
+    }
+
+    res.status(201).json({ message: 'Warehouse created', warehouse });
+  } catch (error) {
+    console.error('Create warehouse error:', error);
+    res.status(500).json({ error: 'Failed to create warehouse' });
+  }
+});
+
+// Get all warehouses, default first
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const warehouses = await Warehouse.find({ businessId: req.user.businessId }).sort({ isDefault: -1, name: 1 });
+    res.json({ warehouses });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({ error: 'Failed to get warehouses' });
+  }
+});
+
+// Get warehouse by ID
+router.get('/:id', requireAdmin, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, businessId: req.user.businessId });
+
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    res.json({ warehouse });
+  } catch (error) {
+    console.error('Get warehouse error:', error);
+    res.status(500).json({ error: 'Failed to get warehouse' });
+  }
+});
+
+// Fields of a warehouse that PUT /:id changes
+const EDITABLE_FIELDS = ['name', 'code', 'address', 'state', 'pincode', 'isActive'];
+
+// Update warehouse (the default is changed with PATCH /:id/default)
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const warehouse = await Warehouse.findOne({ _id: id, businessId: req.user.businessId });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    if (updates.isActive === false && warehouse.isActive) {
+      if (warehouse.isDefault) {
+        return res.status(400).json({ error: 'Make another warehouse the default before deactivating this one' });
+      }
+      // Stock at an inactive warehouse could neither be sold nor moved out
+      const stocked = await WarehouseStock.countDocuments({ warehouseId: warehouse._id, quantity: { $ne: 0 } });
+      if (stocked > 0) {
+        return res.status(400).json({ error: `Warehouse still holds stock of ${stocked} product(s); transfer it out before deactivating` });
+      }
+    }
+    if (updates.name !== undefined) {
+      const existing = await Warehouse.findOne({
+        businessId: req.user.businessId,
+        name: String(updates.name).trim(),
+        _id: { $ne: warehouse._id }
+      });
+      if (existing) {
+        return res.status(400).json({ error: `Warehouse ${existing.name} already exists` });
+      }
+    }
+
+    Object.assign(warehouse, updates);
+    await warehouse.save();
+
+    res.json({ message: 'Warehouse updated', warehouse });
+  } catch (error) {
+    console.error('Update warehouse error:', error);
+    res.status(500).json({ error: 'Failed to update warehouse' });
+  }
+});
+
+// Make a warehouse the default
+router.patch('/:id/default', requireAdmin, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    if (!warehouse.isActive) {
+      return res.status(400).json({ error: 'An inactive warehouse cannot be the default' });
+    }
+
+    await Warehouse.updateMany({ businessId: req.user.businessId, _id: { $ne: warehouse._id } }, { isDefault: false });
+    if (!(await claimDefault(warehouse))) {
+      return res.status(400).json({ error: 'Another warehouse was made the default at the same time; try again' });
+    }
+
+    res.json({ message: 'Default warehouse updated', warehouse });
+  } catch (error) {
+    console.error('Set default warehouse error:', error);
+    res.status(500).json({ error: 'Failed to set default warehouse' });
+  }
+});
+
+// Delete warehouse (only one that is not the default and never held stock)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    if (warehouse.isDefault) {
+      return res.status(400).json({ error: 'The default warehouse cannot be deleted' });
+    }
+
+    const movementCount = await StockMovement.countDocuments({ businessId: req.user.businessId, warehouseId: warehouse._id });
+    if (movementCount > 0) {
+      return res.status(400).json({ error: 'Warehouse has stock movements and cannot be deleted; mark it inactive instead' });
+    }
+
+    await WarehouseStock.deleteMany({ warehouseId: warehouse._id });
+    await warehouse.deleteOne();
+
+    res.json({ message: 'Warehouse deleted' });
+  } catch (error) {
+    console.error('Delete warehouse error:', error);
+    res.status(500).json({ error: 'Failed to delete warehouse' });
+  }
+});
+
+// Stock held at a warehouse, with its low-stock levels
+router.get('/:id/stock', requireAdmin, async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+
+    const rows = await WarehouseStock.find({ warehouseId: warehouse._id })
+      .populate('productId', 'name sku unit category minStock');
+
+    const items = rows
+      .filter(row => row.productId)
+      .map(row => {
+        const level = warehouseStockLevel(row.productId, row);
+        return {
+          productId: row.productId._id,
+          name: row.productId.name,
+          sku: row.productId.sku,
+          unit: row.productId.unit,
+          category: row.productId.category,
+          stock: level.stock,
+          minStock: level.minStock,
+          isLowStock: level.stock <= level.minStock
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ warehouse, items });
+  } catch (error) {
+    console.error('Get warehouse stock error:', error);
+    res.status(500).json({ error: 'Failed to get warehouse stock' });
+  }
+});
+
+// Set a product's low-stock level at a warehouse; null goes back to the product's own
+router.patch('/:id/min-stock', requireAdmin, async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const minStock = req.body.minStock === null ? null : Number(req.body.minStock);
+
+    if (minStock !== null && !(Number.isFinite(minStock) && minStock >= 0)) {
+      return res.status(400).json({ error: 'Minimum stock must be zero or more, or null to use the product\'s' });
+    }
+
+    const warehouse = await Warehouse.findOne({ _id: req.params.id, businessId: req.user.businessId });
+    if (!warehouse) {
+      return res.status(404).json({ error: 'Warehouse not found' });
+    }
+    const product = await Product.findOne({ _id: productId, businessId: req.user.businessId });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const update = minStock === null ? { $unset: { minStock: 1 } } : { $set: { minStock } };
+    const row = await WarehouseStock.findOneAndUpdate(
+      { warehouseId: warehouse._id, productId: product._id },
+      { ...update, $setOnInsert: { businessId: req.user.businessId } },
+      { new: true, upsert: true }
+    );
+
+    const level = warehouseStockLevel(product, row);
+    res.json({ message: 'Minimum stock updated', warehouseStock: row, minStock: level.minStock, isLowStock: level.stock <= level.minStock });
+  } catch (error) {
+    console.error('Update warehouse minimum stock error:', error);
+    res.status(500).json({ error: 'Failed to update minimum stock' });
+  }
+});
+
+module.exports = router;
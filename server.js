@@ -3,6 +3,7 @@ const cors = require('cors');
 const session = require('express-session');
 require('dotenv').config();
 const { connectDB } = require('./config/database');
+const { recoverExportJobs } = require('./utils/invoiceExport');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -10,8 +11,10 @@ const PORT = process.env.PORT || 5000;
 // Trust proxy so secure cookies work on Railway/Heroku-like platforms
 app.set('trust proxy', 1);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then clean up export jobs left behind by the last run
+connectDB()
+  .then(() => recoverExportJobs())
+  .catch(error => console.error('Export job cleanup error:', error));
 
 // CORS configuration
 const frontendEnv = process.env.FRONTEND_URL;
@@ -74,11 +77,19 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/customers', require('./routes/customers'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/warehouses', require('./routes/warehouses'));
+app.use('/api/stock-transfers', require('./routes/stockTransfers'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/credit-debit-notes', require('./routes/creditDebitNotes'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/purchase-bills', require('./routes/purchaseBills'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/import-export', require('./routes/importExport'));
+app.use('/api/settings', require('./routes/settings'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
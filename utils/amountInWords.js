@@ -0,0 +1,67 @@
+// Amount in words, using the Indian numbering system (thousand, lakh, crore)
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Largest unit first; crores above 99 are spelt out recursively (e.g. One Hundred Crore)
+const UNITS = [
+  { value: 10000000, name: 'Crore' },
+  { value: 100000, name: 'Lakh' },
+  { value: 1000, name: 'Thousand' },
+  { value: 100, name: 'Hundred' }
+];
+
+const twoDigitsToWords = (n) => {
+  if (n < 20) return ONES[n];
+  return [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(' ');
+};
+
+/**
+ * Spell out a whole number in Indian numbering
+ * @param {number} value - Non-negative whole number
+ * @returns {string} - e.g. 'One Lakh Twenty Three Thousand Four Hundred Fifty Six'
+ */
+const numberToWords = (value) => {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'Zero';
+
+  const parts = [];
+  UNITS.forEach(unit => {
+    if (n >= unit.value) {
+      const count = Math.floor(n / unit.value);
+      parts.push(`${unit.value === 10000000 ? numberToWords(count) : twoDigitsToWords(count)} ${unit.name}`);
+      n %= unit.value;
+    }
+  });
+  if (n > 0) {
+    parts.push(twoDigitsToWords(n));
+  }
+  return parts.join(' ');
+};
+
+/**
+ * Spell out a rupee amount as printed on invoices
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. 'Rupees One Thousand Two Hundred Thirty Four and Fifty Six Paise Only'
+ */
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  let words = `Rupees ${numberToWords(rupees)}`;
+  if (paise > 0) {
+    words = rupees > 0
+      ? `${words} and ${twoDigitsToWords(paise)} Paise`
+      : `${twoDigitsToWords(paise)} Paise`;
+  }
+  return `${amount < 0 ? 'Minus ' : ''}${words} Only`;
+};
+
+module.exports = {
+  numberToWords,
+  amountInWords
+};
@@ -0,0 +1,348 @@
+// Batch utilities: batch-wise stock with expiry dates, issued first-expiry-first-out (FEFO)
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const { recordStockMovement } = require('./stockLedger');
+const { getDefaultWarehouse } = require('./warehouses');
+const { round2 } = require('./gstCalculator');
+
+// Batches are held at a warehouse like any other stock: the one named, else the default
+// one, and none while the business has no warehouses
+const batchWarehouseId = async (businessId, warehouseId) => {
+  if (warehouseId) return warehouseId;
+  const warehouse = await getDefaultWarehouse(businessId);
+  return warehouse ? warehouse._id : null;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Check the batch details given with incoming stock
+ * @param {object} batch - { batchNumber, manufacturingDate, expiryDate }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateBatchDetails = ({ batchNumber, manufacturingDate, expiryDate }) => {
+  if (!batchNumber || !String(batchNumber).trim()) return 'Batch number is required';
+  const manufactured = manufacturingDate ? new Date(manufacturingDate) : null;
+  const expires = expiryDate ? new Date(expiryDate) : null;
+  if ((manufactured && isNaN(manufactured)) || (expires && isNaN(expires))) {
+    return 'Manufacturing and expiry dates must be valid dates';
+  }
+  if (manufactured && expires && manufactured > expires) {
+    return 'Manufacturing date must be on or before expiry date';
+  }
+  return null;
+};
+
+// Batch dates compared by calendar day, as YYYY-MM-DD
+const batchDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Check received batch details against the batches already on record, at any warehouse,
+ * so that a receipt never changes the dates of a batch holding earlier stock
+ * @param {string} businessId - Business ID
+ * @param {Array} items - [{ productId, productName, batchNumber, manufacturingDate, expiryDate }];
+ *   lines without a batch number are skipped
+ * @returns {Promise<string|null>} - Error message for the first conflicting line, or null
+ */
+const findBatchDateConflict = async (businessId, items) => {
+  for (const item of items) {
+    if (!item.batchNumber) continue;
+    const batch = await ProductBatch.findOne({ businessId, productId: item.productId, batchNumber: String(item.batchNumber).trim() });
+    if (!batch) continue;
+    for (const [field, label] of [['manufacturingDate', 'manufacturing date'], ['expiryDate', 'expiry date']]) {
+      if (item[field] && batch[field] && batchDay(item[field]) !== batchDay(batch[field])) {
+        return `Batch ${batch.batchNumber}${item.productName ? ` of ${item.productName}` : ''} already has ${label} ${batchDay(batch[field])}`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Add received stock to a batch, creating the batch the first time its number is seen at the warehouse.
+ * Dates of an existing batch are only filled in where it has none (see findBatchDateConflict).
+ * @param {object} batch - { businessId, productId, batchNumber, manufacturingDate, expiryDate, quantity,
+ *   warehouseId (default warehouse when omitted) }
+ * @returns {Promise<object>} - ProductBatch document
+ */
+const receiveIntoBatch = async ({ businessId, productId, batchNumber, manufacturingDate, expiryDate, quantity, warehouseId }) => {
+  const dates = {};
+  if (manufacturingDate) dates.manufacturingDate = manufacturingDate;
+  if (expiryDate) dates.expiryDate = expiryDate;
+
+  const batch = await ProductBatch.findOneAndUpdate(
+    {
+      businessId,
+      productId,
+      warehouseId: await batchWarehouseId(businessId, warehouseId),
+      batchNumber: String(batchNumber).trim()
+    },
+    { $inc: { quantity, receivedQuantity: quantity }, $setOnInsert: dates },
+    { new: true, upsert: true }
+  );
+  const missing = Object.keys(dates).filter(field => !batch[field]);
+  if (missing.length === 0) return batch;
+  missing.forEach(field => { batch[field] = dates[field]; });
+  return batch.save();
+};
+
+/**
+ * Undo a receipt into a batch, e.g. when the purchase bill or GRN is cancelled.
+ * The batch is not taken below zero.
+ * @param {object} batch - { businessId, productId, batchNumber, quantity, warehouseId (default warehouse when omitted) }
+ * @returns {Promise<void>}
+ */
+const reverseBatchReceipt = async ({ businessId, productId, batchNumber, quantity, warehouseId }) => {
+  const batch = await ProductBatch.findOne({
+    businessId,
+    productId,
+    warehouseId: await batchWarehouseId(businessId, warehouseId),
+    batchNumber
+  });
+  if (!batch) return;
+  batch.quantity = Math.max(round2(batch.quantity - quantity), 0);
+  batch.receivedQuantity = Math.max(round2(batch.receivedQuantity - quantity), 0);
+  await batch.save();
+};
+
+/**
+ * Take stock out of the batches at a warehouse, first-expiry-first-out. Batches expired
+ * by the given date are skipped, and batches without an expiry date go last. A shortfall
+ * (stock that was never put in a batch) is left unallocated.
+ * @param {string} businessId - Business ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to take
+ * @param {Date|null} date - Date of issue, e.g. the invoice date; null takes expired batches too
+ * @param {string} [warehouseId] - Warehouse the stock leaves (default warehouse when omitted)
+ * @returns {Promise<Array>} - [{ batchId, batchNumber, expiryDate, quantity }]
+ */
+const issueFromBatches = async (businessId, productId, quantity, date, warehouseId) => {
+  const query = {
+    businessId,
+    productId,
+    warehouseId: await batchWarehouseId(businessId, warehouseId),
+    quantity: { $gt: 0 }
+  };
+  if (date) {
+    query.$or = [{ expiryDate: null }, { expiryDate: { $gte: startOfDay(date) } }];
+  }
+  const batches = await ProductBatch.find(query).sort({ expiryDate: 1, createdAt: 1 });
+  batches.sort((a, b) => (a.expiryDate ? 0 : 1) - (b.expiryDate ? 0 : 1));
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    // Only take what is still there if another issue got to the batch first
+    const updated = await ProductBatch.findOneAndUpdate(
+      { _id: batch._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } }
+    );
+    if (!updated) continue;
+    allocations.push({ batchId: batch._id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity: take });
+    remaining = round2(remaining - take);
+  }
+  return allocations;
+};
+
+/**
+ * Put returned stock back into the batches it was issued from, in issue order
+ * @param {Array} allocations - Batches of the original issue
+ * @param {number} quantity - Quantity returned
+ * @returns {Promise<Array>} - Batches the quantity went back into
+ */
+const returnToBatches = async (allocations, quantity) => {
+  const returned = [];
+  let remaining = quantity;
+  for (const allocation of allocations || []) {
+    if (remaining <= 0) break;
+    const put = Math.min(allocation.quantity, remaining);
+    await ProductBatch.updateOne({ _id: allocation.batchId }, { $inc: { quantity: put } });
+    returned.push({ batchId: allocation.batchId, batchNumber: allocation.batchNumber, expiryDate: allocation.expiryDate, quantity: put });
+    remaining = round2(remaining - put);
+  }
+  return returned;
+};
+
+/**
+ * Take back stock earlier added to batches, e.g. when a return or receipt is cancelled.
+ * A batch is not taken below zero.
+ * @param {Array} allocations - [{ batchId, quantity }]
+ * @returns {Promise<void>}
+ */
+const removeFromBatches = async (allocations) => {
+  for (const allocation of allocations || []) {
+    const batch = await ProductBatch.findById(allocation.batchId);
+    if (!batch) continue;
+    batch.quantity = Math.max(round2(batch.quantity - allocation.quantity), 0);
+    await batch.save();
+  }
+};
+
+/**
+ * Put back the batches issued for an invoice's lines, e.g. when finalizing it fails
+ * @param {object} invoice - Invoice document; its lines are updated but not saved
+ * @returns {Promise<void>}
+ */
+const releaseInvoiceBatches = async (invoice) => {
+  for (const item of invoice.items) {
+    for (const allocation of item.batches || []) {
+      await ProductBatch.updateOne({ _id: allocation.batchId }, { $inc: { quantity: allocation.quantity } });
+    }
+    item.batches = [];
+  }
+};
+
+/**
+ * Issue stock from the batches at an invoice's warehouse for the lines of an invoice
+ * being finalized, recording the batches on each line. Products that are not batch-tracked are left alone.
+ * Each tracked line must be covered by unexpired batches, so batch stock always adds
+ * up to product stock; when one is not, the batches already issued are put back.
+ * @param {object} invoice - Invoice document; its lines are updated but not saved
+ * @returns {Promise<string|null>} - Error message for a line short of batch stock, or null
+ */
+const allocateInvoiceBatches = async (invoice) => {
+  const tracked = await Product.find({
+    _id: { $in: invoice.items.map(item => item.productId) },
+    businessId: invoice.businessId,
+    trackBatches: true
+  }).select('_id');
+  const trackedIds = new Set(tracked.map(product => product._id.toString()));
+
+  try {
+    for (const item of invoice.items) {
+      if (!trackedIds.has(item.productId.toString())) continue;
+      item.batches = await issueFromBatches(invoice.businessId, item.productId, item.quantity, invoice.date, invoice.warehouseId);
+      const issued = round2(item.batches.reduce((sum, batch) => sum + batch.quantity, 0));
+      if (issued < item.quantity) {
+        await releaseInvoiceBatches(invoice);
+        return `Only ${issued} of ${item.productName || 'a batch-tracked item'} is in unexpired batches at the invoice's warehouse`;
+      }
+    }
+  } catch (error) {
+    await releaseInvoiceBatches(invoice);
+    throw error;
+  }
+  return null;
+};
+
+/**
+ * Write off stock from a batch as wastage, by default everything left in it. The stock
+ * leaves the warehouse holding the batch.
+ * @param {object} writeOff - { batch (ProductBatch document), quantity, reason, userId }
+ * @returns {Promise<object|null>} - { batch, movement }, or null when there is nothing to write off
+ */
+const writeOffBatch = async ({ batch, quantity, reason, userId }) => {
+  const amount = Math.min(quantity === undefined ? batch.quantity : quantity, batch.quantity);
+  if (!(amount > 0)) return null;
+
+  // Only take what is still there if another issue got to the batch first
+  const updated = await ProductBatch.findOneAndUpdate(
+    { _id: batch._id, quantity: { $gte: amount } },
+    { $inc: { quantity: -amount } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  // The batch is put back when the movement cannot be recorded
+  let result;
+  try {
+    result = await recordStockMovement({
+      businessId: batch.businessId,
+      productId: batch.productId,
+      type: 'wastage',
+      quantity: -amount,
+      warehouseId: batch.warehouseId,
+      referenceType: 'manual',
+      referenceNumber: batch.batchNumber,
+      reason: reason || `Batch ${batch.batchNumber} written off`,
+      userId
+    });
+  } catch (error) {
+    await ProductBatch.updateOne({ _id: batch._id }, { $inc: { quantity: amount } });
+    throw error;
+  }
+  return { batch: updated, movement: result && result.movement };
+};
+
+/**
+ * Move batch stock from one warehouse to another with a stock transfer, earliest
+ * expiry first. Stock that was never put in a batch moves without one.
+ * @param {object} transfer - { businessId, productId, quantity, fromWarehouseId, toWarehouseId }
+ * @returns {Promise<Array>} - Batches taken from the source warehouse
+ */
+const transferBatches = async ({ businessId, productId, quantity, fromWarehouseId, toWarehouseId }) => {
+  // Expired stock moves too, so batches keep adding up to each warehouse's stock
+  const issued = await issueFromBatches(businessId, productId, quantity, null, fromWarehouseId);
+  for (const allocation of issued) {
+    const source = await ProductBatch.findById(allocation.batchId).select('manufacturingDate');
+    await receiveIntoBatch({
+      businessId,
+      productId,
+      batchNumber: allocation.batchNumber,
+      manufacturingDate: source && source.manufacturingDate,
+      expiryDate: allocation.expiryDate,
+      quantity: allocation.quantity,
+      warehouseId: toWarehouseId
+    });
+  }
+  return issued;
+};
+
+/**
+ * Move batch stock back to where a stock transfer took it from, e.g. when the transfer is cancelled
+ * @param {object} transfer - { businessId, productId, batches (from transferBatches), toWarehouseId }
+ * @returns {Promise<void>}
+ */
+const reverseBatchTransfer = async ({ businessId, productId, batches, toWarehouseId }) => {
+  for (const allocation of batches || []) {
+    await reverseBatchReceipt({
+      businessId,
+      productId,
+      batchNumber: allocation.batchNumber,
+      quantity: allocation.quantity,
+      warehouseId: toWarehouseId
+    });
+    await ProductBatch.updateOne({ _id: allocation.batchId }, { $inc: { quantity: allocation.quantity } });
+  }
+};
+
+/**
+ * Batches in stock that expire within a number of days, including those already expired
+ * @param {string} businessId - Business ID
+ * @param {number} days - Days from today
+ * @returns {Promise<Array>} - ProductBatch documents with productId populated, soonest expiry first
+ */
+const findExpiringBatches = (businessId, days) => {
+  const limit = startOfDay(new Date());
+  limit.setDate(limit.getDate() + days + 1);
+  return ProductBatch.find({
+    businessId,
+    quantity: { $gt: 0 },
+    expiryDate: { $lt: limit }
+  })
+    .populate('productId', 'name sku unit category')
+    .sort({ expiryDate: 1 });
+};
+
+module.exports = {
+  startOfDay,
+  validateBatchDetails,
+  findBatchDateConflict,
+  receiveIntoBatch,
+  reverseBatchReceipt,
+  issueFromBatches,
+  returnToBatches,
+  removeFromBatches,
+  releaseInvoiceBatches,
+  allocateInvoiceBatches,
+  writeOffBatch,
+  transferBatches,
+  reverseBatchTransfer,
+  findExpiringBatches
+};
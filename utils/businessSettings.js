@@ -0,0 +1,140 @@
+// Business settings utilities
+const PDFDocument = require('pdfkit');
+const BusinessSettings = require('../models/BusinessSettings');
+const { INVOICE_LANGUAGES } = require('./invoiceLabels');
+const { UPI_VPA_PATTERN } = require('./upi');
+
+const ROUND_OFF_MODES = {
+  nearest: 'Nearest rupee',
+  up: 'Always up',
+  none: 'No rounding'
+};
+
+const INVOICE_TEMPLATES = ['classic', 'compact', 'modern'];
+
+// Uploaded images that can be printed on invoices
+const BRANDING_IMAGES = ['logo', 'signature'];
+const MAX_IMAGE_SIZE = 1024 * 1024;
+
+// Printed text has to fit the invoice: terms in the closing block, the footer on one line
+const MAX_TERMS_LENGTH = 2000;
+const MAX_FOOTER_LENGTH = 200;
+
+// Indian Financial System Code: 4-letter bank code, 0, 6-character branch code
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const DEFAULT_SETTINGS = {
+  roundOff: 'nearest',
+  template: 'classic',
+  invoiceLanguage: 'en'
+};
+
+/**
+ * Get a business's settings, with defaults for anything not saved yet. Uploaded
+ * images are left out; hasLogo/hasSignature say whether they are set.
+ * @param {string} businessId - Business ID
+ * @returns {Promise<object>} - Settings
+ */
+const getBusinessSettings = async (businessId) => {
+  const settings = await BusinessSettings.findOne({ businessId }).select('-logo.data -signature.data').lean();
+  const { logo, signature, ...rest } = settings || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...rest,
+    businessId,
+    hasLogo: !!(logo && logo.contentType),
+    hasSignature: !!(signature && signature.contentType)
+  };
+};
+
+/**
+ * Get the logo and signature images of a business
+ * @param {string} businessId - Business ID
+ * @returns {Promise<object>} - { logo, signature }, each { data: Buffer, contentType } or null
+ */
+const getBrandingImages = async (businessId) => {
+  const settings = await BusinessSettings.findOne({ businessId }).select('logo signature');
+  const toImage = (image) => (image && image.data
+    ? { data: Buffer.from(image.data), contentType: image.contentType }
+    : null);
+  return {
+    logo: toImage(settings && settings.logo),
+    signature: toImage(settings && settings.signature)
+  };
+};
+
+/**
+ * Check an uploaded image can be printed on a PDF (PDFKit reads PNG and JPEG)
+ * @param {object} file - Multer file { buffer, size }
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBrandingImage = (file) => {
+  if (!file || !file.buffer || file.size === 0) {
+    return 'No image uploaded';
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    return 'Image must be 1 MB or smaller';
+  }
+  const isPNG = file.buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  const isJPEG = file.buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]));
+  if (!isPNG && !isJPEG) {
+    return 'Image must be a PNG or JPEG file';
+  }
+  // A truncated or corrupt image would make every PDF it is printed on fail
+  try {
+    new PDFDocument({ autoFirstPage: false }).openImage(file.buffer);
+  } catch (error) {
+    return 'Image is incomplete or corrupt';
+  }
+  return null;
+};
+
+/**
+ * Check settings updates
+ * @param {object} updates - Fields being updated
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBusinessSettings = (updates) => {
+  if (updates.roundOff !== undefined && !ROUND_OFF_MODES[updates.roundOff]) {
+    return `Round off must be one of: ${Object.keys(ROUND_OFF_MODES).join(', ')}`;
+  }
+  if (updates.bankDetails) {
+    const { accountNumber, ifsc } = updates.bankDetails;
+    if (accountNumber && !/^\d{9,18}$/.test(String(accountNumber).trim())) {
+      return 'Bank account number must be 9-18 digits';
+    }
+    if (ifsc && !IFSC_PATTERN.test(String(ifsc).trim().toUpperCase())) {
+      return `IFSC ${ifsc} is not in the format ABCD0123456`;
+    }
+  }
+  if (updates.upiVpa && !UPI_VPA_PATTERN.test(String(updates.upiVpa).trim())) {
+    return `UPI VPA ${updates.upiVpa} is not in the format name@bank`;
+  }
+  if (updates.template !== undefined && !INVOICE_TEMPLATES.includes(updates.template)) {
+    return `Template must be one of: ${INVOICE_TEMPLATES.join(', ')}`;
+  }
+  if (updates.accentColor && !/^#[0-9A-F]{6}$/i.test(updates.accentColor)) {
+    return 'Accent colour must be a hex colour such as #1F3A5F';
+  }
+  if (updates.invoiceLanguage !== undefined && !INVOICE_LANGUAGES[updates.invoiceLanguage]) {
+    return `Invoice language must be one of: ${Object.keys(INVOICE_LANGUAGES).join(', ')}`;
+  }
+  if (updates.termsAndConditions && String(updates.termsAndConditions).length > MAX_TERMS_LENGTH) {
+    return `Terms and conditions must be ${MAX_TERMS_LENGTH} characters or fewer`;
+  }
+  if (updates.footerText && String(updates.footerText).length > MAX_FOOTER_LENGTH) {
+    return `Footer text must be ${MAX_FOOTER_LENGTH} characters or fewer`;
+  }
+  return null;
+};
+
+module.exports = {
+  ROUND_OFF_MODES,
+  INVOICE_TEMPLATES,
+  BRANDING_IMAGES,
+  MAX_IMAGE_SIZE,
+  getBusinessSettings,
+  getBrandingImages,
+  validateBrandingImage,
+  validateBusinessSettings
+};
@@ -0,0 +1,197 @@
+// E-invoice (IRN) payload builder - government INV-01 schema, version 1.1
+const { UQC_BY_UNIT } = require('./gstr1Export');
+const { validateGSTIN, isValidGSTIN } = require('./gstinValidator');
+const { getStateCode, getStateCodeFromGSTIN, getStateName } = require('./gstStates');
+const { getLineTax } = require('./gstr1');
+const { EXPORT_PLACE_OF_SUPPLY, EINVOICE_SUPPLY_TYPES, getCustomerGstTreatment } = require('./gstTreatment');
+const { round2 } = require('./gstCalculator');
+
+// IRNs can only be cancelled within this window after generation
+const IRN_CANCEL_WINDOW_HOURS = 24;
+
+// Reason codes accepted when cancelling an IRN
+const IRN_CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Data entry mistake',
+  3: 'Order cancelled',
+  4: 'Others'
+};
+
+// E-invoice dates are dd/mm/yyyy
+const formatEInvoiceDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+// Address lines are limited to 100 characters; locality to 50
+const trimTo = (value, length) => (value ? String(value).trim().slice(0, length) : undefined);
+
+// Invoices saved before the treatment was stored use the customer's
+const getTreatment = (invoice, customer) => invoice.gstTreatment || getCustomerGstTreatment(customer);
+
+/**
+ * Check the records an e-invoice is built from for missing or invalid data
+ * @param {object} data - { invoice, customer, business }
+ * @returns {Array} - List of error messages, empty when the payload can be built
+ */
+const validateEInvoiceData = ({ invoice, customer, business }) => {
+  const errors = [];
+  const sellerGSTIN = (business.gstNumber || '').trim().toUpperCase();
+  const buyerGSTIN = (customer.gstin || '').trim().toUpperCase();
+  // Export buyers have no GSTIN or Indian pincode
+  const isExport = getTreatment(invoice, customer) === 'export';
+
+  if (!isValidGSTIN(sellerGSTIN)) {
+    errors.push('Business GSTIN is missing or invalid');
+  }
+  if (!business.address) {
+    errors.push('Business address is missing');
+  }
+  if (!/^\d{6}$/.test(String(business.pincode || ''))) {
+    errors.push('Business pincode is missing or invalid');
+  }
+  // Export buyers are reported as unregistered persons (URP)
+  if (!isExport && !buyerGSTIN) {
+    errors.push('E-invoices are only generated for registered (B2B) customers; customer GSTIN is missing');
+  } else if (!isExport && !isValidGSTIN(buyerGSTIN)) {
+    errors.push(`Customer: ${validateGSTIN(buyerGSTIN)}`);
+  }
+  if (!customer.billingAddress) {
+    errors.push('Customer billing address is missing');
+  }
+  if (!isExport && !/^\d{6}$/.test(String(customer.pincode || ''))) {
+    errors.push('Customer pincode is missing or invalid');
+  }
+  if (!invoice.invoiceNumber || invoice.invoiceNumber.length > 16) {
+    errors.push('Invoice number must be 1-16 characters for e-invoicing');
+  }
+  (invoice.items || []).forEach((item, index) => {
+    if (!item.hsnCode || !/^\d{4,8}$/.test(String(item.hsnCode).trim())) {
+      errors.push(`Line ${index + 1} (${item.productName || 'item'}): HSN code must be 4-8 digits`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Build the INV-01 e-invoice JSON payload for an invoice
+ * @param {object} data - { invoice, customer, business } (Invoice, Customer and business User documents)
+ * @returns {object} - E-invoice payload
+ */
+const buildEInvoicePayload = ({ invoice, customer, business }) => {
+  const treatment = getTreatment(invoice, customer);
+  const isExport = treatment === 'export';
+  const sellerGSTIN = business.gstNumber.trim().toUpperCase();
+  const buyerGSTIN = isExport ? 'URP' : customer.gstin.trim().toUpperCase();
+  const sellerStateCode = getStateCodeFromGSTIN(sellerGSTIN);
+  const buyerStateCode = isExport ? EXPORT_PLACE_OF_SUPPLY : getStateCodeFromGSTIN(buyerGSTIN);
+  const placeOfSupply = isExport
+    ? EXPORT_PLACE_OF_SUPPLY
+    : invoice.placeOfSupply || getStateCode(customer.state) || buyerStateCode;
+
+  const itemList = invoice.items.map((item, index) => {
+    const tax = getLineTax(item, invoice);
+    // Gross amount is net of tax, also for tax-inclusive prices
+    const totalAmount = round2(item.grossAmount || item.quantity * item.unitPrice);
+    // Stored cess is ad valorem plus specific (per-unit) cess; the schema reports them apart
+    const nonAdvolCess = round2((item.cessPerUnit || 0) * item.quantity);
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: trimTo(item.productName, 300),
+      IsServc: 'N',
+      HsnCd: String(item.hsnCode).trim(),
+      Qty: item.quantity,
+      Unit: UQC_BY_UNIT[item.unit] || 'OTH',
+      UnitPrice: round2(item.priceIncludesTax ? totalAmount / item.quantity : item.unitPrice),
+      TotAmt: totalAmount,
+      Discount: round2(totalAmount - tax.taxableValue),
+      AssAmt: round2(tax.taxableValue),
+      GstRt: item.gstRate || 0,
+      IgstAmt: round2(tax.igst),
+      CgstAmt: round2(tax.cgst),
+      SgstAmt: round2(tax.sgst),
+      CesRt: item.cessRate || 0,
+      CesAmt: round2(tax.cess - nonAdvolCess),
+      CesNonAdvlAmt: nonAdvolCess,
+      StateCesRt: 0,
+      StateCesAmt: 0,
+      StateCesNonAdvlAmt: 0,
+      OthChrg: 0,
+      TotItemVal: round2(tax.taxableValue + tax.igst + tax.cgst + tax.sgst + tax.cess)
+    };
+  });
+
+  const sum = (field) => round2(itemList.reduce((total, item) => total + item[field], 0));
+  // Under reverse charge grandTotal leaves out the tax the recipient pays; the invoice value includes it
+  const invoiceValue = invoice.reverseCharge ? sum('TotItemVal') : invoice.grandTotal;
+
+  return {
+    Version: '1.1',
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: EINVOICE_SUPPLY_TYPES[treatment] || 'B2B',
+      RegRev: invoice.reverseCharge ? 'Y' : 'N',
+      IgstOnIntra: 'N'
+    },
+    DocDtls: {
+      Typ: 'INV',
+      No: invoice.invoiceNumber,
+      Dt: formatEInvoiceDate(invoice.date)
+    },
+    SellerDtls: {
+      Gstin: sellerGSTIN,
+      LglNm: trimTo(business.businessName || business.name, 100),
+      Addr1: trimTo(business.address, 100),
+      Loc: trimTo(getStateName(sellerStateCode) || business.state, 50),
+      Pin: parseInt(business.pincode),
+      Stcd: sellerStateCode,
+      Ph: business.phone ? String(business.phone).replace(/\D/g, '').slice(-12) : undefined,
+      Em: business.email
+    },
+    BuyerDtls: {
+      Gstin: buyerGSTIN,
+      LglNm: trimTo(customer.companyName || customer.name, 100),
+      Pos: placeOfSupply,
+      Addr1: trimTo(customer.billingAddress, 100),
+      Loc: trimTo(isExport ? customer.state : getStateName(buyerStateCode) || customer.state, 50),
+      Pin: isExport ? 999999 : parseInt(customer.pincode),
+      Stcd: buyerStateCode,
+      Ph: customer.phone ? String(customer.phone).replace(/\D/g, '').slice(-12) : undefined,
+      Em: customer.email
+    },
+    ItemList: itemList,
+    ValDtls: {
+      AssVal: sum('AssAmt'),
+      CgstVal: sum('CgstAmt'),
+      SgstVal: sum('SgstAmt'),
+      IgstVal: sum('IgstAmt'),
+      CesVal: round2(sum('CesAmt') + sum('CesNonAdvlAmt')),
+      StCesVal: 0,
+      Discount: 0,
+      OthChrg: 0,
+      RndOffAmt: round2(invoiceValue - sum('TotItemVal')),
+      TotInvVal: round2(invoiceValue)
+    }
+  };
+};
+
+/**
+ * Whether an IRN generated at ackDate can still be cancelled
+ * @param {Date|string} ackDate - IRN acknowledgement date
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const canCancelIrn = (ackDate, now = new Date()) => {
+  if (!ackDate) return false;
+  return now.getTime() - new Date(ackDate).getTime() <= IRN_CANCEL_WINDOW_HOURS * 60 * 60 * 1000;
+};
+
+module.exports = {
+  IRN_CANCEL_WINDOW_HOURS,
+  IRN_CANCEL_REASONS,
+  formatEInvoiceDate,
+  validateEInvoiceData,
+  buildEInvoicePayload,
+  canCancelIrn
+};
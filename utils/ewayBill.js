@@ -0,0 +1,226 @@
+// E-way bill payload builder (NIC e-way bill API format)
+const { UQC_BY_UNIT } = require('./gstr1Export');
+const { GSTIN_PATTERN, isValidGSTIN } = require('./gstinValidator');
+const { getStateCode, getStateCodeFromGSTIN, getStateName } = require('./gstStates');
+const { getLineTax, isInterStateDocument } = require('./gstr1');
+const { formatEInvoiceDate } = require('./einvoice');
+const { getCustomerGstTreatment } = require('./gstTreatment');
+const { round2 } = require('./gstCalculator');
+
+// Consignments above this value need an e-way bill before goods move
+const EWAY_BILL_THRESHOLD = 50000;
+
+// Kilometres of validity per day: regular cargo vs over-dimensional cargo
+const KM_PER_DAY = { regular: 200, odc: 20 };
+
+const TRANSPORT_MODES = { road: '1', rail: '2', air: '3', ship: '4' };
+
+// Reason codes for Part-B vehicle updates
+const VEHICLE_UPDATE_REASONS = {
+  1: 'Due to break down',
+  2: 'Due to transhipment',
+  3: 'Others',
+  4: 'First time'
+};
+
+// State code the e-way bill system uses for a consignee outside India
+const EWB_OTHER_COUNTRY_STATE_CODE = 99;
+
+const VEHICLE_NUMBER_PATTERN = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+
+/**
+ * Normalise a vehicle registration number (uppercase, no spaces or dashes)
+ * @param {string} vehicleNumber - e.g. 'ts 09 ab 1234'
+ * @returns {string} - e.g. 'TS09AB1234'
+ */
+const normalizeVehicleNumber = (vehicleNumber) => String(vehicleNumber || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Validate transport details for an e-way bill
+ * @param {object} transport - { mode, distance, vehicleNumber, vehicleType, transporterId, transportDocNumber }
+ * @returns {Array} - List of error messages
+ */
+const validateTransport = (transport) => {
+  const errors = [];
+  if (!TRANSPORT_MODES[transport.mode]) {
+    errors.push(`Transport mode must be one of: ${Object.keys(TRANSPORT_MODES).join(', ')}`);
+  }
+  const distance = Number(transport.distance);
+  if (!Number.isFinite(distance) || distance < 1 || distance > 4000) {
+    errors.push('Distance must be between 1 and 4000 km');
+  }
+  if (transport.vehicleType && !KM_PER_DAY[transport.vehicleType]) {
+    errors.push('Vehicle type must be regular or odc');
+  }
+  if (transport.vehicleNumber && !VEHICLE_NUMBER_PATTERN.test(normalizeVehicleNumber(transport.vehicleNumber))) {
+    errors.push(`Vehicle number ${transport.vehicleNumber} is not valid`);
+  }
+  if (transport.transporterId && !GSTIN_PATTERN.test(String(transport.transporterId).toUpperCase())) {
+    errors.push('Transporter ID must be a 15-character GSTIN/TRANSIN');
+  }
+  if (transport.mode === 'road' && !transport.vehicleNumber && !transport.transporterId) {
+    errors.push('Vehicle number or transporter ID required for road transport');
+  }
+  if (transport.mode && transport.mode !== 'road' && !transport.transportDocNumber) {
+    errors.push('Transport document number required for rail, air and ship');
+  }
+  return errors;
+};
+
+/**
+ * Work out when an e-way bill expires. One day of validity is allowed per 200 km
+ * (20 km for over-dimensional cargo); each day runs to midnight of the following day.
+ * @param {Date} generatedAt - When the e-way bill (or its Part-B) was generated
+ * @param {number} distance - Distance in km
+ * @param {string} vehicleType - 'regular' or 'odc'
+ * @returns {Date} - Validity end
+ */
+const calculateEwayBillValidity = (generatedAt, distance, vehicleType = 'regular') => {
+  const days = Math.max(1, Math.ceil(Number(distance) / (KM_PER_DAY[vehicleType] || KM_PER_DAY.regular)));
+  const validUpto = new Date(generatedAt);
+  validUpto.setDate(validUpto.getDate() + days);
+  validUpto.setHours(23, 59, 59, 0);
+  return validUpto;
+};
+
+/**
+ * Check the records an e-way bill is built from
+ * @param {object} data - { invoice, customer, business }
+ * @returns {Array} - List of error messages
+ */
+const validateEwayBillData = ({ invoice, customer, business }) => {
+  const errors = [];
+  if (!isValidGSTIN(business.gstNumber)) {
+    errors.push('Business GSTIN is missing or invalid');
+  }
+  if (!/^\d{6}$/.test(String(business.pincode || ''))) {
+    errors.push('Business pincode is missing or invalid');
+  }
+  if (!/^\d{6}$/.test(String(customer.pincode || ''))) {
+    errors.push('Customer pincode is missing or invalid');
+  }
+  const isExport = (invoice.gstTreatment || getCustomerGstTreatment(customer)) === 'export';
+  if (!isExport && !getStateCode(customer.state) && !getStateCodeFromGSTIN(customer.gstin)) {
+    errors.push('Customer state is missing or not recognised');
+  }
+  if (!invoice.transport || !invoice.transport.mode) {
+    errors.push('Transport details are missing');
+  } else {
+    errors.push(...validateTransport(invoice.transport));
+  }
+  (invoice.items || []).forEach((item, index) => {
+    if (!item.hsnCode || !/^\d{4,8}$/.test(String(item.hsnCode).trim())) {
+      errors.push(`Line ${index + 1} (${item.productName || 'item'}): HSN code must be 4-8 digits`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Build the e-way bill generation payload for an invoice
+ * @param {object} data - { invoice, customer, business }
+ * @returns {object} - E-way bill JSON
+ */
+const buildEwayBillPayload = ({ invoice, customer, business }) => {
+  const isExport = (invoice.gstTreatment || getCustomerGstTreatment(customer)) === 'export';
+  const fromGstin = business.gstNumber.trim().toUpperCase();
+  const toGstin = isExport ? '' : (customer.gstin || '').trim().toUpperCase();
+  const fromStateCode = getStateCodeFromGSTIN(fromGstin);
+  const toStateCode = isExport
+    ? EWB_OTHER_COUNTRY_STATE_CODE
+    : getStateCodeFromGSTIN(toGstin) || getStateCode(customer.state);
+  // Goods may be delivered to a different state than the buyer is registered in;
+  // exports are delivered to the port of shipment given as the shipping state
+  const deliveryStateCode = isExport
+    ? getStateCode(customer.shippingState) || fromStateCode
+    : invoice.placeOfSupply || getStateCode(customer.shippingState) || toStateCode;
+  const transport = invoice.transport;
+  const isInterState = isInterStateDocument(invoice);
+
+  const itemList = invoice.items.map(item => {
+    const tax = getLineTax(item, invoice);
+    const rate = item.gstRate || 0;
+    return {
+      productName: item.productName,
+      productDesc: item.productName,
+      hsnCode: parseInt(item.hsnCode),
+      quantity: item.quantity,
+      qtyUnit: UQC_BY_UNIT[item.unit] || 'OTH',
+      taxableAmount: round2(tax.taxableValue),
+      cgstRate: isInterState ? 0 : rate / 2,
+      sgstRate: isInterState ? 0 : rate / 2,
+      igstRate: isInterState ? rate : 0,
+      cessRate: item.cessRate || 0,
+      cessNonadvol: item.cessPerUnit || 0
+    };
+  });
+
+  const totals = invoice.items.reduce((sum, item) => {
+    const tax = getLineTax(item, invoice);
+    sum.totalValue += tax.taxableValue;
+    sum.cgstValue += tax.cgst;
+    sum.sgstValue += tax.sgst;
+    sum.igstValue += tax.igst;
+    const nonAdvolCess = (item.cessPerUnit || 0) * item.quantity;
+    sum.cessValue += tax.cess - nonAdvolCess;
+    sum.cessNonAdvolValue += nonAdvolCess;
+    return sum;
+  }, { totalValue: 0, cgstValue: 0, sgstValue: 0, igstValue: 0, cessValue: 0, cessNonAdvolValue: 0 });
+
+  const taxTotal = totals.totalValue + totals.cgstValue + totals.sgstValue + totals.igstValue +
+    totals.cessValue + totals.cessNonAdvolValue;
+
+  // Under reverse charge grandTotal leaves out the tax the recipient pays
+  const invoiceValue = invoice.reverseCharge ? taxTotal : invoice.grandTotal;
+
+  return {
+    supplyType: 'O',
+    subSupplyType: isExport ? '3' : '1',
+    docType: 'INV',
+    docNo: invoice.invoiceNumber,
+    docDate: formatEInvoiceDate(invoice.date),
+    fromGstin,
+    fromTrdName: business.businessName || business.name,
+    fromAddr1: (business.address || '').slice(0, 120),
+    fromPlace: getStateName(fromStateCode) || business.state,
+    fromPincode: parseInt(business.pincode),
+    fromStateCode: parseInt(fromStateCode),
+    actFromStateCode: parseInt(fromStateCode),
+    toGstin: toGstin || 'URP',
+    toTrdName: customer.companyName || customer.name,
+    toAddr1: (customer.shippingAddress || customer.billingAddress || '').slice(0, 120),
+    toPlace: isExport ? customer.state : getStateName(toStateCode) || customer.state,
+    toPincode: parseInt(customer.pincode),
+    toStateCode: parseInt(toStateCode),
+    actToStateCode: parseInt(deliveryStateCode),
+    transactionType: 1,
+    totalValue: round2(totals.totalValue),
+    cgstValue: round2(totals.cgstValue),
+    sgstValue: round2(totals.sgstValue),
+    igstValue: round2(totals.igstValue),
+    cessValue: round2(totals.cessValue),
+    cessNonAdvolValue: round2(totals.cessNonAdvolValue),
+    otherValue: round2(invoiceValue - taxTotal),
+    totInvValue: round2(invoiceValue),
+    transporterId: transport.transporterId || '',
+    transporterName: transport.transporterName || '',
+    transMode: TRANSPORT_MODES[transport.mode],
+    transDistance: String(Math.round(transport.distance)),
+    transDocNo: transport.transportDocNumber || '',
+    transDocDate: transport.transportDocDate ? formatEInvoiceDate(transport.transportDocDate) : '',
+    vehicleNo: transport.vehicleNumber ? normalizeVehicleNumber(transport.vehicleNumber) : '',
+    vehicleType: transport.vehicleType === 'odc' ? 'O' : 'R',
+    itemList
+  };
+};
+
+module.exports = {
+  EWAY_BILL_THRESHOLD,
+  TRANSPORT_MODES,
+  VEHICLE_UPDATE_REASONS,
+  normalizeVehicleNumber,
+  validateTransport,
+  calculateEwayBillValidity,
+  validateEwayBillData,
+  buildEwayBillPayload
+};
@@ -0,0 +1,103 @@
+// E-way bill system clients
+//
+// Every client exposes the same methods:
+//   generateEwayBill(payload)  -> { ewbNo, ewbDate, validUpto }
+//   updateVehicle(details)     -> { vehicleUpdatedAt, validUpto }  (Part-B update)
+// Failures are thrown as errors carrying an `ewbCode`.
+//
+// The client is chosen with the EWB_CLIENT environment variable (default: 'mock').
+// A GSP/NIC integration is added by calling registerEwbClient(name, factory).
+const crypto = require('crypto');
+const { calculateEwayBillValidity } = require('./ewayBill');
+
+const ewbError = (ewbCode, message) => {
+  const error = new Error(message);
+  error.ewbCode = ewbCode;
+  return error;
+};
+
+/**
+ * Local stand-in for the e-way bill system, for development and tests
+ * @returns {object} - E-way bill client
+ */
+const createMockEwbClient = () => {
+  const issued = new Map();
+
+  const generateEwayBill = async (payload) => {
+    const key = `${payload.fromGstin}|${payload.docType}|${payload.docNo}`;
+    if (issued.has(key)) {
+      throw ewbError('604', `E-way bill ${issued.get(key)} already generated for this document`);
+    }
+
+    const ewbDate = new Date();
+    const ewbNo = `${crypto.randomInt(1, 10)}${String(Date.now()).slice(-11)}`;
+    const vehicleType = payload.vehicleType === 'O' ? 'odc' : 'regular';
+    // Validity only starts once Part-B (vehicle or transport document) is filled in
+    const hasPartB = !!(payload.vehicleNo || payload.transDocNo);
+
+    issued.set(key, ewbNo);
+    return {
+      ewbNo,
+      ewbDate,
+      validUpto: hasPartB ? calculateEwayBillValidity(ewbDate, payload.transDistance, vehicleType) : null
+    };
+  };
+
+  const updateVehicle = async ({ ewbNo, vehicleNo, transDocNo, reasonCode, distance, vehicleType }) => {
+    if (!ewbNo) {
+      throw ewbError('312', 'E-way bill number is required');
+    }
+    if (!vehicleNo && !transDocNo) {
+      throw ewbError('213', 'Vehicle number or transport document number is required');
+    }
+    if (!reasonCode) {
+      throw ewbError('214', 'Reason code is required');
+    }
+
+    const vehicleUpdatedAt = new Date();
+    return {
+      vehicleUpdatedAt,
+      validUpto: calculateEwayBillValidity(vehicleUpdatedAt, distance, vehicleType)
+    };
+  };
+
+  return { name: 'mock', generateEwayBill, updateVehicle };
+};
+
+const factories = {
+  mock: createMockEwbClient
+};
+let activeClient = null;
+
+/**
+ * Register an e-way bill client implementation
+ * @param {string} name - Name selected through EWB_CLIENT
+ * @param {Function} factory - Returns an object with generateEwayBill and updateVehicle
+ */
+const registerEwbClient = (name, factory) => {
+  factories[name] = factory;
+  if (activeClient && activeClient.name === name) {
+    activeClient = null;
+  }
+};
+
+/**
+ * Get the configured e-way bill client
+ * @returns {object} - E-way bill client
+ */
+const getEwbClient = () => {
+  const name = process.env.EWB_CLIENT || 'mock';
+  if (!activeClient || activeClient.name !== name) {
+    if (!factories[name]) {
+      throw new Error(`Unknown e-way bill client "${name}"`);
+    }
+    activeClient = { ...factories[name](), name };
+  }
+  return activeClient;
+};
+
+module.exports = {
+  createMockEwbClient,
+  registerEwbClient,
+  getEwbClient
+};
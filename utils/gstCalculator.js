@@ -1,4 +1,6 @@
 // GST Calculation utilities
+const { getStateCode } = require('./gstStates');
+const { isZeroRated, isAlwaysInterState } = require('./gstTreatment');
 
 /**
  * Calculate GST for an item
@@ -24,78 +26,237 @@ const calculateCGSTSGST = (totalGST) => {
 };
 
 /**
- * Calculate invoice totals with GST
- * @param {Array} items - Array of items with { quantity, unitPrice, gstRate }
- * @param {string} customerState - Customer's state
- * @param {string} businessState - Business owner's state
+ * Round an amount to paise
+ * @param {number} value - Amount (undefined and null count as 0)
+ * @returns {number}
+ */
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Back out the taxable value from a GST-inclusive amount
+ * @param {number} inclusiveAmount - Amount including GST and any ad valorem cess (e.g., MRP × quantity)
+ * @param {number} gstRate - GST rate percentage
+ * @param {number} cessRate - Ad valorem cess rate percentage
+ * @returns {number} - Taxable value, rounded to paise
+ */
+const extractTaxableValue = (inclusiveAmount, gstRate, cessRate = 0) => {
+  return round2((inclusiveAmount * 100) / (100 + (gstRate || 0) + (cessRate || 0)));
+};
+
+/**
+ * Calculate compensation cess for a line: ad valorem on the taxable value plus
+ * a specific amount per unit
+ * @param {number} taxableValue - Taxable value of the line
+ * @param {number} quantity - Quantity
+ * @param {number} cessRate - Cess rate percentage
+ * @param {number} cessPerUnit - Cess amount per unit
+ * @returns {number} - Cess amount
+ */
+const calculateCess = (taxableValue, quantity, cessRate, cessPerUnit) => {
+  return round2((taxableValue * (cessRate || 0)) / 100) + round2((quantity || 0) * (cessPerUnit || 0));
+};
+
+const DISCOUNT_TYPES = ['percentage', 'amount'];
+
+/**
+ * Work out a discount amount
+ * @param {number} amount - Amount the discount applies to
+ * @param {string} discountType - 'percentage' or 'amount'
+ * @param {number} discountValue - Percentage (0-100) or flat amount
+ * @returns {number} - Discount amount, never more than the amount itself
+ */
+const calculateDiscount = (amount, discountType, discountValue) => {
+  const value = Number(discountValue) || 0;
+  if (value <= 0 || amount <= 0) return 0;
+  const discount = discountType === 'amount' ? value : (amount * Math.min(value, 100)) / 100;
+  return round2(Math.min(discount, amount));
+};
+
+/**
+ * Validate a discount given on a line or an invoice
+ * @param {string} discountType - 'percentage' or 'amount'
+ * @param {number} discountValue - Percentage or flat amount
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateDiscount = (discountType, discountValue) => {
+  if (discountValue === undefined || discountValue === null || discountValue === '') return null;
+  if (discountType && !DISCOUNT_TYPES.includes(discountType)) {
+    return 'Discount type must be percentage or amount';
+  }
+  const value = Number(discountValue);
+  if (!Number.isFinite(value) || value < 0) {
+    return 'Discount must be a positive number';
+  }
+  if ((discountType || 'percentage') === 'percentage' && value > 100) {
+    return 'Discount percentage cannot exceed 100';
+  }
+  return null;
+};
+
+/**
+ * Round-off needed to bring an invoice total to whole rupees
+ * @param {number} amount - Total before round-off
+ * @param {string} mode - 'nearest', 'up' or 'none'
+ * @returns {number} - Amount to add (negative when rounding down)
+ */
+const calculateRoundOff = (amount, mode = 'none') => {
+  const total = round2(amount);
+  if (mode === 'nearest') return round2(Math.round(total) - total);
+  if (mode === 'up') return round2(Math.ceil(total) - total);
+  return 0;
+};
+
+/**
+ * Calculate invoice totals with GST.
+ * Tax is worked out and rounded per line, and invoice totals are the sum of the lines,
+ * so line-level figures (used by GSTR-1) always add up to the invoice.
+ * Discounts reduce the taxable value before GST: line discounts first, then an
+ * invoice-level discount spread across the lines in proportion to their value.
+ * Lines flagged priceIncludesTax have GST backed out of the (discounted) price, so the
+ * line total stays exactly quantity × unitPrice; their gross and discount amounts are
+ * reported net of tax so gross - discount = taxable value on every line.
+ * Compensation cess (cessRate % and/or cessPerUnit) is charged on the taxable value
+ * alongside GST and is not split between centre and state.
+ * The customer's GST treatment can override this: exports and SEZ supplies are always
+ * inter-state, and those under LUT are zero-rated (no GST or cess). On reverse charge
+ * the tax is worked out for reporting but paid by the recipient, so it is left out
+ * of the grand total. The grand total is then rounded to whole rupees as set by
+ * options.roundOff, with the difference reported as roundOff.
+ * @param {Array} items - Array of items with { quantity, unitPrice, gstRate, cessRate, cessPerUnit, discountType, discountValue, priceIncludesTax }
+ * @param {string} customerState - Place of supply (state code, name or abbreviation)
+ * @param {string} businessState - Business owner's state (code, name or abbreviation)
+ * @param {object} options - Invoice-level discount { discountType, discountValue },
+ *   gstTreatment (see utils/gstTreatment), reverseCharge and roundOff mode
  * @returns {object} - Invoice totals breakdown
  */
-const calculateInvoiceTotals = (items, customerState, businessState) => {
+const calculateInvoiceTotals = (items, customerState, businessState, options = {}) => {
+  const { gstTreatment, reverseCharge = false } = options;
+  const chargesTax = !isZeroRated(gstTreatment);
+  let grossTotal = 0;
   let subtotal = 0;
   let totalGST = 0;
   let cgst = 0;
   let sgst = 0;
   let igst = 0;
+  let cess = 0;
+
+  // Determine tax type from GST state codes. An unknown place of supply is taken
+  // to be the supplier's own state, as for walk-in sales without an address.
+  const placeOfSupplyCode = getStateCode(customerState);
+  const isSameState = !isAlwaysInterState(gstTreatment) &&
+    (!placeOfSupplyCode || placeOfSupplyCode === getStateCode(businessState));
+
+  // Line discounts
+  const discountedItems = items.map(item => {
+    const grossAmount = round2(item.quantity * item.unitPrice);
+    const lineDiscount = calculateDiscount(grossAmount, item.discountType || 'percentage', item.discountValue);
+    return { item, grossAmount, lineDiscount, netAmount: round2(grossAmount - lineDiscount) };
+  });
+
+  // Invoice discount, apportioned by net line value; the last line takes the rounding difference
+  const netTotal = discountedItems.reduce((sum, line) => sum + line.netAmount, 0);
+  const invoiceDiscount = calculateDiscount(round2(netTotal), options.discountType || 'percentage', options.discountValue);
+  let unallocated = invoiceDiscount;
+  discountedItems.forEach((line, index) => {
+    const share = index === discountedItems.length - 1
+      ? unallocated
+      : round2(netTotal > 0 ? invoiceDiscount * line.netAmount / netTotal : 0);
+    line.invoiceDiscountShare = Math.min(share, line.netAmount);
+    unallocated = round2(unallocated - line.invoiceDiscountShare);
+  });
 
   // Calculate item totals and GST
-  const itemsWithTotals = items.map(item => {
-    const itemTotal = item.quantity * item.unitPrice;
-    const itemGST = calculateGST(itemTotal, item.gstRate || 0);
-    
+  const itemsWithTotals = discountedItems.map(line => {
+    const { item, netAmount, invoiceDiscountShare } = line;
+    const lineAmount = round2(netAmount - invoiceDiscountShare);
+    // Zero-rated lines keep their rates for reporting but carry no tax
+    const gstRate = chargesTax ? item.gstRate || 0 : 0;
+    const cessRate = chargesTax ? item.cessRate || 0 : 0;
+    const cessPerUnit = chargesTax ? item.cessPerUnit || 0 : 0;
+    const specificCess = round2((item.quantity || 0) * cessPerUnit);
+    let grossAmount = line.grossAmount;
+    let itemTotal;
+    let itemGST;
+    let itemCess;
+
+    if (item.priceIncludesTax) {
+      // Specific cess comes off first; the rest holds taxable value, GST and ad valorem cess
+      const valueWithTax = Math.max(lineAmount - specificCess, 0);
+      itemTotal = extractTaxableValue(valueWithTax, gstRate, cessRate);
+      itemCess = calculateCess(itemTotal, item.quantity, cessRate, cessPerUnit);
+      itemGST = round2(lineAmount - itemTotal - itemCess);
+      grossAmount = extractTaxableValue(Math.max(line.grossAmount - specificCess, 0), gstRate, cessRate);
+    } else {
+      itemTotal = lineAmount;
+      itemGST = round2(calculateGST(itemTotal, gstRate));
+      itemCess = calculateCess(itemTotal, item.quantity, cessRate, cessPerUnit);
+    }
+    const discountAmount = round2(grossAmount - itemTotal);
+    const lineTax = { cgst: 0, sgst: 0, igst: 0 };
+
+    if (isSameState) {
+      // Same state: CGST + SGST (SGST takes the odd paisa)
+      lineTax.cgst = round2(calculateCGSTSGST(itemGST).cgst);
+      lineTax.sgst = round2(itemGST - lineTax.cgst);
+    } else {
+      // Different state: IGST
+      lineTax.igst = itemGST;
+    }
+
+    grossTotal += grossAmount;
     subtotal += itemTotal;
     totalGST += itemGST;
+    cgst += lineTax.cgst;
+    sgst += lineTax.sgst;
+    igst += lineTax.igst;
+    cess += itemCess;
 
     return {
       ...item,
+      priceIncludesTax: !!item.priceIncludesTax,
+      grossAmount,
+      discountAmount,
       itemTotal,
-      itemGST
+      itemGST,
+      ...lineTax,
+      cessRate: item.cessRate || 0,
+      cessPerUnit: item.cessPerUnit || 0,
+      cess: round2(itemCess)
     };
   });
 
-  // Determine tax type based on states
-  const isSameState = customerState && businessState && 
-                      customerState.toLowerCase() === businessState.toLowerCase();
-
-  if (isSameState) {
-    // Same state: CGST + SGST
-    const taxes = calculateCGSTSGST(totalGST);
-    cgst = taxes.cgst;
-    sgst = taxes.sgst;
-  } else {
-    // Different state: IGST
-    igst = totalGST;
-  }
-
-  const grandTotal = subtotal + cgst + sgst + igst;
+  const totalBeforeRoundOff = reverseCharge ? subtotal : subtotal + cgst + sgst + igst + cess;
+  const roundOff = calculateRoundOff(totalBeforeRoundOff, options.roundOff);
 
   return {
     items: itemsWithTotals,
-    subtotal: parseFloat(subtotal.toFixed(2)),
-    cgst: parseFloat(cgst.toFixed(2)),
-    sgst: parseFloat(sgst.toFixed(2)),
-    igst: parseFloat(igst.toFixed(2)),
-    totalGST: parseFloat(totalGST.toFixed(2)),
-    grandTotal: parseFloat(grandTotal.toFixed(2)),
-    isSameState
+    grossTotal: round2(grossTotal),
+    invoiceDiscount,
+    totalDiscount: round2(grossTotal - subtotal),
+    subtotal: round2(subtotal),
+    cgst: round2(cgst),
+    sgst: round2(sgst),
+    igst: round2(igst),
+    cess: round2(cess),
+    totalGST: round2(totalGST),
+    roundOff,
+    grandTotal: round2(round2(totalBeforeRoundOff) + roundOff),
+    isSameState,
+    placeOfSupplyCode,
+    reverseCharge: !!reverseCharge
   };
 };
 
-/**
- * Generate unique invoice number
- * @param {string} userId - Business owner's user ID
- * @param {number} invoiceCount - Current invoice count for the user
- * @returns {string} - Invoice number (format: INV-{userId}-{number})
- */
-const generateInvoiceNumber = (userId, invoiceCount) => {
-  const invoiceNum = String(invoiceCount + 1).padStart(6, '0');
-  return `INV-${userId}-${invoiceNum}`;
-};
-
 module.exports = {
+  round2,
   calculateGST,
   calculateCGSTSGST,
-  calculateInvoiceTotals,
-  generateInvoiceNumber
+  calculateDiscount,
+  validateDiscount,
+  extractTaxableValue,
+  calculateCess,
+  calculateRoundOff,
+  calculateInvoiceTotals
 };
 
 
@@ -0,0 +1,134 @@
+// GST state master: state/UT codes used in GSTINs and place of supply
+
+const GST_STATES = [
+  { code: '01', name: 'Jammu and Kashmir', aliases: ['JK'] },
+  { code: '02', name: 'Himachal Pradesh', aliases: ['HP'] },
+  { code: '03', name: 'Punjab', aliases: ['PB'] },
+  { code: '04', name: 'Chandigarh', aliases: ['CH'] },
+  { code: '05', name: 'Uttarakhand', aliases: ['UK', 'UT', 'Uttaranchal'] },
+  { code: '06', name: 'Haryana', aliases: ['HR'] },
+  { code: '07', name: 'Delhi', aliases: ['DL', 'New Delhi', 'NCT of Delhi'] },
+  { code: '08', name: 'Rajasthan', aliases: ['RJ'] },
+  { code: '09', name: 'Uttar Pradesh', aliases: ['UP'] },
+  { code: '10', name: 'Bihar', aliases: ['BR', 'BH'] },
+  { code: '11', name: 'Sikkim', aliases: ['SK'] },
+  { code: '12', name: 'Arunachal Pradesh', aliases: ['AR'] },
+  { code: '13', name: 'Nagaland', aliases: ['NL'] },
+  { code: '14', name: 'Manipur', aliases: ['MN'] },
+  { code: '15', name: 'Mizoram', aliases: ['MZ'] },
+  { code: '16', name: 'Tripura', aliases: ['TR'] },
+  { code: '17', name: 'Meghalaya', aliases: ['ML'] },
+  { code: '18', name: 'Assam', aliases: ['AS'] },
+  { code: '19', name: 'West Bengal', aliases: ['WB'] },
+  { code: '20', name: 'Jharkhand', aliases: ['JH'] },
+  { code: '21', name: 'Odisha', aliases: ['OD', 'OR', 'Orissa'] },
+  { code: '22', name: 'Chhattisgarh', aliases: ['CG', 'CT', 'Chattisgarh'] },
+  { code: '23', name: 'Madhya Pradesh', aliases: ['MP'] },
+  { code: '24', name: 'Gujarat', aliases: ['GJ'] },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', aliases: ['DN', 'DD', 'Daman and Diu', 'Dadra and Nagar Haveli'] },
+  { code: '27', name: 'Maharashtra', aliases: ['MH'] },
+  { code: '29', name: 'Karnataka', aliases: ['KA'] },
+  { code: '30', name: 'Goa', aliases: ['GA'] },
+  { code: '31', name: 'Lakshadweep', aliases: ['LD'] },
+  { code: '32', name: 'Kerala', aliases: ['KL'] },
+  { code: '33', name: 'Tamil Nadu', aliases: ['TN'] },
+  { code: '34', name: 'Puducherry', aliases: ['PY', 'Pondicherry'] },
+  { code: '35', name: 'Andaman and Nicobar Islands', aliases: ['AN', 'Andaman and Nicobar'] },
+  { code: '36', name: 'Telangana', aliases: ['TS', 'TG'] },
+  { code: '37', name: 'Andhra Pradesh', aliases: ['AP'] },
+  { code: '38', name: 'Ladakh', aliases: ['LA'] },
+  { code: '96', name: 'Other Country', aliases: ['Foreign Country', 'Outside India'] },
+  { code: '97', name: 'Other Territory', aliases: ['OT'] }
+];
+
+// Lowercase, '&' as 'and', letters only - so "Jammu & Kashmir" matches "jammu and kashmir"
+const normalize = (value) => String(value).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const lookup = {};
+GST_STATES.forEach(state => {
+  lookup[state.code] = state;
+  lookup[normalize(state.name)] = state;
+  state.aliases.forEach(alias => {
+    lookup[normalize(alias)] = state;
+  });
+});
+
+/**
+ * Resolve a state from its GST code, name or common abbreviation
+ * @param {string} value - e.g. '36', 'Telangana', 'TS'
+ * @returns {object|null} - { code, name, aliases } or null if unknown
+ */
+const findState = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) {
+    return lookup[text.padStart(2, '0')] || null;
+  }
+  return lookup[normalize(text)] || null;
+};
+
+/**
+ * Get the two-digit GST state code for a state name, abbreviation or code
+ * @param {string} value - State name/abbreviation/code
+ * @returns {string|null} - State code or null if unknown
+ */
+const getStateCode = (value) => {
+  const state = findState(value);
+  return state ? state.code : null;
+};
+
+/**
+ * Get the state name for a GST state code (or any recognised spelling)
+ * @param {string} value - State code/name/abbreviation
+ * @returns {string|null} - Canonical state name or null if unknown
+ */
+const getStateName = (value) => {
+  const state = findState(value);
+  return state ? state.name : null;
+};
+
+/**
+ * Get the state code embedded in the first two characters of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} - State code or null if not a known state
+ */
+const getStateCodeFromGSTIN = (gstin) => {
+  if (!gstin || String(gstin).trim().length < 2) return null;
+  const prefix = String(gstin).trim().slice(0, 2);
+  return /^\d{2}$/.test(prefix) && lookup[prefix] ? prefix : null;
+};
+
+/**
+ * State code of the supplier: from its GSTIN, else its state
+ * @param {object} business - Business User document
+ * @returns {string|null} - State code or null if unknown
+ */
+const getBusinessStateCode = (business) => {
+  if (!business) return null;
+  return getStateCodeFromGSTIN(business.gstNumber) || getStateCode(business.state);
+};
+
+/**
+ * Place of supply of a sale: the per-invoice override, else the state in the customer's
+ * GSTIN, else the customer's shipping state, else their billing state
+ * @param {object} customer - Customer document
+ * @param {string} override - Optional state code/name set on the invoice
+ * @returns {string|null} - State code or null if it cannot be determined
+ */
+const resolvePlaceOfSupply = (customer, override) => {
+  if (override) return getStateCode(override);
+  if (!customer) return null;
+  return getStateCodeFromGSTIN(customer.gstin) ||
+    getStateCode(customer.shippingState) ||
+    getStateCode(customer.state);
+};
+
+module.exports = {
+  GST_STATES,
+  findState,
+  getStateCode,
+  getStateName,
+  getStateCodeFromGSTIN,
+  getBusinessStateCode,
+  resolvePlaceOfSupply
+};
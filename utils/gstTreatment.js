@@ -0,0 +1,124 @@
+// GST treatment utilities: how a customer's supplies are taxed and reported
+
+const GST_TREATMENTS = {
+  registered: 'Registered - regular',
+  unregistered: 'Unregistered',
+  composition: 'Registered - composition',
+  sez_with_payment: 'SEZ - with payment of IGST',
+  sez_without_payment: 'SEZ - without payment (LUT)',
+  export: 'Export (LUT)',
+  deemed_export: 'Deemed export'
+};
+
+// Treatments that need the customer's GSTIN
+const GSTIN_REQUIRED = ['registered', 'composition', 'sez_with_payment', 'sez_without_payment', 'deemed_export'];
+
+// Place of supply code for supplies outside India
+const EXPORT_PLACE_OF_SUPPLY = '96';
+
+// Invoice type codes used by GSTR-1 (inv_typ) and e-invoice (SupTyp)
+const GSTR1_INVOICE_TYPES = {
+  sez_with_payment: 'SEWP',
+  sez_without_payment: 'SEWOP',
+  deemed_export: 'DE'
+};
+const EINVOICE_SUPPLY_TYPES = {
+  sez_with_payment: 'SEZWP',
+  sez_without_payment: 'SEZWOP',
+  export: 'EXPWOP',
+  deemed_export: 'DEXP'
+};
+
+/**
+ * GST treatment of a customer; customers saved before the field existed are
+ * treated as registered when they have a GSTIN
+ * @param {object} customer - Customer document
+ * @returns {string} - Treatment key
+ */
+const getCustomerGstTreatment = (customer) => {
+  if (customer && customer.gstTreatment) return customer.gstTreatment;
+  return customer && customer.gstin ? 'registered' : 'unregistered';
+};
+
+/**
+ * Validate a GST treatment against the customer's GSTIN
+ * @param {string} treatment - Treatment key
+ * @param {string} gstin - Customer GSTIN
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateGstTreatment = (treatment, gstin) => {
+  if (!treatment) return null;
+  if (!GST_TREATMENTS[treatment]) {
+    return `GST treatment must be one of: ${Object.keys(GST_TREATMENTS).join(', ')}`;
+  }
+  if (GSTIN_REQUIRED.includes(treatment) && !gstin) {
+    return `GSTIN is required for ${GST_TREATMENTS[treatment]} customers`;
+  }
+  if (['unregistered', 'export'].includes(treatment) && gstin) {
+    return `${GST_TREATMENTS[treatment]} customers cannot have a GSTIN`;
+  }
+  return null;
+};
+
+/**
+ * Zero-rated supplies (export or SEZ under LUT) carry no GST
+ * @param {string} treatment - Treatment key
+ * @returns {boolean}
+ */
+const isZeroRated = (treatment) => ['export', 'sez_without_payment'].includes(treatment);
+
+/**
+ * Supplies to SEZs and exports are always inter-state, whatever the state
+ * @param {string} treatment - Treatment key
+ * @returns {boolean}
+ */
+const isAlwaysInterState = (treatment) => ['export', 'sez_with_payment', 'sez_without_payment'].includes(treatment);
+
+/**
+ * Title printed on an invoice. A supply on which no tax is charged - only nil-rated or
+ * exempt goods - is a Bill of Supply; zero-rated supplies stay Tax Invoices.
+ * @param {object} invoice - Invoice with items, gstTreatment and reverseCharge
+ * @returns {string}
+ */
+const getDocumentTitle = (invoice) => {
+  const items = invoice.items || [];
+  const untaxed = items.length > 0 && items.every(item => !item.gstRate && !item.cessRate && !item.cessPerUnit);
+  if (untaxed && !isZeroRated(invoice.gstTreatment)) {
+    return 'Bill of Supply';
+  }
+  return 'Tax Invoice';
+};
+
+/**
+ * Declaration the law requires on zero-rated and reverse-charge invoices
+ * @param {object} invoice - Invoice with gstTreatment and reverseCharge
+ * @returns {string|null}
+ */
+const getTreatmentDeclaration = (invoice) => {
+  if (invoice.gstTreatment === 'export') {
+    return 'Supply meant for export under LUT without payment of integrated tax';
+  }
+  if (invoice.gstTreatment === 'sez_without_payment') {
+    return 'Supply meant for SEZ unit/developer under LUT without payment of integrated tax';
+  }
+  if (invoice.gstTreatment === 'sez_with_payment') {
+    return 'Supply meant for SEZ unit/developer with payment of integrated tax';
+  }
+  if (invoice.reverseCharge) {
+    return 'Tax is payable on reverse charge basis by the recipient';
+  }
+  return null;
+};
+
+module.exports = {
+  GST_TREATMENTS,
+  EXPORT_PLACE_OF_SUPPLY,
+  GSTR1_INVOICE_TYPES,
+  EINVOICE_SUPPLY_TYPES,
+  getCustomerGstTreatment,
+  validateGstTreatment,
+  isZeroRated,
+  isAlwaysInterState,
+  getDocumentTitle,
+  getTreatmentDeclaration
+};
@@ -0,0 +1,95 @@
+// GSTIN validation utilities
+//
+// A GSTIN is 15 characters: 2-digit state code, 10-character PAN, entity number
+// (1-9, A-Z), the letter Z, and a check character (base-36 Luhn mod 36).
+const { findState } = require('./gstStates');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+// Fourth PAN character: the type of holder
+const PAN_HOLDER_TYPES = 'ABCEFGHJLPT';
+
+const CHECKSUM_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Uppercase a GSTIN and strip spaces
+ * @param {string} gstin - GSTIN as entered
+ * @returns {string} - Normalised GSTIN ('' when empty)
+ */
+const normalizeGSTIN = (gstin) => String(gstin || '').replace(/\s/g, '').toUpperCase();
+
+/**
+ * Compute the check character for the first 14 characters of a GSTIN
+ * @param {string} base - First 14 characters
+ * @returns {string} - Check character
+ */
+const calculateGSTINCheckDigit = (base) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHECKSUM_CHARS.indexOf(base[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECKSUM_CHARS[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validate a GSTIN: structure, state code, embedded PAN and check character
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateGSTIN = (gstin) => {
+  const value = normalizeGSTIN(gstin);
+  if (value.length !== 15) {
+    return `GSTIN ${value || '(empty)'} must be 15 characters`;
+  }
+  if (!GSTIN_PATTERN.test(value)) {
+    return `GSTIN ${value} is not in the format 22AAAAA0000A1Z5`;
+  }
+  if (!findState(value.slice(0, 2))) {
+    return `GSTIN ${value} has an unknown state code ${value.slice(0, 2)}`;
+  }
+  const pan = value.slice(2, 12);
+  if (!PAN_PATTERN.test(pan) || !PAN_HOLDER_TYPES.includes(pan[3])) {
+    return `GSTIN ${value} contains an invalid PAN ${pan}`;
+  }
+  if (calculateGSTINCheckDigit(value) !== value[14]) {
+    return `GSTIN ${value} has an invalid check digit`;
+  }
+  return null;
+};
+
+/**
+ * Whether a GSTIN is valid
+ * @param {string} gstin - GSTIN
+ * @returns {boolean}
+ */
+const isValidGSTIN = (gstin) => validateGSTIN(gstin) === null;
+
+/**
+ * Mongoose schema path for a GSTIN. The value is stored normalised, and checked only
+ * when it is set or changed, so records saved before validation can still be edited.
+ * @param {string} path - Name of the path in the schema
+ * @returns {object} - Schema path definition
+ */
+const gstinSchemaPath = (path) => ({
+  type: String,
+  set: (value) => (value ? normalizeGSTIN(value) : value),
+  validate: {
+    validator: function (value) {
+      // Update validators run with the query as context and only on updated paths
+      if (this && typeof this.isModified === 'function' && !this.isModified(path)) return true;
+      return !value || isValidGSTIN(value);
+    },
+    message: (props) => validateGSTIN(props.value)
+  }
+});
+
+module.exports = {
+  GSTIN_PATTERN,
+  normalizeGSTIN,
+  calculateGSTINCheckDigit,
+  validateGSTIN,
+  isValidGSTIN,
+  gstinSchemaPath
+};
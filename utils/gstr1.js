@@ -0,0 +1,359 @@
+// GSTR-1 return builder
+const { getStateCode, getStateName, resolvePlaceOfSupply } = require('./gstStates');
+const { getCustomerGstTreatment } = require('./gstTreatment');
+const { round2 } = require('./gstCalculator');
+
+// Inter-state invoices to unregistered buyers above this value are reported as B2C Large
+const B2CL_INVOICE_LIMIT = 100000;
+
+// Invoice type shown in the B2B table, by GST treatment
+const B2B_INVOICE_TYPES = {
+  sez_with_payment: 'SEZ supplies with payment',
+  sez_without_payment: 'SEZ supplies without payment',
+  deemed_export: 'Deemed Exp'
+};
+
+const emptyTax = () => ({ taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 });
+
+const addTax = (target, tax, sign = 1) => {
+  target.taxableValue += sign * (tax.taxableValue || 0);
+  target.cgst += sign * (tax.cgst || 0);
+  target.sgst += sign * (tax.sgst || 0);
+  target.igst += sign * (tax.igst || 0);
+  target.cess += sign * (tax.cess || 0);
+  return target;
+};
+
+const roundTax = (tax) => ({
+  ...tax,
+  taxableValue: round2(tax.taxableValue),
+  cgst: round2(tax.cgst),
+  sgst: round2(tax.sgst),
+  igst: round2(tax.igst),
+  cess: round2(tax.cess)
+});
+
+/**
+ * Whether an invoice or note is an inter-state supply
+ * @param {object} doc - Invoice or CreditDebitNote
+ * @returns {boolean}
+ */
+const isInterStateDocument = (doc) => !!(doc.isInterState || (doc.igst || 0) > 0);
+
+/**
+ * Tax on a single document line. Documents saved before tax was stored per line
+ * only carry itemGST, so it is split according to the document's supply type.
+ * @param {object} item - Invoice/note line
+ * @param {object} doc - Parent invoice/note
+ * @returns {object} - { taxableValue, cgst, sgst, igst, cess }
+ */
+const getLineTax = (item, doc) => {
+  const taxableValue = item.itemTotal || 0;
+  const cess = item.cess || 0;
+  if (item.cgst || item.sgst || item.igst) {
+    return { taxableValue, cgst: item.cgst || 0, sgst: item.sgst || 0, igst: item.igst || 0, cess };
+  }
+
+  const itemGST = item.itemGST || 0;
+  if (isInterStateDocument(doc)) {
+    return { taxableValue, cgst: 0, sgst: 0, igst: itemGST, cess };
+  }
+  const half = round2(itemGST / 2);
+  return { taxableValue, cgst: half, sgst: round2(itemGST - half), igst: 0, cess };
+};
+
+/**
+ * Rate-wise tax of a document, one entry per GST rate
+ * @param {object} doc - Invoice or CreditDebitNote
+ * @returns {Array} - [{ rate, taxableValue, cgst, sgst, igst, cess }]
+ */
+const groupItemsByRate = (doc) => {
+  const byRate = {};
+  (doc.items || []).forEach(item => {
+    const rate = item.gstRate || 0;
+    if (!byRate[rate]) {
+      byRate[rate] = { rate, ...emptyTax() };
+    }
+    addTax(byRate[rate], getLineTax(item, doc));
+  });
+  return Object.values(byRate).map(roundTax).sort((a, b) => a.rate - b.rate);
+};
+
+// Customer details of a document (customerId is expected to be populated).
+// Place of supply is the code stored on the document (a note falls back to its
+// invoice's); documents saved before it was stored derive it from the customer.
+const getParty = (doc) => {
+  const customer = doc.customerId || {};
+  const gstin = (customer.gstin || '').trim().toUpperCase();
+  const storedCode = doc.placeOfSupply || (doc.invoiceId && doc.invoiceId.placeOfSupply);
+  const placeOfSupplyCode = getStateCode(storedCode) || resolvePlaceOfSupply(customer);
+  return {
+    name: customer.name || 'Unknown',
+    gstin,
+    placeOfSupply: getStateName(placeOfSupplyCode) || customer.state || '',
+    placeOfSupplyCode
+  };
+};
+
+/**
+ * GST treatment of an invoice; invoices saved before it was stored use the customer's
+ * @param {object} invoice - Invoice with customerId populated
+ * @returns {string} - Treatment key
+ */
+const getInvoiceGstTreatment = (invoice) =>
+  invoice.gstTreatment || getCustomerGstTreatment(invoice.customerId);
+
+/**
+ * Which GSTR-1 table an invoice belongs to
+ * @param {object} invoice - Invoice with customerId populated
+ * @returns {string} - 'b2b', 'b2cl', 'b2cs' or 'exp'
+ */
+const classifyInvoice = (invoice) => {
+  if (getInvoiceGstTreatment(invoice) === 'export') return 'exp';
+  if (getParty(invoice).gstin) return 'b2b';
+  if (isInterStateDocument(invoice) && (invoice.grandTotal || 0) > B2CL_INVOICE_LIMIT) return 'b2cl';
+  return 'b2cs';
+};
+
+const toInvoiceEntry = (invoice) => ({
+  invoiceNumber: invoice.invoiceNumber,
+  date: invoice.date,
+  invoiceValue: round2(invoice.grandTotal),
+  placeOfSupply: getParty(invoice).placeOfSupply,
+  placeOfSupplyCode: getParty(invoice).placeOfSupplyCode,
+  reverseCharge: !!invoice.reverseCharge,
+  gstTreatment: getInvoiceGstTreatment(invoice),
+  invoiceType: B2B_INVOICE_TYPES[getInvoiceGstTreatment(invoice)] || 'Regular',
+  items: groupItemsByRate(invoice)
+});
+
+const toNoteEntry = (note) => ({
+  noteNumber: note.noteNumber,
+  noteType: note.noteType === 'debit' ? 'D' : 'C',
+  date: note.date,
+  noteValue: round2(note.grandTotal),
+  placeOfSupply: getParty(note).placeOfSupply,
+  placeOfSupplyCode: getParty(note).placeOfSupplyCode,
+  reason: note.reason,
+  originalInvoiceNumber: note.invoiceId?.invoiceNumber || '',
+  originalInvoiceDate: note.invoiceId?.date || null,
+  gstTreatment: note.invoiceId?.gstTreatment || getCustomerGstTreatment(note.customerId),
+  items: groupItemsByRate(note)
+});
+
+/**
+ * Documents issued summary: first/last number, count and cancellations per series.
+ * A series is identified by the number with its trailing sequence digits removed.
+ * @param {string} label - Document nature (e.g. 'Invoices for outward supply')
+ * @param {Array} docs - Documents with { number, cancelled }
+ * @returns {Array} - One entry per series
+ */
+const summarizeDocuments = (label, docs) => {
+  const bySeries = {};
+  docs.forEach(doc => {
+    const series = doc.number.replace(/\d+$/, '');
+    if (!bySeries[series]) bySeries[series] = [];
+    bySeries[series].push(doc);
+  });
+
+  return Object.values(bySeries).map(seriesDocs => {
+    const sorted = [...seriesDocs].sort((a, b) =>
+      a.number.localeCompare(b.number, undefined, { numeric: true })
+    );
+    const cancelled = sorted.filter(d => d.cancelled).length;
+    return {
+      documentType: label,
+      from: sorted[0].number,
+      to: sorted[sorted.length - 1].number,
+      totalIssued: sorted.length,
+      cancelled,
+      netIssued: sorted.length - cancelled
+    };
+  });
+};
+
+/**
+ * Build GSTR-1 sections from a period's invoices and credit/debit notes
+ * @param {object} data - { period, invoices, notes }; draft invoices must be excluded by the caller,
+ *   cancelled documents are only counted in the documents-issued summary.
+ *   invoices need customerId populated; notes need customerId and invoiceId populated.
+ * @returns {object} - GSTR-1 report
+ */
+const buildGSTR1 = ({ period, invoices, notes = [] }) => {
+  const activeInvoices = invoices.filter(inv => inv.status !== 'cancelled');
+  const activeNotes = notes.filter(note => note.status !== 'cancelled');
+
+  const b2bMap = {};
+  const b2clMap = {};
+  const b2csMap = {};
+  const cdnrMap = {};
+  const cdnur = [];
+  const exp = [];
+  const hsnMap = {};
+  const byGSTRate = {};
+  const totals = emptyTax();
+  let invoiceValue = 0;
+
+  const addToB2CS = (doc, sign) => {
+    const { placeOfSupply, placeOfSupplyCode } = getParty(doc);
+    const supplyType = isInterStateDocument(doc) ? 'INTER' : 'INTRA';
+    groupItemsByRate(doc).forEach(rateTax => {
+      const key = `${placeOfSupplyCode || placeOfSupply}|${supplyType}|${rateTax.rate}`;
+      if (!b2csMap[key]) {
+        b2csMap[key] = { placeOfSupply, placeOfSupplyCode, supplyType, rate: rateTax.rate, ...emptyTax() };
+      }
+      addTax(b2csMap[key], rateTax, sign);
+    });
+  };
+
+  // Rate-wise totals and HSN summary are reported net of credit/debit notes
+  const addToSummaries = (doc, sign) => {
+    (doc.items || []).forEach(item => {
+      const lineTax = getLineTax(item, doc);
+      const rate = item.gstRate || 0;
+
+      if (!byGSTRate[rate]) byGSTRate[rate] = emptyTax();
+      addTax(byGSTRate[rate], lineTax, sign);
+      addTax(totals, lineTax, sign);
+
+      const hsnCode = item.hsnCode || '';
+      const unit = item.unit || '';
+      const key = `${hsnCode}|${unit}|${rate}`;
+      if (!hsnMap[key]) {
+        hsnMap[key] = {
+          hsnCode,
+          description: item.productName || '',
+          unit,
+          rate,
+          quantity: 0,
+          totalValue: 0,
+          ...emptyTax()
+        };
+      }
+      const hsn = hsnMap[key];
+      // Rate-difference and discount notes change value only, not quantity
+      if (!doc.noteType || doc.reason === 'sales_return') {
+        hsn.quantity += sign * (item.quantity || 0);
+      }
+      hsn.totalValue += sign * (lineTax.taxableValue + lineTax.cgst + lineTax.sgst + lineTax.igst + lineTax.cess);
+      addTax(hsn, lineTax, sign);
+    });
+  };
+
+  activeInvoices.forEach(invoice => {
+    invoiceValue += invoice.grandTotal || 0;
+    addToSummaries(invoice, 1);
+
+    const section = classifyInvoice(invoice);
+    const party = getParty(invoice);
+
+    if (section === 'b2b') {
+      if (!b2bMap[party.gstin]) {
+        b2bMap[party.gstin] = { customerGSTIN: party.gstin, customerName: party.name, invoices: [] };
+      }
+      b2bMap[party.gstin].invoices.push(toInvoiceEntry(invoice));
+    } else if (section === 'b2cl') {
+      const key = party.placeOfSupplyCode || party.placeOfSupply;
+      if (!b2clMap[key]) {
+        b2clMap[key] = {
+          placeOfSupply: party.placeOfSupply,
+          placeOfSupplyCode: party.placeOfSupplyCode,
+          invoices: []
+        };
+      }
+      b2clMap[key].invoices.push(toInvoiceEntry(invoice));
+    } else if (section === 'exp') {
+      exp.push({ ...toInvoiceEntry(invoice), exportType: 'WOPAY' });
+    } else {
+      addToB2CS(invoice, 1);
+    }
+  });
+
+  activeNotes.forEach(note => {
+    const sign = note.noteType === 'debit' ? 1 : -1;
+    invoiceValue += sign * (note.grandTotal || 0);
+    addToSummaries(note, sign);
+
+    const party = getParty(note);
+    const originalInvoice = note.invoiceId || {};
+
+    if (originalInvoice.gstTreatment === 'export') {
+      cdnur.push({ ...toNoteEntry(note), type: 'EXPWOP' });
+    } else if (party.gstin) {
+      if (!cdnrMap[party.gstin]) {
+        cdnrMap[party.gstin] = { customerGSTIN: party.gstin, customerName: party.name, notes: [] };
+      }
+      cdnrMap[party.gstin].notes.push(toNoteEntry(note));
+    } else if (isInterStateDocument(note) && (originalInvoice.grandTotal || 0) > B2CL_INVOICE_LIMIT) {
+      cdnur.push({ ...toNoteEntry(note), type: 'B2CL' });
+    } else {
+      // Notes against B2C Small supplies are adjusted in the B2CS table itself
+      addToB2CS(note, sign);
+    }
+  });
+
+  const roundedByRate = {};
+  Object.keys(byGSTRate).sort((a, b) => a - b).forEach(rate => {
+    roundedByRate[rate] = roundTax(byGSTRate[rate]);
+  });
+
+  const documentsIssued = [
+    ...summarizeDocuments('Invoices for outward supply', invoices.map(inv => ({
+      number: inv.invoiceNumber,
+      cancelled: inv.status === 'cancelled'
+    }))),
+    ...summarizeDocuments('Credit Note', notes.filter(n => n.noteType === 'credit').map(n => ({
+      number: n.noteNumber,
+      cancelled: n.status === 'cancelled'
+    }))),
+    ...summarizeDocuments('Debit Note', notes.filter(n => n.noteType === 'debit').map(n => ({
+      number: n.noteNumber,
+      cancelled: n.status === 'cancelled'
+    })))
+  ];
+
+  const roundedTotals = roundTax(totals);
+
+  return {
+    period,
+    summary: {
+      invoiceCount: activeInvoices.length,
+      noteCount: activeNotes.length,
+      invoiceValue: round2(invoiceValue),
+      ...roundedTotals,
+      totalTax: round2(roundedTotals.cgst + roundedTotals.sgst + roundedTotals.igst + roundedTotals.cess)
+    },
+    taxableValue: roundedTotals.taxableValue,
+    taxBreakdown: {
+      cgst: roundedTotals.cgst,
+      sgst: roundedTotals.sgst,
+      igst: roundedTotals.igst,
+      cess: roundedTotals.cess,
+      total: round2(roundedTotals.cgst + roundedTotals.sgst + roundedTotals.igst + roundedTotals.cess)
+    },
+    byGSTRate: roundedByRate,
+    b2b: Object.values(b2bMap),
+    b2cl: Object.values(b2clMap),
+    b2cs: Object.values(b2csMap).map(roundTax),
+    cdnr: Object.values(cdnrMap),
+    cdnur,
+    exp,
+    hsn: Object.values(hsnMap).map(hsn => ({
+      ...roundTax(hsn),
+      quantity: round2(hsn.quantity),
+      totalValue: round2(hsn.totalValue)
+    })),
+    documentsIssued
+  };
+};
+
+module.exports = {
+  B2CL_INVOICE_LIMIT,
+  isInterStateDocument,
+  getParty,
+  getLineTax,
+  groupItemsByRate,
+  getInvoiceGstTreatment,
+  classifyInvoice,
+  buildGSTR1
+};
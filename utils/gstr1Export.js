@@ -0,0 +1,233 @@
+// GSTR-1 export in the GST portal offline-tool JSON format
+const { getParty, isInterStateDocument } = require('./gstr1');
+const { getStateCodeFromGSTIN } = require('./gstStates');
+const { validateGSTIN } = require('./gstinValidator');
+const { GSTR1_INVOICE_TYPES } = require('./gstTreatment');
+const { round2 } = require('./gstCalculator');
+
+// Product units to GST Unit Quantity Codes
+const UQC_BY_UNIT = {
+  pcs: 'NOS',
+  kg: 'KGS',
+  g: 'GMS',
+  ltr: 'LTR',
+  box: 'BOX',
+  pack: 'PAC'
+};
+
+// Document nature numbers used by the doc_issue table
+const DOC_ISSUE_NUMBERS = {
+  'Invoices for outward supply': 1,
+  'Debit Note': 4,
+  'Credit Note': 5
+};
+
+// Portal dates are dd-mm-yyyy
+const formatPortalDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+};
+
+const toItemDetails = (items, { withIntraTax = true } = {}) => items.map((item, index) => {
+  const details = {
+    txval: round2(item.taxableValue),
+    rt: item.rate,
+    iamt: round2(item.igst),
+    csamt: round2(item.cess)
+  };
+  if (withIntraTax) {
+    details.camt = round2(item.cgst);
+    details.samt = round2(item.sgst);
+  }
+  return { num: index + 1, itm_det: details };
+});
+
+/**
+ * Check invoices and notes for data the portal would reject
+ * @param {object} data - { business, invoices, notes } (invoices/notes as loaded for buildGSTR1)
+ * @returns {Array} - [{ document, field, message }], empty when the data can be exported
+ */
+const validateGSTR1Documents = ({ business, invoices, notes = [] }) => {
+  const errors = [];
+  const businessGSTIN = (business.gstNumber || '').trim().toUpperCase();
+  const businessStateCode = getStateCodeFromGSTIN(businessGSTIN);
+
+  if (!businessGSTIN) {
+    errors.push({ document: 'Business', field: 'gstNumber', message: 'Business GSTIN is missing' });
+  } else if (validateGSTIN(businessGSTIN)) {
+    errors.push({ document: 'Business', field: 'gstNumber', message: `Business: ${validateGSTIN(businessGSTIN)}` });
+  }
+
+  const checkDocument = (doc, number) => {
+    const party = getParty(doc);
+
+    const gstinError = party.gstin ? validateGSTIN(party.gstin) : null;
+    if (gstinError) {
+      errors.push({ document: number, field: 'customer.gstin', message: `Customer ${party.name}: ${gstinError}` });
+    }
+
+    // Intra-state supplies to unregistered buyers default to the supplier's own state
+    const placeOfSupply = party.placeOfSupplyCode || (!isInterStateDocument(doc) ? businessStateCode : null);
+    if (!placeOfSupply) {
+      errors.push({ document: number, field: 'customer.state', message: `Place of supply for ${party.name} could not be determined from state "${party.placeOfSupply}"` });
+    }
+
+    (doc.items || []).forEach((item, index) => {
+      if (!item.hsnCode || !String(item.hsnCode).trim()) {
+        errors.push({ document: number, field: `items[${index}].hsnCode`, message: `HSN code missing for ${item.productName || 'line ' + (index + 1)}` });
+      }
+    });
+  };
+
+  invoices
+    .filter(inv => inv.status !== 'cancelled')
+    .forEach(invoice => checkDocument(invoice, invoice.invoiceNumber));
+  notes
+    .filter(note => note.status !== 'cancelled')
+    .forEach(note => checkDocument(note, note.noteNumber));
+
+  return errors;
+};
+
+/**
+ * Convert a GSTR-1 report (from buildGSTR1) to the portal offline-tool JSON schema
+ * @param {object} report - GSTR-1 report
+ * @param {object} options - { gstin, period } period as YYYY-MM
+ * @returns {object} - Portal JSON
+ */
+const toPortalJSON = (report, { gstin, period }) => {
+  const [year, month] = period.split('-');
+  const businessStateCode = getStateCodeFromGSTIN(gstin);
+  // Intra-state supplies without a known customer state take the supplier's state
+  const posOf = (entry, interState) =>
+    entry.placeOfSupplyCode || (!interState ? businessStateCode : null);
+
+  const b2b = report.b2b.map(party => ({
+    ctin: party.customerGSTIN,
+    inv: party.invoices.map(inv => ({
+      inum: inv.invoiceNumber,
+      idt: formatPortalDate(inv.date),
+      val: inv.invoiceValue,
+      pos: posOf(inv, inv.items.some(item => item.igst > 0)),
+      rchrg: inv.reverseCharge ? 'Y' : 'N',
+      inv_typ: GSTR1_INVOICE_TYPES[inv.gstTreatment] || 'R',
+      itms: toItemDetails(inv.items)
+    }))
+  }));
+
+  const b2cl = report.b2cl.map(group => ({
+    pos: posOf(group, true),
+    inv: group.invoices.map(inv => ({
+      inum: inv.invoiceNumber,
+      idt: formatPortalDate(inv.date),
+      val: inv.invoiceValue,
+      itms: toItemDetails(inv.items, { withIntraTax: false })
+    }))
+  }));
+
+  const b2cs = report.b2cs.map(row => {
+    const entry = {
+      sply_ty: row.supplyType,
+      pos: posOf(row, row.supplyType === 'INTER'),
+      typ: 'OE',
+      txval: row.taxableValue,
+      rt: row.rate,
+      iamt: row.igst,
+      csamt: row.cess
+    };
+    if (row.supplyType === 'INTRA') {
+      entry.camt = row.cgst;
+      entry.samt = row.sgst;
+    }
+    return entry;
+  });
+
+  const cdnr = report.cdnr.map(party => ({
+    ctin: party.customerGSTIN,
+    nt: party.notes.map(note => ({
+      ntty: note.noteType,
+      nt_num: note.noteNumber,
+      nt_dt: formatPortalDate(note.date),
+      val: note.noteValue,
+      pos: posOf(note, note.items.some(item => item.igst > 0)),
+      rchrg: 'N',
+      inv_typ: GSTR1_INVOICE_TYPES[note.gstTreatment] || 'R',
+      itms: toItemDetails(note.items)
+    }))
+  }));
+
+  const cdnur = report.cdnur.map(note => ({
+    typ: note.type,
+    ntty: note.noteType,
+    nt_num: note.noteNumber,
+    nt_dt: formatPortalDate(note.date),
+    val: note.noteValue,
+    pos: posOf(note, true),
+    itms: toItemDetails(note.items, { withIntraTax: false })
+  }));
+
+  // Exports under LUT, without payment of tax
+  const exp = report.exp.length > 0
+    ? [{
+      exp_typ: 'WOPAY',
+      inv: report.exp.map(inv => ({
+        inum: inv.invoiceNumber,
+        idt: formatPortalDate(inv.date),
+        val: inv.invoiceValue,
+        itms: toItemDetails(inv.items, { withIntraTax: false }).map(item => item.itm_det)
+      }))
+    }]
+    : [];
+
+  const hsn = {
+    data: report.hsn.map((row, index) => ({
+      num: index + 1,
+      hsn_sc: row.hsnCode,
+      desc: (row.description || '').slice(0, 30),
+      uqc: UQC_BY_UNIT[row.unit] || 'OTH',
+      qty: row.quantity,
+      rt: row.rate,
+      txval: row.taxableValue,
+      iamt: row.igst,
+      camt: row.cgst,
+      samt: row.sgst,
+      csamt: row.cess
+    }))
+  };
+
+  const docDetails = {};
+  report.documentsIssued.forEach(doc => {
+    const docNum = DOC_ISSUE_NUMBERS[doc.documentType];
+    if (!docDetails[docNum]) {
+      docDetails[docNum] = { doc_num: docNum, doc_typ: doc.documentType, docs: [] };
+    }
+    docDetails[docNum].docs.push({
+      num: docDetails[docNum].docs.length + 1,
+      from: doc.from,
+      to: doc.to,
+      totnum: doc.totalIssued,
+      cancel: doc.cancelled,
+      net_issue: doc.netIssued
+    });
+  });
+
+  return {
+    gstin,
+    fp: `${month}${year}`,
+    b2b,
+    b2cl,
+    b2cs,
+    cdnr,
+    cdnur,
+    exp,
+    hsn,
+    doc_issue: { doc_det: Object.values(docDetails) }
+  };
+};
+
+module.exports = {
+  UQC_BY_UNIT,
+  formatPortalDate,
+  validateGSTR1Documents,
+  toPortalJSON
+};
@@ -0,0 +1,225 @@
+// Bulk invoice export utilities: ZIP of invoice PDFs with a CSV index
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const Invoice = require('../models/Invoice');
+const ExportJob = require('../models/ExportJob');
+const { PDF_CUSTOMER_FIELDS, loadInvoicePdfContext, getInvoicePdfFileName, renderInvoicePDF } = require('./invoicePdf');
+
+// Larger exports run as a background job instead of streaming straight back
+const SYNC_EXPORT_LIMIT = 50;
+const EXPORT_DIR = path.join(__dirname, '..', 'exports');
+const EXPORT_RETENTION_DAYS = 7;
+
+const INVOICE_STATUSES = ['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled'];
+
+const csvCell = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+/**
+ * Parse and check the filters of an invoice export
+ * @param {object} params - { startDate, endDate, status, customerId }; status may be comma separated
+ * @returns {object} - { filters } or { error }
+ */
+const parseInvoiceExportFilters = ({ startDate, endDate, status, customerId }) => {
+  if (!startDate || !endDate) {
+    return { error: 'Start date and end date are required' };
+  }
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) {
+    return { error: 'Start date and end date must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'Start date must be on or before end date' };
+  }
+  // An end date without a time covers that whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) {
+    end.setHours(23, 59, 59, 999);
+  }
+
+  const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : [];
+  const invalidStatus = statuses.find(value => !INVOICE_STATUSES.includes(value));
+  if (invalidStatus) {
+    return { error: `Status must be one of: ${INVOICE_STATUSES.join(', ')}` };
+  }
+  if (customerId && !mongoose.Types.ObjectId.isValid(customerId)) {
+    return { error: 'Invalid customer ID' };
+  }
+
+  return { filters: { startDate: start, endDate: end, status: statuses, customerId: customerId || undefined } };
+};
+
+/**
+ * Invoice query for a business's export filters
+ * @param {string} businessId - Business ID
+ * @param {object} filters - From parseInvoiceExportFilters
+ * @returns {object} - Mongo query
+ */
+const buildInvoiceExportQuery = (businessId, filters) => {
+  const query = {
+    businessId,
+    date: { $gte: filters.startDate, $lte: filters.endDate }
+  };
+  if (filters.status && filters.status.length > 0) {
+    query.status = { $in: filters.status };
+  }
+  if (filters.customerId) {
+    query.customerId = filters.customerId;
+  }
+  return query;
+};
+
+/**
+ * Write a ZIP of invoice PDFs, in date order, with index.csv listing them
+ * @param {string} businessId - Business ID
+ * @param {object} query - From buildInvoiceExportQuery
+ * @param {stream.Writable} output - Response or file stream
+ * @param {Function} [onProgress] - Called with the number of PDFs written so far
+ * @returns {Promise<number>} - Number of invoices exported
+ */
+const writeInvoicePdfZip = async (businessId, query, output, onProgress) => {
+  const context = await loadInvoicePdfContext(businessId);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // A failed stream stops the export at the next invoice instead of going unnoticed
+  let streamError = null;
+  finished.catch((error) => { streamError = error; });
+  archive.pipe(output);
+  const rows = [
+    ['File', 'Invoice Number', 'Date', 'Customer', 'GSTIN', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Cess', 'Round Off', 'Grand Total', 'Status']
+  ];
+
+  const cursor = Invoice.find(query)
+    .populate('customerId', PDF_CUSTOMER_FIELDS)
+    .sort({ date: 1, invoiceNumber: 1 })
+    .cursor();
+
+  let count = 0;
+  try {
+    for (let invoice = await cursor.next(); invoice; invoice = await cursor.next()) {
+      if (streamError) throw streamError;
+      const fileName = getInvoicePdfFileName(invoice);
+      archive.append(await renderInvoicePDF(invoice, context), { name: fileName });
+
+      const customer = invoice.customerId || {};
+      rows.push([
+        fileName,
+        invoice.invoiceNumber,
+        new Date(invoice.date).toISOString().slice(0, 10),
+        customer.companyName || customer.name || '',
+        customer.gstin || '',
+        invoice.subtotal,
+        invoice.cgst || 0,
+        invoice.sgst || 0,
+        invoice.igst || 0,
+        invoice.cess || 0,
+        invoice.roundOff || 0,
+        invoice.grandTotal,
+        invoice.status
+      ]);
+
+      count += 1;
+      if (onProgress) await onProgress(count);
+    }
+  } catch (error) {
+    await cursor.close();
+    archive.abort();
+    throw error;
+  }
+
+  archive.append(rows.map(row => row.map(csvCell).join(',')).join('\n'), { name: 'index.csv' });
+  await archive.finalize();
+  await finished;
+  return count;
+};
+
+/**
+ * Delete the files of exports past their expiry
+ * @returns {Promise<void>}
+ */
+const removeExpiredExports = async () => {
+  const expired = await ExportJob.find({ expiresAt: { $lt: new Date() }, filePath: { $exists: true } });
+  for (const job of expired) {
+    await fs.promises.rm(job.filePath, { force: true });
+    job.filePath = undefined;
+    await job.save();
+  }
+};
+
+/**
+ * Run a queued invoice PDF export, writing the ZIP under exports/
+ * @param {string} jobId - ExportJob ID
+ * @returns {Promise<void>}
+ */
+const runInvoicePdfExportJob = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const filePath = path.join(EXPORT_DIR, `${job._id}.zip`);
+  let output = null;
+  try {
+    job.status = 'running';
+    const query = buildInvoiceExportQuery(job.businessId, job.filters);
+    job.totalCount = await Invoice.countDocuments(query);
+    await job.save();
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    // Progress is saved every 25 invoices rather than after each one
+    output = fs.createWriteStream(filePath);
+    await writeInvoicePdfZip(job.businessId, query, output, async (count) => {
+      if (count % 25 === 0) {
+        await ExportJob.updateOne({ _id: job._id }, { processedCount: count });
+      }
+    });
+
+    const { size } = await fs.promises.stat(filePath);
+    job.status = 'completed';
+    job.processedCount = job.totalCount;
+    job.filePath = filePath;
+    job.fileSize = size;
+    job.completedAt = new Date();
+    job.expiresAt = new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await job.save();
+  } catch (error) {
+    console.error('Invoice PDF export job error:', error);
+    // A partial ZIP is never offered for download
+    if (output) output.destroy();
+    await fs.promises.rm(filePath, { force: true }).catch(() => {});
+    await ExportJob.updateOne({ _id: job._id }, { status: 'failed', error: error.message, $unset: { filePath: 1 } })
+      .catch(updateError => console.error('Failed to mark export job failed:', updateError));
+  }
+};
+
+/**
+ * Fail the export jobs a server restart cut short and delete their partial files,
+ * then clean up expired exports. Run once at startup.
+ * @returns {Promise<void>}
+ */
+const recoverExportJobs = async () => {
+  const interrupted = await ExportJob.find({ status: { $in: ['queued', 'running'] } });
+  for (const job of interrupted) {
+    await fs.promises.rm(path.join(EXPORT_DIR, `${job._id}.zip`), { force: true });
+    job.status = 'failed';
+    job.error = 'Export was interrupted by a server restart';
+    job.filePath = undefined;
+    await job.save();
+  }
+  await removeExpiredExports();
+};
+
+module.exports = {
+  SYNC_EXPORT_LIMIT,
+  parseInvoiceExportFilters,
+  buildInvoiceExportQuery,
+  writeInvoicePdfZip,
+  removeExpiredExports,
+  runInvoicePdfExportJob,
+  recoverExportJobs
+};
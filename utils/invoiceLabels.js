@@ -0,0 +1,101 @@
+// Invoice label utilities: the text printed on invoice PDFs, in English and Hindi
+
+const INVOICE_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  bilingual: 'Hindi and English'
+};
+
+const LABELS = {
+  'Tax Invoice': 'कर बीजक',
+  'Bill of Supply': 'आपूर्ति बिल',
+  'continued': 'जारी',
+  'Invoice Number': 'बीजक संख्या',
+  'Date': 'दिनांक',
+  'Due Date': 'देय तिथि',
+  'Reverse Charge': 'रिवर्स चार्ज',
+  'Yes': 'हाँ',
+  'State': 'राज्य',
+  'Phone': 'फ़ोन',
+  'Bill To': 'बिल प्राप्तकर्ता',
+  'Ship To': 'माल प्राप्तकर्ता',
+  'Place of Supply': 'आपूर्ति का स्थान',
+  'S.No': 'क्र.सं.',
+  'Item': 'विवरण',
+  'Qty': 'मात्रा',
+  'Rate': 'दर',
+  'Gross': 'सकल',
+  'Disc.': 'छूट',
+  'GST %': 'जीएसटी %',
+  'Taxable': 'कर योग्य',
+  'Cess': 'उपकर',
+  'Total Tax': 'कुल कर',
+  'Total': 'कुल',
+  'HSN/SAC Summary': 'HSN/SAC सारांश',
+  'Rate includes GST; gross and taxable values are shown net of tax.': 'दर में जीएसटी शामिल है; सकल और कर योग्य मूल्य कर घटाकर दर्शाए गए हैं।',
+  'Notes': 'टिप्पणी',
+  'Terms & Conditions': 'नियम एवं शर्तें',
+  'Gross Amount': 'सकल राशि',
+  'Discount': 'छूट',
+  'Taxable Value': 'कर योग्य मूल्य',
+  'Subtotal': 'उप-योग',
+  'Round Off': 'पूर्णांकन',
+  'Grand Total': 'कुल योग',
+  'Amount in words': 'राशि शब्दों में',
+  'Bank Details': 'बैंक विवरण',
+  'Account Name': 'खाताधारक',
+  'Bank': 'बैंक',
+  'Account No': 'खाता संख्या',
+  'Branch': 'शाखा',
+  'Scan to pay with UPI': 'UPI से भुगतान हेतु स्कैन करें',
+  'For': 'कृते',
+  'Authorised Signatory': 'अधिकृत हस्ताक्षरकर्ता',
+  'This is a computer-generated invoice.': 'यह कंप्यूटर द्वारा जनित बीजक है।',
+  'Batch': 'बैच',
+  'Exp': 'समाप्ति',
+  'Purchase Order': 'क्रय आदेश',
+  'PO Number': 'क्रय आदेश संख्या',
+  'Expected Delivery': 'अपेक्षित डिलीवरी',
+  'Supplier': 'आपूर्तिकर्ता',
+  'Deliver To': 'डिलीवरी स्थान',
+  'This is a computer-generated purchase order.': 'यह कंप्यूटर द्वारा जनित क्रय आदेश है।'
+};
+
+/**
+ * Translator for invoice labels. Bilingual labels print the English and Hindi
+ * side by side; labels without a translation stay in English.
+ * @param {string} language - 'en', 'hi' or 'bilingual'
+ * @param {string} [separator] - Between the English and Hindi of a bilingual label
+ * @returns {Function} - (label) => translated label
+ */
+const createTranslator = (language, separator = ' / ') => (label) => {
+  const hindi = LABELS[label];
+  if (!hindi || language === 'en' || !INVOICE_LANGUAGES[language]) return label;
+  if (language === 'hi') return hindi;
+  return `${label}${separator}${hindi}`;
+};
+
+/**
+ * Whether invoices in a language need a font with Devanagari glyphs
+ * @param {string} language - Language key
+ * @returns {boolean}
+ */
+const needsUnicodeFont = (language) => language === 'hi' || language === 'bilingual';
+
+/**
+ * Page number printed in the footer
+ * @param {string} language - Language key
+ * @param {number} page - Page number
+ * @param {number} count - Number of pages
+ * @returns {string} - e.g. 'Page 1 of 2' or 'पृष्ठ 1 / 2'
+ */
+const formatPageNumber = (language, page, count) => (needsUnicodeFont(language)
+  ? `पृष्ठ ${page} / ${count}`
+  : `Page ${page} of ${count}`);
+
+module.exports = {
+  INVOICE_LANGUAGES,
+  createTranslator,
+  formatPageNumber,
+  needsUnicodeFont
+};
@@ -0,0 +1,102 @@
+// Invoice payment tracking utilities
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const CreditDebitNote = require('../models/CreditDebitNote');
+const { round2 } = require('./gstCalculator');
+
+// Statuses that payments never move an invoice out of
+const LOCKED_STATUSES = ['draft', 'cancelled'];
+
+/**
+ * Work out an invoice's status from how much of it has been paid
+ * @param {string} currentStatus - Invoice's current status
+ * @param {number} grandTotal - Invoice grand total
+ * @param {number} amountPaid - Total allocated from payments
+ * @param {number} [credited] - Credit notes issued against the invoice
+ * @returns {string} - New status
+ */
+const derivePaymentStatus = (currentStatus, grandTotal, amountPaid, credited = 0) => {
+  if (LOCKED_STATUSES.includes(currentStatus)) {
+    return currentStatus;
+  }
+  // An invoice credited in full is settled without a payment
+  if ((amountPaid > 0 || credited > 0) && amountPaid >= round2(grandTotal - credited)) {
+    return 'paid';
+  }
+  if (amountPaid > 0) {
+    return 'partially_paid';
+  }
+  return currentStatus === 'overdue' ? 'overdue' : 'pending';
+};
+
+/**
+ * Total of the credit notes issued against an invoice, which the customer no longer owes
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<number>}
+ */
+const getCreditedAmount = async (invoiceId) => {
+  const [result] = await CreditDebitNote.aggregate([
+    { $match: { invoiceId, noteType: 'credit', status: 'issued' } },
+    { $group: { _id: null, total: { $sum: '$grandTotal' } } }
+  ]);
+  return round2(result ? result.total : 0);
+};
+
+/**
+ * Recompute amountPaid, balanceDue and status of an invoice from its payments and
+ * the credit notes issued against it
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<object|null>} - Updated invoice, or null if not found
+ */
+const refreshInvoicePayments = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+
+  const [result] = await Payment.aggregate([
+    { $match: { 'allocations.invoiceId': invoice._id } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.invoiceId': invoice._id } },
+    { $group: { _id: null, total: { $sum: '$allocations.amount' } } }
+  ]);
+
+  const amountPaid = round2(result ? result.total : 0);
+  const credited = await getCreditedAmount(invoice._id);
+  invoice.amountPaid = amountPaid;
+  invoice.balanceDue = round2(Math.max(0, (invoice.grandTotal || 0) - credited - amountPaid));
+  invoice.status = derivePaymentStatus(invoice.status, invoice.grandTotal, amountPaid, credited);
+  await invoice.save();
+
+  return invoice;
+};
+
+/**
+ * Take an allocation out of an invoice's balance due. The balance is checked and reduced
+ * in one update, so payments recorded at the same time cannot allocate more than is due.
+ * refreshInvoicePayments settles the figures from the saved payments afterwards.
+ * @param {string} invoiceId - Invoice ID
+ * @param {number} amount - Amount allocated
+ * @returns {Promise<object|null>} - Updated invoice, or null when less than the amount is due
+ */
+const claimInvoiceBalance = (invoiceId, amount) => Invoice.findOneAndUpdate(
+  { _id: invoiceId, status: { $nin: LOCKED_STATUSES }, balanceDue: { $gte: amount } },
+  { $inc: { balanceDue: -amount, amountPaid: amount } },
+  { new: true }
+);
+
+/**
+ * Outstanding amount on an invoice that payments can still be allocated to, after
+ * payments and credit notes (kept up to date by refreshInvoicePayments)
+ * @param {object} invoice - Invoice document
+ * @returns {number} - Balance due
+ */
+const getOutstandingAmount = (invoice) => {
+  return round2(Math.max(0, invoice.balanceDue || 0));
+};
+
+module.exports = {
+  derivePaymentStatus,
+  refreshInvoicePayments,
+  claimInvoiceBalance,
+  getOutstandingAmount,
+  getCreditedAmount
+};
@@ -0,0 +1,120 @@
+// Invoice PDF utilities: gather an invoice's business, customer and settings for the PDF
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { generateInvoicePDF } = require('./pdfGenerator');
+const { getBusinessSettings, getBrandingImages } = require('./businessSettings');
+const { getStateName } = require('./gstStates');
+const { getDocumentTitle, getTreatmentDeclaration } = require('./gstTreatment');
+const { amountInWords } = require('./amountInWords');
+const { INVOICE_LANGUAGES } = require('./invoiceLabels');
+const { getInvoiceUpiPayment } = require('./upi');
+
+// Customer fields to populate on invoices being printed
+const PDF_CUSTOMER_FIELDS = 'name email phone companyName gstin state address billingAddress shippingAddress shippingState pincode';
+
+/**
+ * Load what every invoice PDF of a business shares, so bulk exports load it once
+ * @param {string} businessId - Business ID
+ * @returns {Promise<object>} - { business, settings, images }
+ */
+const loadInvoicePdfContext = async (businessId) => {
+  const [business, settings, images] = await Promise.all([
+    User.findById(businessId),
+    getBusinessSettings(businessId),
+    getBrandingImages(businessId)
+  ]);
+  return { business, settings, images };
+};
+
+/**
+ * File name of an invoice PDF; invoice numbers may contain slashes
+ * @param {object} invoice - Invoice document
+ * @returns {string}
+ */
+const getInvoicePdfFileName = (invoice) => `invoice-${String(invoice.invoiceNumber).replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`;
+
+/**
+ * Render an invoice PDF
+ * @param {object} invoice - Invoice document, with customerId populated with PDF_CUSTOMER_FIELDS
+ * @param {object} context - From loadInvoicePdfContext
+ * @param {object} [options] - { language } to override the business's invoice language
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const renderInvoicePDF = async (invoice, context, options = {}) => {
+  const { business, settings, images } = context;
+  const customer = invoice.customerId || {};
+  const language = INVOICE_LANGUAGES[options.language] ? options.language : settings.invoiceLanguage;
+
+  // Invoices saved before Hindi names were copied onto lines take them from the product
+  const items = invoice.items.map(item => item.toObject());
+  const missingHindi = items.filter(item => !item.productNameHindi).map(item => item.productId);
+  if (language !== 'en' && missingHindi.length > 0) {
+    const products = await Product.find({ _id: { $in: missingHindi } }).select('nameHindi').lean();
+    const hindiNames = new Map(products.map(product => [product._id.toString(), product.nameHindi]));
+    items.forEach(item => {
+      item.productNameHindi = item.productNameHindi || hindiNames.get(String(item.productId));
+    });
+  }
+
+  return generateInvoicePDF({
+    title: getDocumentTitle(invoice),
+    declaration: getTreatmentDeclaration(invoice),
+    reverseCharge: invoice.reverseCharge,
+    invoiceNumber: invoice.invoiceNumber,
+    date: invoice.date,
+    dueDate: invoice.dueDate,
+    business: {
+      name: business.businessName || business.name,
+      address: business.address,
+      state: business.state,
+      pincode: business.pincode,
+      phone: business.phone,
+      gstNumber: business.gstNumber
+    },
+    customer: {
+      name: customer.name,
+      companyName: customer.companyName,
+      address: customer.billingAddress || customer.address,
+      state: customer.state,
+      pincode: customer.pincode,
+      gstin: customer.gstin,
+      shippingAddress: customer.shippingAddress,
+      shippingState: customer.shippingState
+    },
+    placeOfSupply: invoice.placeOfSupply
+      ? `${getStateName(invoice.placeOfSupply)} (${invoice.placeOfSupply})`
+      : null,
+    items,
+    isInterState: invoice.isInterState,
+    grossTotal: invoice.grossTotal,
+    totalDiscount: invoice.totalDiscount,
+    subtotal: invoice.subtotal,
+    cgst: invoice.cgst,
+    sgst: invoice.sgst,
+    igst: invoice.igst,
+    cess: invoice.cess,
+    roundOff: invoice.roundOff,
+    grandTotal: invoice.grandTotal,
+    amountInWords: amountInWords(invoice.grandTotal),
+    notes: invoice.notes,
+    terms: invoice.terms,
+    einvoice: invoice.einvoice && invoice.einvoice.status === 'generated' ? invoice.einvoice : null,
+    ewayBill: invoice.ewayBill && invoice.ewayBill.status === 'generated' ? invoice.ewayBill : null,
+    transport: invoice.transport,
+    bankDetails: settings.bankDetails,
+    template: settings.template,
+    accentColor: settings.accentColor,
+    footerText: settings.footerText,
+    language,
+    upiPayment: getInvoiceUpiPayment(invoice, settings.upiVpa, business.businessName || business.name),
+    logo: images.logo && images.logo.data,
+    signature: images.signature && images.signature.data
+  });
+};
+
+module.exports = {
+  PDF_CUSTOMER_FIELDS,
+  loadInvoicePdfContext,
+  getInvoicePdfFileName,
+  renderInvoicePDF
+};
@@ -0,0 +1,139 @@
+// Invoice Registration Portal (IRP) clients
+//
+// Every client exposes the same two methods:
+//   generateIrn(payload)                   -> { irn, ackNo, ackDate, signedInvoice, signedQRCode }
+//   cancelIrn({ irn, reasonCode, remark }) -> { irn, cancelDate }
+// Failures are thrown as errors carrying an `irpCode`.
+//
+// The client is chosen with the IRP_CLIENT environment variable (default: 'mock').
+// A GSP/IRP integration is added by calling registerIrpClient(name, factory).
+const crypto = require('crypto');
+const { IRN_CANCEL_WINDOW_HOURS } = require('./einvoice');
+
+const irpError = (irpCode, message) => {
+  const error = new Error(message);
+  error.irpCode = irpCode;
+  return error;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+// IRP timestamps are 'YYYY-MM-DD HH:mm:ss'
+const formatIrpDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Local stand-in for the IRP, for development and tests. Issues IRNs the same way the
+ * real IRP does (SHA-256 of GSTIN, financial year, document type and number) and signs
+ * the QR payload with a local key instead of the NIC certificate.
+ * @returns {object} - IRP client
+ */
+const createMockIrpClient = () => {
+  const signingKey = process.env.IRP_MOCK_SIGNING_KEY || 'mock-irp-signing-key';
+  const issued = new Map();
+
+  const sign = (data) => {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'MOCK-IRP' }));
+    const body = base64url(JSON.stringify({ data: JSON.stringify(data), iss: 'NIC Mock' }));
+    const signature = crypto.createHmac('sha256', signingKey).update(`${header}.${body}`).digest('base64')
+      .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    return `${header}.${body}.${signature}`;
+  };
+
+  const generateIrn = async (payload) => {
+    const { DocDtls: doc, SellerDtls: seller, BuyerDtls: buyer, ItemList: items, ValDtls: values } = payload;
+    const [, month, year] = doc.Dt.split('/').map(Number);
+    const fyStart = month >= 4 ? year : year - 1;
+    const irn = crypto.createHash('sha256')
+      .update(`${seller.Gstin}${fyStart}-${String(fyStart + 1).slice(-2)}${doc.Typ}${doc.No}`)
+      .digest('hex');
+
+    if (issued.has(irn) && issued.get(irn).status === 'active') {
+      throw irpError('2150', 'Duplicate IRN');
+    }
+
+    const now = new Date();
+    const ackNo = `${Date.now()}${crypto.randomInt(10, 100)}`;
+    const ackDate = formatIrpDateTime(now);
+
+    const signedQRCode = sign({
+      SellerGstin: seller.Gstin,
+      BuyerGstin: buyer.Gstin,
+      DocNo: doc.No,
+      DocTyp: doc.Typ,
+      DocDt: doc.Dt,
+      TotInvVal: values.TotInvVal,
+      ItemCnt: items.length,
+      MainHsnCode: items[0] ? items[0].HsnCd : '',
+      Irn: irn,
+      IrnDt: ackDate
+    });
+    const signedInvoice = sign({ ...payload, Irn: irn, AckNo: ackNo, AckDt: ackDate });
+
+    issued.set(irn, { status: 'active', generatedAt: now });
+    return { irn, ackNo, ackDate: now, signedInvoice, signedQRCode };
+  };
+
+  const cancelIrn = async ({ irn, reasonCode, remark }) => {
+    const record = issued.get(irn);
+    // The mock forgets IRNs on restart, so unknown IRNs are treated as valid
+    if (record && record.status === 'cancelled') {
+      throw irpError('9999', 'Invoice is already cancelled');
+    }
+    if (record && Date.now() - record.generatedAt.getTime() > IRN_CANCEL_WINDOW_HOURS * 60 * 60 * 1000) {
+      throw irpError('2270', `The allowed cancellation time limit of ${IRN_CANCEL_WINDOW_HOURS} hours is crossed`);
+    }
+    if (!reasonCode || !remark) {
+      throw irpError('2265', 'Cancellation reason and remark are required');
+    }
+
+    issued.set(irn, { ...(record || {}), status: 'cancelled' });
+    return { irn, cancelDate: new Date() };
+  };
+
+  return { name: 'mock', generateIrn, cancelIrn };
+};
+
+const factories = {
+  mock: createMockIrpClient
+};
+let activeClient = null;
+
+/**
+ * Register an IRP client implementation
+ * @param {string} name - Name selected through IRP_CLIENT
+ * @param {Function} factory - Returns an object with generateIrn and cancelIrn
+ */
+const registerIrpClient = (name, factory) => {
+  factories[name] = factory;
+  if (activeClient && activeClient.name === name) {
+    activeClient = null;
+  }
+};
+
+/**
+ * Get the configured IRP client
+ * @returns {object} - IRP client
+ */
+const getIrpClient = () => {
+  const name = process.env.IRP_CLIENT || 'mock';
+  if (!activeClient || activeClient.name !== name) {
+    if (!factories[name]) {
+      throw new Error(`Unknown IRP client "${name}"`);
+    }
+    activeClient = { ...factories[name](), name };
+  }
+  return activeClient;
+};
+
+module.exports = {
+  createMockIrpClient,
+  registerIrpClient,
+  getIrpClient
+};
@@ -0,0 +1,287 @@
+// Document number series utilities
+const DocumentSeries = require('../models/DocumentSeries');
+const Counter = require('../models/Counter');
+
+// Document types that have a number series, with their default prefix
+const DOCUMENT_TYPES = {
+  invoice: { prefix: 'INV' },
+  credit_note: { prefix: 'CN' },
+  debit_note: { prefix: 'DN' },
+  purchase_order: { prefix: 'PO' },
+  goods_receipt: { prefix: 'GRN' },
+  stock_transfer: { prefix: 'ST' }
+};
+
+// GST rules cap invoice and note numbers at 16 characters: letters, digits, '/' and '-'
+const GST_DOCUMENT_TYPES = ['invoice', 'credit_note', 'debit_note'];
+const GST_NUMBER_MAX_LENGTH = 16;
+const GST_NUMBER_PATTERN = /^[A-Za-z0-9/-]+$/;
+
+// Branch codes go into document numbers, so they are kept short and plain
+const BRANCH_PATTERN = /^[A-Za-z0-9-]{0,10}$/;
+
+/**
+ * Get the Indian financial year (1 April - 31 March) a date falls in
+ * @param {Date|string} date - Document date
+ * @returns {object} - { startYear, label, shortLabel } e.g. { 2026, '2026-27', '2627' }
+ */
+const getFinancialYear = (date) => {
+  const d = date ? new Date(date) : new Date();
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  const endYear = String(startYear + 1).slice(-2);
+  return {
+    startYear,
+    label: `${startYear}-${endYear}`,
+    shortLabel: `${String(startYear).slice(-2)}${endYear}`
+  };
+};
+
+/**
+ * Build a document number from a series pattern
+ * @param {object} series - { prefix, pattern, padding, branch }
+ * @param {number} seq - Sequence number
+ * @param {Date|string} date - Document date
+ * @returns {string} - Formatted document number
+ */
+const formatDocumentNumber = (series, seq, date) => {
+  const d = date ? new Date(date) : new Date();
+  const fy = getFinancialYear(d);
+  const tokens = {
+    PREFIX: series.prefix || '',
+    FY: fy.label,
+    FY_SHORT: fy.shortLabel,
+    YYYY: String(d.getFullYear()),
+    YY: String(d.getFullYear()).slice(-2),
+    MM: String(d.getMonth() + 1).padStart(2, '0'),
+    BRANCH: series.branch || '',
+    SEQ: String(seq).padStart(series.padding || 1, '0')
+  };
+
+  return (series.pattern || '{PREFIX}/{FY}/{SEQ}')
+    .replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match))
+    // Drop separators left dangling by empty tokens (e.g. no branch)
+    .replace(/([/-])[/-]+/g, '$1')
+    .replace(/^[/-]+|[/-]+$/g, '');
+};
+
+/**
+ * Check a branch code given for a series or a document
+ * @param {string} branch - Branch code (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateBranch = (branch) => {
+  if (!branch) return null;
+  if (!BRANCH_PATTERN.test(String(branch))) {
+    return 'Branch must be up to 10 letters, digits or "-"';
+  }
+  return null;
+};
+
+// Check a document number meets the GST rules for the types they apply to
+const validateNumberFormat = (docType, number) => {
+  if (!GST_DOCUMENT_TYPES.includes(docType)) return null;
+  if (!GST_NUMBER_PATTERN.test(number)) {
+    return 'Document numbers may only contain letters, digits, "/" and "-"';
+  }
+  if (number.length > GST_NUMBER_MAX_LENGTH) {
+    return `Document numbers must not exceed ${GST_NUMBER_MAX_LENGTH} characters (e.g. ${number})`;
+  }
+  return null;
+};
+
+// Each branch and, with resetYearly, each financial year has its own counter, so their
+// numbers only stay unique when the pattern prints the branch and the year
+const FY_TOKENS = ['{FY}', '{FY_SHORT}'];
+const validateSeriesTokens = (pattern, resetYearly, branch) => {
+  if (resetYearly && !FY_TOKENS.some(token => pattern.includes(token))) {
+    return 'Pattern must contain {FY} or {FY_SHORT} when numbering restarts every financial year';
+  }
+  if (branch && !pattern.includes('{BRANCH}')) {
+    return 'Pattern must contain {BRANCH} to number documents by branch';
+  }
+  return null;
+};
+
+/**
+ * Check a series configuration produces valid document numbers
+ * @param {string} docType - Document type
+ * @param {object} series - { prefix, pattern, padding, branch }
+ * @param {number} nextNumber - Sequence the series is to continue from (optional)
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateSeries = (docType, series, nextNumber) => {
+  if (!DOCUMENT_TYPES[docType]) {
+    return `Unknown document type. Use one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`;
+  }
+  if (!series.pattern || !series.pattern.includes('{SEQ}')) {
+    return 'Pattern must contain the {SEQ} token';
+  }
+  if (!Number.isInteger(series.padding) || series.padding < 1 || series.padding > 10) {
+    return 'Padding must be a whole number from 1 to 10';
+  }
+  const branchError = validateBranch(series.branch);
+  if (branchError) return branchError;
+  const tokenError = validateSeriesTokens(series.pattern, series.resetYearly, series.branch);
+  if (tokenError) return tokenError;
+
+  // Preview with the widest sequence the padding allows, or the next number if wider
+  const widest = Math.max(10 ** series.padding - 1, nextNumber || 0);
+  return validateNumberFormat(docType, formatDocumentNumber(series, widest, new Date()));
+};
+
+/**
+ * Get a business's series for a document type, falling back to defaults
+ * @param {string} businessId - Business owner's user ID
+ * @param {string} docType - Document type
+ * @returns {Promise<object>} - Series configuration
+ */
+const getSeries = async (businessId, docType) => {
+  const series = await DocumentSeries.findOne({ businessId, docType }).lean();
+  return {
+    docType,
+    prefix: DOCUMENT_TYPES[docType].prefix,
+    pattern: '{PREFIX}/{FY}/{SEQ}',
+    padding: 4,
+    resetYearly: true,
+    branch: '',
+    ...series
+  };
+};
+
+// Counter key a document number is drawn from
+const getCounterKey = (businessId, series, date, branch) => ({
+  businessId,
+  docType: series.docType,
+  period: series.resetYearly ? getFinancialYear(date).label : 'all',
+  branch: branch || ''
+});
+
+/**
+ * Allocate the next number in a business's series from an atomic counter
+ * @param {string} businessId - Business owner's user ID
+ * @param {string} docType - Document type (e.g. 'invoice')
+ * @param {object} options - { date, branch }
+ * @returns {Promise<object>} - { number, seq, counterKey }
+ */
+const allocateDocumentNumber = async (businessId, docType, options = {}) => {
+  const series = await getSeries(businessId, docType);
+  const branch = options.branch || series.branch;
+  const counterKey = getCounterKey(businessId, series, options.date, branch);
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate(
+      counterKey,
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first-ever allocations raced on the upsert; the counter exists now
+    if (error.code !== 11000) throw error;
+    counter = await Counter.findOneAndUpdate(counterKey, { $inc: { seq: 1 } }, { new: true });
+  }
+
+  return {
+    number: formatDocumentNumber({ ...series, branch }, counter.seq, options.date),
+    seq: counter.seq,
+    counterKey
+  };
+};
+
+/**
+ * Give back a number whose document could not be saved, so the series stays gapless.
+ * Only rolls back if no later number has been handed out in the meantime.
+ * @param {object} allocation - Result of allocateDocumentNumber
+ */
+const releaseDocumentNumber = async (allocation) => {
+  if (!allocation) return;
+  await Counter.updateOne(
+    { ...allocation.counterKey, seq: allocation.seq },
+    { $inc: { seq: -1 } }
+  );
+};
+
+/**
+ * Preview the next number without consuming it
+ * @param {string} businessId - Business owner's user ID
+ * @param {string} docType - Document type
+ * @param {object} options - { date, branch }
+ * @returns {Promise<string>} - Next document number
+ */
+const previewDocumentNumber = async (businessId, docType, options = {}) => {
+  const series = await getSeries(businessId, docType);
+  const branch = options.branch || series.branch;
+  const counter = await Counter.findOne(getCounterKey(businessId, series, options.date, branch));
+  return formatDocumentNumber({ ...series, branch }, (counter ? counter.seq : 0) + 1, options.date);
+};
+
+/**
+ * Check the number a new document would be given, before allocating it. A series that
+ * has outgrown its padding can produce numbers longer than GST allows.
+ * @param {string} businessId - Business owner's user ID
+ * @param {string} docType - Document type
+ * @param {object} options - { date, branch }
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+const validateNextDocumentNumber = async (businessId, docType, options = {}) => {
+  const branchError = validateBranch(options.branch);
+  if (branchError) return branchError;
+
+  const series = await getSeries(businessId, docType);
+  const tokenError = validateSeriesTokens(series.pattern, series.resetYearly, options.branch || series.branch);
+  if (tokenError) return `${tokenError}. Change the number series in settings.`;
+
+  const number = await previewDocumentNumber(businessId, docType, options);
+  const formatError = validateNumberFormat(docType, number);
+  return formatError && `Next number ${number} is invalid: ${formatError}. Change the number series in settings.`;
+};
+
+/**
+ * Set the number the current period of a series continues from (e.g. when migrating mid-year)
+ * @param {string} businessId - Business owner's user ID
+ * @param {string} docType - Document type
+ * @param {number} nextNumber - Next sequence number to issue
+ * @param {object} options - { date, branch }
+ */
+const setNextDocumentNumber = async (businessId, docType, nextNumber, options = {}) => {
+  const series = await getSeries(businessId, docType);
+  const counterKey = getCounterKey(businessId, series, options.date, options.branch || series.branch);
+  await Counter.findOneAndUpdate(
+    counterKey,
+    { $set: { seq: nextNumber - 1 } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Keep a series counting on when a settings change moves it to another counter (resetYearly
+ * switched on or off), so it does not restart at 1 over numbers already issued
+ * @param {string} businessId - Business owner's user ID
+ * @param {object} previous - Series before the change
+ * @param {object} next - Series after the change
+ * @param {Date|string} date - Date whose counters are carried over (optional; today)
+ */
+const carryOverCounter = async (businessId, previous, next, date) => {
+  const from = await Counter.findOne(getCounterKey(businessId, previous, date, previous.branch));
+  if (!from) return;
+  await Counter.findOneAndUpdate(
+    getCounterKey(businessId, next, date, next.branch),
+    { $max: { seq: from.seq } },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getFinancialYear,
+  formatDocumentNumber,
+  validateBranch,
+  validateSeries,
+  validateNextDocumentNumber,
+  getSeries,
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  previewDocumentNumber,
+  setNextDocumentNumber,
+  carryOverCounter
+};
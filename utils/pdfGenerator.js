@@ -1,16 +1,151 @@
 // PDF Generation utility for invoices
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getLineTax } = require('./gstr1');
+const { createTranslator, formatPageNumber, needsUnicodeFont } = require('./invoiceLabels');
+
+// The standard PDF fonts have no rupee glyph or Devanagari; Hindi invoices embed
+// Noto Sans Devanagari, which has both
+const CURRENCY = 'Rs.';
+const UNICODE_CURRENCY = '\u20B9';
+const STANDARD_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+const UNICODE_FONTS = {
+  regular: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+  bold: require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf')
+};
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 550;
+// Space kept free at the bottom of every page for the footer
+const FOOTER_HEIGHT = 30;
+
+// Layout templates: text sizes, row spacing and how the accent colour is used
+const TEMPLATES = {
+  classic: { titleSize: 20, titleAlign: 'center', fontSize: 10, smallFontSize: 9, rowGap: 4, headerBand: false, filledTableHeader: false },
+  compact: { titleSize: 14, titleAlign: 'right', fontSize: 9, smallFontSize: 8, rowGap: 2, headerBand: false, filledTableHeader: false },
+  modern: { titleSize: 22, titleAlign: 'left', fontSize: 10, smallFontSize: 9, rowGap: 5, headerBand: true, filledTableHeader: true }
+};
+const DEFAULT_ACCENT_COLOR = '#000000';
+
+const ITEM_COLUMNS = [
+  { header: 'S.No', x: 50, width: 25 },
+  { header: 'Item', x: 78, width: 100 },
+  { header: 'HSN/SAC', x: 180, width: 45 },
+  { header: 'Qty', x: 227, width: 48 },
+  { header: 'Rate', x: 277, width: 52, align: 'right' },
+  { header: 'Gross', x: 331, width: 55, align: 'right' },
+  { header: 'Disc.', x: 388, width: 45, align: 'right' },
+  { header: 'GST %', x: 435, width: 35, align: 'right' },
+  { header: 'Taxable', x: 472, width: 78, align: 'right' }
+];
+
+const HSN_COLUMNS = [
+  { header: 'HSN/SAC', x: 50, width: 60 },
+  { header: 'Taxable', x: 112, width: 70, align: 'right' },
+  { header: 'Rate', x: 184, width: 35, align: 'right' },
+  { header: 'CGST', x: 221, width: 60, align: 'right' },
+  { header: 'SGST', x: 283, width: 60, align: 'right' },
+  { header: 'IGST', x: 345, width: 65, align: 'right' },
+  { header: 'Cess', x: 412, width: 55, align: 'right' },
+  { header: 'Total Tax', x: 469, width: 81, align: 'right' }
+];
+
+const TAX_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst', 'cess'];
+
+// Labels that differ between the documents printed with this layout
+const DOCUMENT_LABELS = {
+  number: 'Invoice Number',
+  dueDate: 'Due Date',
+  party: 'Bill To',
+  shipTo: 'Ship To',
+  footer: 'This is a computer-generated invoice.'
+};
+
+const formatAmount = (value) => (value || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatMoney = (value, currency = CURRENCY) => `${value < 0 ? '-' : ''}${currency} ${formatAmount(Math.abs(value))}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Batches a line was issued from, e.g. "Batch: B12 (Exp 03/2027), B13"
+ * @param {Array} batches - [{ batchNumber, expiryDate }]
+ * @param {Function} t - Label translator
+ * @returns {string|null}
+ */
+const formatBatches = (batches, t) => {
+  if (!batches || batches.length === 0) return null;
+  const list = batches.map(batch => {
+    if (!batch.expiryDate) return batch.batchNumber;
+    const expiry = new Date(batch.expiryDate);
+    return `${batch.batchNumber} (${t('Exp')} ${String(expiry.getMonth() + 1).padStart(2, '0')}/${expiry.getFullYear()})`;
+  });
+  return `${t('Batch')}: ${list.join(', ')}`;
+};
 
 /**
- * Generate invoice PDF
+ * HSN/SAC-wise tax summary of the invoice lines, one row per HSN code and rate
  * @param {object} invoiceData - Invoice data object
- * @returns {Buffer} - PDF buffer
+ * @returns {Array} - [{ hsnCode, rate, taxableValue, cgst, sgst, igst, cess }]
  */
-const generateInvoicePDF = (invoiceData) => {
+const summarizeByHsn = (invoiceData) => {
+  const byHsn = {};
+  (invoiceData.items || []).forEach(item => {
+    const tax = getLineTax(item, invoiceData);
+    const hsnCode = item.hsnCode || '-';
+    const rate = item.gstRate || 0;
+    const key = `${hsnCode}|${rate}`;
+    if (!byHsn[key]) {
+      byHsn[key] = { hsnCode, rate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+    }
+    TAX_FIELDS.forEach(field => {
+      byHsn[key][field] += tax[field];
+    });
+  });
+  return Object.values(byHsn).sort((a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.rate - b.rate);
+};
+
+/**
+ * Generate invoice PDF. Long invoices run onto further pages with the table header
+ * repeated, and every page is numbered "Page X of Y". Labels are printed in
+ * invoiceData.language ('en', 'hi' or 'bilingual'). Other documents, such as purchase
+ * orders, reuse the layout with their own invoiceData.labels (see DOCUMENT_LABELS)
+ * and a shipTo party.
+ * @param {object} invoiceData - Invoice data object
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const generateInvoicePDF = async (invoiceData) => {
+  // Signed QR of a registered e-invoice and the UPI payment QR, rendered up front
+  // since QR generation is async
+  const einvoiceQR = invoiceData.einvoice && invoiceData.einvoice.signedQRCode
+    ? await QRCode.toBuffer(invoiceData.einvoice.signedQRCode, { errorCorrectionLevel: 'L', margin: 1 })
+    : null;
+  const upiQR = invoiceData.upiPayment
+    ? await QRCode.toBuffer(invoiceData.upiPayment.link, { errorCorrectionLevel: 'M', margin: 1 })
+    : null;
+
   return new Promise((resolve, reject) => {
     try {
-      const doc = new PDFDocument({ margin: 50 });
+      const doc = new PDFDocument({ margin: 50, bufferPages: true });
       const buffers = [];
+      const language = invoiceData.language || 'en';
+      const t = createTranslator(language);
+      // Bilingual column headers are stacked to fit narrow columns
+      const tHeader = createTranslator(language, '\n');
+      const unicode = needsUnicodeFont(language);
+      const fonts = unicode ? UNICODE_FONTS : STANDARD_FONTS;
+      const currency = unicode ? UNICODE_CURRENCY : CURRENCY;
+      const title = t(invoiceData.title || 'Tax Invoice');
+      const labels = { ...DOCUMENT_LABELS, ...invoiceData.labels };
+      const theme = TEMPLATES[invoiceData.template] || TEMPLATES.classic;
+      const accent = invoiceData.accentColor || DEFAULT_ACCENT_COLOR;
 
       doc.on('data', buffers.push.bind(buffers));
       doc.on('end', () => {
@@ -18,135 +153,384 @@ const generateInvoicePDF = (invoiceData) => {
         resolve(pdfBuffer);
       });
       doc.on('error', reject);
+      doc.font(fonts.regular);
 
-      // Header
-      doc.fontSize(20).text('TAX INVOICE', { align: 'center' });
-      doc.moveDown();
+      const bottomLimit = () => doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT;
+
+      // Start a new page when a block of the given height does not fit; redraw
+      // repeats a table header on the new page
+      const ensureSpace = (height, redraw) => {
+        if (doc.y + height <= bottomLimit()) return;
+        doc.addPage();
+        doc.fontSize(theme.smallFontSize).text(`${title} ${invoiceData.invoiceNumber || ''} (${t('continued')})`, PAGE_LEFT, doc.page.margins.top);
+        doc.moveDown(0.5);
+        if (redraw) redraw();
+      };
+
+      // Height of a table row: its tallest cell, as cells wrap within their column
+      const rowHeight = (columns, values) => {
+        doc.fontSize(theme.smallFontSize);
+        return Math.max(...columns.map((column, index) =>
+          doc.heightOfString(String(values[index]), { width: column.width })
+        )) + theme.rowGap;
+      };
+
+      const drawRow = (columns, values, { bold = false } = {}) => {
+        const y = doc.y;
+        doc.font(bold ? fonts.bold : fonts.regular);
+        const height = rowHeight(columns, values);
+        columns.forEach((column, index) => {
+          doc.text(String(values[index]), column.x, y, { width: column.width, align: column.align || 'left' });
+        });
+        doc.font(fonts.regular);
+        doc.x = PAGE_LEFT;
+        doc.y = y + height;
+      };
 
-      // Business Details
+      const drawTableHeader = (columns) => {
+        const headers = columns.map(column => tHeader(column.header));
+        if (theme.filledTableHeader) {
+          doc.rect(PAGE_LEFT - 4, doc.y - 3, PAGE_RIGHT - PAGE_LEFT + 8, rowHeight(columns, headers) + 2).fill(accent);
+          doc.fillColor('#FFFFFF');
+        }
+        drawRow(columns, headers, { bold: true });
+        doc.fillColor('black');
+        doc.strokeColor(accent).moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke();
+        doc.strokeColor('black');
+        doc.y += 4;
+      };
+
+      // Header: the title on a band of the accent colour, or in the accent colour
+      if (theme.headerBand) {
+        doc.rect(0, 0, doc.page.width, 80).fill(accent);
+        doc.fillColor('#FFFFFF').fontSize(theme.titleSize)
+          .text(title.toUpperCase(), PAGE_LEFT, 40 - theme.titleSize / 2, { width: PAGE_RIGHT - PAGE_LEFT, align: theme.titleAlign });
+        doc.y = 100;
+      } else {
+        doc.fillColor(accent).fontSize(theme.titleSize).text(title.toUpperCase(), { align: theme.titleAlign });
+        doc.moveDown();
+      }
+      doc.fillColor('black');
+
+      // Logo and business details on the left, invoice details on the right
+      const headerTop = doc.y;
+      let businessX = PAGE_LEFT;
+      let businessBottom = headerTop;
+      if (invoiceData.logo) {
+        doc.image(invoiceData.logo, PAGE_LEFT, headerTop, { fit: [80, 60] });
+        businessX += 90;
+        businessBottom = headerTop + 60;
+      }
       if (invoiceData.business) {
-        doc.fontSize(14).text(invoiceData.business.name || 'Business Name', { align: 'left' });
-        doc.fontSize(10);
-        if (invoiceData.business.address) {
-          doc.text(invoiceData.business.address);
+        const business = invoiceData.business;
+        const width = 290 - businessX;
+        doc.fontSize(theme.fontSize + 4).text(business.name || 'Business Name', businessX, headerTop, { width });
+        doc.fontSize(theme.fontSize);
+        if (business.address) {
+          doc.text(business.address, { width });
         }
-        if (invoiceData.business.state) {
-          doc.text(`State: ${invoiceData.business.state}`);
+        if (business.state) {
+          doc.text(`${t('State')}: ${business.state}${business.pincode ? ` - ${business.pincode}` : ''}`, { width });
         }
-        if (invoiceData.business.gstNumber) {
-          doc.text(`GSTIN: ${invoiceData.business.gstNumber}`);
+        if (business.phone) {
+          doc.text(`${t('Phone')}: ${business.phone}`, { width });
+        }
+        if (business.gstNumber) {
+          doc.text(`GSTIN: ${business.gstNumber}`, { width });
         }
-        doc.moveDown();
       }
+      businessBottom = Math.max(doc.y, businessBottom);
 
-      // Invoice Details
-      doc.fontSize(12);
-      doc.text(`Invoice Number: ${invoiceData.invoiceNumber || 'N/A'}`, { align: 'right' });
-      doc.text(`Date: ${invoiceData.date || new Date().toLocaleDateString()}`, { align: 'right' });
+      doc.fontSize(theme.fontSize);
+      doc.text(`${t(labels.number)}: ${invoiceData.invoiceNumber || 'N/A'}`, 350, headerTop, { width: 200, align: 'right' });
+      doc.text(`${t('Date')}: ${formatDate(invoiceData.date || new Date())}`, { width: 200, align: 'right' });
       if (invoiceData.dueDate) {
-        doc.text(`Due Date: ${invoiceData.dueDate}`, { align: 'right' });
+        doc.text(`${t(labels.dueDate)}: ${formatDate(invoiceData.dueDate)}`, { width: 200, align: 'right' });
       }
+      if (invoiceData.reverseCharge) {
+        doc.text(`${t('Reverse Charge')}: ${t('Yes')}`, { width: 200, align: 'right' });
+      }
+      doc.x = PAGE_LEFT;
+      doc.y = Math.max(doc.y, businessBottom);
       doc.moveDown();
 
-      // Customer Details
+      // Billing address on the left, shipping address on the right
       if (invoiceData.customer) {
-        doc.fontSize(12).text('Bill To:', { underline: true });
-        doc.fontSize(10);
-        doc.text(invoiceData.customer.name || 'Customer Name');
-        if (invoiceData.customer.companyName) {
-          doc.text(invoiceData.customer.companyName);
+        const customer = invoiceData.customer;
+        const partyTop = doc.y;
+        doc.fontSize(theme.fontSize + 1).text(`${t(labels.party)}:`, PAGE_LEFT, partyTop, { underline: true });
+        doc.fontSize(theme.fontSize);
+        doc.text(customer.name || 'Customer Name', { width: 240 });
+        if (customer.companyName) {
+          doc.text(customer.companyName, { width: 240 });
         }
-        if (invoiceData.customer.address) {
-          doc.text(invoiceData.customer.address);
+        if (customer.address) {
+          doc.text(customer.address, { width: 240 });
         }
-        if (invoiceData.customer.state) {
-          doc.text(`State: ${invoiceData.customer.state}`);
+        if (customer.state) {
+          doc.text(`${t('State')}: ${customer.state}${customer.pincode ? ` - ${customer.pincode}` : ''}`, { width: 240 });
         }
-        if (invoiceData.customer.gstin) {
-          doc.text(`GSTIN: ${invoiceData.customer.gstin}`);
+        if (customer.gstin) {
+          doc.text(`GSTIN: ${customer.gstin}`, { width: 240 });
+        }
+        const billToBottom = doc.y;
+
+        doc.fontSize(theme.fontSize + 1).text(`${t(labels.shipTo)}:`, 310, partyTop, { underline: true });
+        doc.fontSize(theme.fontSize);
+        const shipTo = invoiceData.shipTo || {
+          name: customer.companyName || customer.name || 'Customer Name',
+          address: customer.shippingAddress || customer.address,
+          state: customer.shippingState || customer.state
+        };
+        doc.text(shipTo.name, { width: 240 });
+        if (shipTo.address) {
+          doc.text(shipTo.address, { width: 240 });
+        }
+        if (shipTo.state) {
+          doc.text(`${t('State')}: ${shipTo.state}`, { width: 240 });
+        }
+
+        doc.x = PAGE_LEFT;
+        doc.y = Math.max(doc.y, billToBottom);
+        if (invoiceData.placeOfSupply) {
+          doc.moveDown(0.5);
+          doc.text(`${t('Place of Supply')}: ${invoiceData.placeOfSupply}`);
         }
         doc.moveDown();
       }
 
-      // Items Table
+      // E-invoice details
+      if (invoiceData.einvoice) {
+        const blockTop = doc.y;
+        const qrSize = 90;
+        doc.fontSize(theme.smallFontSize);
+        doc.text(`IRN: ${invoiceData.einvoice.irn}`, PAGE_LEFT, blockTop, { width: 390 });
+        doc.text(`Ack No: ${invoiceData.einvoice.ackNo}`, PAGE_LEFT, doc.y, { width: 390 });
+        doc.text(`Ack Date: ${new Date(invoiceData.einvoice.ackDate).toLocaleString('en-IN')}`, PAGE_LEFT, doc.y, { width: 390 });
+        if (einvoiceQR) {
+          doc.image(einvoiceQR, PAGE_RIGHT - qrSize, blockTop, { width: qrSize, height: qrSize });
+        }
+        doc.x = PAGE_LEFT;
+        doc.y = Math.max(doc.y, blockTop + qrSize) + 5;
+        doc.fontSize(theme.fontSize);
+      }
+
+      // E-way bill details
+      if (invoiceData.ewayBill) {
+        const transport = invoiceData.transport || {};
+        const vehicle = transport.vehicleNumber || transport.transportDocNumber;
+        doc.fontSize(theme.smallFontSize);
+        doc.text(`E-Way Bill No: ${invoiceData.ewayBill.ewbNo}`, PAGE_LEFT, doc.y, { continued: true });
+        doc.text(`    Date: ${formatDate(invoiceData.ewayBill.ewbDate)}`, { continued: true });
+        doc.text(invoiceData.ewayBill.validUpto
+          ? `    Valid Upto: ${new Date(invoiceData.ewayBill.validUpto).toLocaleString('en-IN')}`
+          : '    Valid Upto: Part-B pending');
+        if (vehicle) {
+          doc.text(`Vehicle / Transport Doc: ${vehicle}${transport.distance ? `    Distance: ${transport.distance} km` : ''}`);
+        }
+        doc.fontSize(theme.fontSize);
+      }
+
+      // Items table; amounts are in rupees
       doc.moveDown();
-      const tableTop = doc.y;
-      const itemHeight = 20;
-      let currentY = tableTop;
-
-      // Table Header
-      doc.fontSize(10);
-      doc.text('S.No', 50, currentY);
-      doc.text('Item', 100, currentY);
-      doc.text('HSN', 200, currentY);
-      doc.text('Qty', 280, currentY);
-      doc.text('Rate', 330, currentY);
-      doc.text('GST %', 380, currentY);
-      doc.text('Amount', 430, currentY);
-      currentY += itemHeight;
-
-      // Draw line
-      doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
-      currentY += 5;
-
-      // Items
-      if (invoiceData.items && invoiceData.items.length > 0) {
-        invoiceData.items.forEach((item, index) => {
-          doc.text(String(index + 1), 50, currentY);
-          doc.text(item.name || 'Item', 100, currentY, { width: 90 });
-          doc.text(item.hsnCode || '-', 200, currentY);
-          doc.text(`${item.quantity} ${item.unit || ''}`, 280, currentY);
-          doc.text(`₹${item.unitPrice.toFixed(2)}`, 330, currentY);
-          doc.text(`${item.gstRate || 0}%`, 380, currentY);
-          doc.text(`₹${item.itemTotal.toFixed(2)}`, 430, currentY);
-          currentY += itemHeight;
+      ensureSpace(60);
+      drawTableHeader(ITEM_COLUMNS);
+
+      (invoiceData.items || []).forEach((item, index) => {
+        // Invoices saved before discounts were introduced have no gross amount
+        const grossAmount = item.grossAmount || item.itemTotal;
+        const values = [
+          index + 1,
+          // Hindi product name under the English one, then the batches sold
+          [item.productName || item.name || 'Item', unicode && item.productNameHindi, formatBatches(item.batches, t)]
+            .filter(Boolean).join('\n'),
+          item.hsnCode || '-',
+          `${item.quantity} ${item.unit || ''}`,
+          `${formatAmount(item.unitPrice)}${item.priceIncludesTax ? '*' : ''}`,
+          formatAmount(grossAmount),
+          item.discountAmount ? formatAmount(item.discountAmount) : '-',
+          `${item.gstRate || 0}%`,
+          formatAmount(item.itemTotal)
+        ];
+        ensureSpace(rowHeight(ITEM_COLUMNS, values), () => drawTableHeader(ITEM_COLUMNS));
+        drawRow(ITEM_COLUMNS, values);
+      });
+
+      doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke();
+      doc.y += 4;
+      if (invoiceData.items && invoiceData.items.some(item => item.priceIncludesTax)) {
+        doc.fontSize(8).text(`* ${t('Rate includes GST; gross and taxable values are shown net of tax.')}`, PAGE_LEFT, doc.y);
+      }
+      doc.moveDown();
+
+      // HSN/SAC-wise tax summary
+      const hsnRows = summarizeByHsn(invoiceData);
+      if (hsnRows.length > 0) {
+        const hsnValues = (row) => [
+          row.hsnCode,
+          formatAmount(row.taxableValue),
+          row.rate === undefined ? '' : `${row.rate}%`,
+          formatAmount(row.cgst),
+          formatAmount(row.sgst),
+          formatAmount(row.igst),
+          formatAmount(row.cess),
+          formatAmount(row.cgst + row.sgst + row.igst + row.cess)
+        ];
+        const hsnTotal = { hsnCode: t('Total'), taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+        hsnRows.forEach(row => TAX_FIELDS.forEach(field => { hsnTotal[field] += row[field]; }));
+
+        ensureSpace(60);
+        doc.font(fonts.bold).fontSize(theme.fontSize).text(t('HSN/SAC Summary'), PAGE_LEFT, doc.y);
+        doc.font(fonts.regular).moveDown(0.3);
+        drawTableHeader(HSN_COLUMNS);
+        hsnRows.forEach(row => {
+          ensureSpace(rowHeight(HSN_COLUMNS, hsnValues(row)), () => drawTableHeader(HSN_COLUMNS));
+          drawRow(HSN_COLUMNS, hsnValues(row));
         });
+        ensureSpace(20, () => drawTableHeader(HSN_COLUMNS));
+        doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke();
+        doc.y += 4;
+        drawRow(HSN_COLUMNS, hsnValues(hsnTotal), { bold: true });
+        doc.moveDown();
       }
 
-      // Totals
-      currentY += 10;
-      doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
-      currentY += 15;
+      // Notes
+      if (invoiceData.notes) {
+        doc.fontSize(theme.fontSize);
+        ensureSpace(doc.heightOfString(invoiceData.notes, { width: 500 }) + 15);
+        doc.text(`${t('Notes')}:`, PAGE_LEFT, doc.y);
+        doc.text(invoiceData.notes, { width: 500 });
+        doc.moveDown();
+      }
 
-      doc.text('Subtotal:', 350, currentY);
-      doc.text(`₹${invoiceData.subtotal.toFixed(2)}`, 430, currentY, { align: 'right' });
-      currentY += 15;
+      // Terms and conditions
+      if (invoiceData.terms) {
+        doc.fontSize(theme.smallFontSize);
+        ensureSpace(doc.heightOfString(invoiceData.terms, { width: 500 }) + 15);
+        doc.font(fonts.bold).text(t('Terms & Conditions'), PAGE_LEFT, doc.y);
+        doc.font(fonts.regular).text(invoiceData.terms, { width: 500 });
+        doc.moveDown();
+      }
 
-      if (invoiceData.cgst > 0) {
-        doc.text('CGST:', 350, currentY);
-        doc.text(`₹${invoiceData.cgst.toFixed(2)}`, 430, currentY, { align: 'right' });
-        currentY += 15;
+      // Closing block - bank details, totals, amount in words, declaration and signature -
+      // is kept together so the totals always appear on the last page
+      const totals = [];
+      if (invoiceData.totalDiscount > 0) {
+        totals.push(['Gross Amount', invoiceData.grossTotal]);
+        totals.push(['Discount', -invoiceData.totalDiscount]);
+      }
+      totals.push([invoiceData.totalDiscount > 0 ? 'Taxable Value' : 'Subtotal', invoiceData.subtotal]);
+      [['CGST', invoiceData.cgst], ['SGST', invoiceData.sgst], ['IGST', invoiceData.igst], ['Cess', invoiceData.cess]]
+        .filter(([, amount]) => amount > 0)
+        .forEach(total => totals.push(total));
+      if (invoiceData.roundOff) {
+        totals.push(['Round Off', invoiceData.roundOff]);
       }
 
-      if (invoiceData.sgst > 0) {
-        doc.text('SGST:', 350, currentY);
-        doc.text(`₹${invoiceData.sgst.toFixed(2)}`, 430, currentY, { align: 'right' });
-        currentY += 15;
+      const bank = invoiceData.bankDetails;
+      const bankLines = bank && (bank.accountNumber || bank.bankName)
+        ? [
+          bank.accountName && `${t('Account Name')}: ${bank.accountName}`,
+          bank.bankName && `${t('Bank')}: ${bank.bankName}`,
+          bank.accountNumber && `${t('Account No')}: ${bank.accountNumber}`,
+          bank.ifsc && `IFSC: ${bank.ifsc}`,
+          bank.branch && `${t('Branch')}: ${bank.branch}`
+        ].filter(Boolean)
+        : [];
+      const words = invoiceData.amountInWords ? `${t('Amount in words')}: ${invoiceData.amountInWords}` : null;
+
+      // Bilingual totals labels are longer, so the totals column starts further left
+      const totalsX = language === 'bilingual' ? 280 : 350;
+      const signatureHeight = 80;
+      const upiQRSize = 80;
+
+      doc.fontSize(theme.fontSize);
+      const lineHeight = doc.currentLineHeight(true) + 3;
+      const closingHeight = Math.max(
+        totals.length * lineHeight + 35,
+        (bankLines.length ? bankLines.length * lineHeight + 15 : 0) + (upiQR ? upiQRSize + 10 : 0)
+      ) +
+        (words ? doc.heightOfString(words, { width: 500 }) + 12 : 0) +
+        (invoiceData.declaration ? doc.fontSize(theme.smallFontSize).heightOfString(invoiceData.declaration, { width: 500 }) + 12 : 0) +
+        (invoiceData.signature ? signatureHeight : 0);
+      ensureSpace(closingHeight);
+
+      const closingTop = doc.y;
+      if (bankLines.length) {
+        doc.font(fonts.bold).fontSize(theme.fontSize).text(t('Bank Details'), PAGE_LEFT, closingTop);
+        doc.font(fonts.regular).fontSize(theme.smallFontSize);
+        bankLines.forEach(line => doc.text(line, { width: totalsX - PAGE_LEFT - 20 }));
+        doc.moveDown(0.5);
       }
 
-      if (invoiceData.igst > 0) {
-        doc.text('IGST:', 350, currentY);
-        doc.text(`₹${invoiceData.igst.toFixed(2)}`, 430, currentY, { align: 'right' });
-        currentY += 15;
+      // UPI QR for the balance due, under the bank details
+      if (upiQR) {
+        const qrTop = doc.y;
+        const captionX = PAGE_LEFT + upiQRSize + 10;
+        const captionWidth = totalsX - captionX - 20;
+        doc.image(upiQR, PAGE_LEFT, qrTop, { width: upiQRSize, height: upiQRSize });
+        doc.font(fonts.bold).fontSize(theme.fontSize).text(t('Scan to pay with UPI'), captionX, qrTop + 10, { width: captionWidth });
+        doc.font(fonts.regular).fontSize(theme.smallFontSize);
+        doc.text(formatMoney(invoiceData.upiPayment.amount, currency), { width: captionWidth });
+        doc.text(invoiceData.upiPayment.vpa, { width: captionWidth });
+        doc.x = PAGE_LEFT;
+        doc.y = qrTop + upiQRSize + 5;
       }
+      const bankBottom = doc.y;
+
+      doc.fontSize(theme.fontSize);
+      doc.y = closingTop;
+      totals.forEach(([label, amount]) => {
+        const y = doc.y;
+        doc.text(`${t(label)}:`, totalsX, y);
+        doc.text(formatMoney(amount, currency), totalsX, y, { width: PAGE_RIGHT - totalsX, align: 'right' });
+        doc.y = y + lineHeight;
+      });
+      doc.strokeColor(accent).moveTo(totalsX, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke();
+      doc.strokeColor('black');
+      const grandTotalY = doc.y + 8;
+      doc.fillColor(accent).fontSize(theme.fontSize + 2).text(`${t('Grand Total')}:`, totalsX, grandTotalY);
+      doc.text(formatMoney(invoiceData.grandTotal, currency), totalsX, grandTotalY, { width: PAGE_RIGHT - totalsX, align: 'right' });
+      doc.fillColor('black');
+      doc.x = PAGE_LEFT;
+      doc.y = Math.max(doc.y, bankBottom);
+      doc.moveDown();
 
-      doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
-      currentY += 15;
+      if (words) {
+        doc.fontSize(theme.fontSize).text(words, PAGE_LEFT, doc.y, { width: 500 });
+        doc.moveDown(0.5);
+      }
 
-      doc.fontSize(12).text('Grand Total:', 350, currentY);
-      doc.fontSize(14).text(`₹${invoiceData.grandTotal.toFixed(2)}`, 430, currentY, { align: 'right' });
+      // Zero-rated and reverse-charge declaration
+      if (invoiceData.declaration) {
+        doc.fontSize(theme.smallFontSize).text(invoiceData.declaration, PAGE_LEFT, doc.y, { width: 500 });
+        doc.moveDown(0.5);
+      }
 
-      // Notes
-      if (invoiceData.notes) {
-        currentY += 30;
-        doc.fontSize(10).text('Notes:', 50, currentY);
-        doc.text(invoiceData.notes, 50, currentY + 15, { width: 500 });
+      // Authorised signature
+      if (invoiceData.signature) {
+        const signatureTop = doc.y + 5;
+        const businessName = invoiceData.business && invoiceData.business.name;
+        doc.fontSize(theme.smallFontSize);
+        doc.text(businessName ? `${t('For')} ${businessName}` : '', 350, signatureTop, { width: 200, align: 'right' });
+        doc.image(invoiceData.signature, 430, doc.y + 2, { fit: [120, 40], align: 'right' });
+        doc.text(t('Authorised Signatory'), 350, signatureTop + 60, { width: 200, align: 'right' });
+        doc.x = PAGE_LEFT;
       }
 
-      // Footer
-      const pageHeight = doc.page.height;
-      doc.fontSize(8)
-         .text('This is a computer-generated invoice.', 50, pageHeight - 50, { align: 'center' });
+      // Footer and page numbers on every page. The bottom margin is lifted while
+      // writing so text below it does not start another page.
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        const footerY = doc.page.height - 40;
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8);
+        doc.text(invoiceData.footerText || t(labels.footer), PAGE_LEFT, footerY, { width: 400, align: 'left' });
+        doc.text(formatPageNumber(language, i - range.start + 1, range.count), PAGE_LEFT, footerY, { width: 500, align: 'right' });
+        doc.page.margins.bottom = bottomMargin;
+      }
 
       doc.end();
     } catch (error) {
@@ -156,9 +540,7 @@ const generateInvoicePDF = (invoiceData) => {
 };
 
 module.exports = {
+  formatAmount,
+  formatDate,
   generateInvoicePDF
 };
-
-
-
-
@@ -0,0 +1,92 @@
+// Purchase order PDF utilities: print a purchase order with the invoice layout
+const { generateInvoicePDF } = require('./pdfGenerator');
+const { getStateName } = require('./gstStates');
+const { amountInWords } = require('./amountInWords');
+const { INVOICE_LANGUAGES } = require('./invoiceLabels');
+
+// Supplier fields to populate on purchase orders being printed
+const PDF_SUPPLIER_FIELDS = 'name email phone companyName gstin state address pincode';
+
+/**
+ * File name of a purchase order PDF; PO numbers may contain slashes
+ * @param {object} order - PurchaseOrder document
+ * @returns {string}
+ */
+const getPurchaseOrderPdfFileName = (order) => `purchase-order-${String(order.poNumber).replace(/[^A-Za-z0-9_-]+/g, '-')}.pdf`;
+
+/**
+ * Render a purchase order PDF: the supplier in place of the customer, delivery to
+ * the business, and no bank or UPI payment details
+ * @param {object} order - PurchaseOrder document, with supplierId populated with PDF_SUPPLIER_FIELDS
+ * @param {object} context - From loadInvoicePdfContext
+ * @param {object} [options] - { language } to override the business's invoice language
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const renderPurchaseOrderPDF = (order, context, options = {}) => {
+  const { business, settings, images } = context;
+  const supplier = order.supplierId || {};
+  const language = INVOICE_LANGUAGES[options.language] ? options.language : settings.invoiceLanguage;
+  const businessName = business.businessName || business.name;
+
+  return generateInvoicePDF({
+    title: 'Purchase Order',
+    labels: {
+      number: 'PO Number',
+      dueDate: 'Expected Delivery',
+      party: 'Supplier',
+      shipTo: 'Deliver To',
+      footer: 'This is a computer-generated purchase order.'
+    },
+    invoiceNumber: order.poNumber,
+    date: order.date,
+    dueDate: order.expectedDate,
+    business: {
+      name: businessName,
+      address: business.address,
+      state: business.state,
+      pincode: business.pincode,
+      phone: business.phone,
+      gstNumber: business.gstNumber
+    },
+    customer: {
+      name: supplier.name,
+      companyName: supplier.companyName,
+      address: supplier.address,
+      state: supplier.state,
+      pincode: supplier.pincode,
+      gstin: supplier.gstin
+    },
+    shipTo: {
+      name: businessName,
+      address: business.address,
+      state: business.state
+    },
+    placeOfSupply: order.placeOfSupply
+      ? `${getStateName(order.placeOfSupply)} (${order.placeOfSupply})`
+      : null,
+    items: order.items.map(item => item.toObject()),
+    isInterState: order.isInterState,
+    grossTotal: order.grossTotal,
+    totalDiscount: order.totalDiscount,
+    subtotal: order.subtotal,
+    cgst: order.cgst,
+    sgst: order.sgst,
+    igst: order.igst,
+    cess: order.cess,
+    grandTotal: order.grandTotal,
+    amountInWords: amountInWords(order.grandTotal),
+    notes: order.notes,
+    terms: order.terms,
+    template: settings.template,
+    accentColor: settings.accentColor,
+    language,
+    logo: images.logo && images.logo.data,
+    signature: images.signature && images.signature.data
+  });
+};
+
+module.exports = {
+  PDF_SUPPLIER_FIELDS,
+  getPurchaseOrderPdfFileName,
+  renderPurchaseOrderPDF
+};
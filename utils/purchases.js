@@ -0,0 +1,343 @@
+// Purchase utilities: supplier GST treatment, purchase documents, input tax credit (ITC) and cost of goods
+const Product = require('../models/Product');
+const PurchaseBill = require('../models/PurchaseBill');
+const { round2, calculateInvoiceTotals, validateDiscount } = require('./gstCalculator');
+const { getStateCodeFromGSTIN, getStateCode, getBusinessStateCode } = require('./gstStates');
+const { validateBatchDetails } = require('./batches');
+
+const SUPPLIER_GST_TREATMENTS = {
+  registered: 'Registered - regular',
+  unregistered: 'Unregistered',
+  composition: 'Registered - composition'
+};
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'cess'];
+
+const emptyTax = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+/**
+ * GST treatment of a supplier; suppliers without one are registered when they have a GSTIN
+ * @param {object} supplier - Supplier document
+ * @returns {string} - Treatment key
+ */
+const getSupplierGstTreatment = (supplier) => {
+  if (supplier && supplier.gstTreatment) return supplier.gstTreatment;
+  return supplier && supplier.gstin ? 'registered' : 'unregistered';
+};
+
+/**
+ * Validate a supplier's GST treatment against their GSTIN
+ * @param {string} treatment - Treatment key
+ * @param {string} gstin - Supplier GSTIN
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateSupplierGstTreatment = (treatment, gstin) => {
+  if (!treatment) return null;
+  if (!SUPPLIER_GST_TREATMENTS[treatment]) {
+    return `GST treatment must be one of: ${Object.keys(SUPPLIER_GST_TREATMENTS).join(', ')}`;
+  }
+  if (treatment !== 'unregistered' && !gstin) {
+    return `GSTIN is required for ${SUPPLIER_GST_TREATMENTS[treatment]} suppliers`;
+  }
+  if (treatment === 'unregistered' && gstin) {
+    return 'Unregistered suppliers cannot have a GSTIN';
+  }
+  return null;
+};
+
+/**
+ * Whether a purchase carries GST. Only regular registered suppliers charge it;
+ * under reverse charge the business pays it whoever the supplier is.
+ * @param {string} treatment - Supplier GST treatment
+ * @param {boolean} reverseCharge - Bill is under reverse charge
+ * @returns {boolean}
+ */
+const purchaseChargesGst = (treatment, reverseCharge) => !!reverseCharge || treatment === 'registered';
+
+/**
+ * Check the lines of a purchase order or bill
+ * @param {Array} items - [{ productId, quantity, unitPrice, gstRate, discountType, discountValue,
+ *   batchNumber, manufacturingDate, expiryDate }]
+ * @returns {string|null} - First error found, or null when valid
+ */
+const validatePurchaseItems = (items) => {
+  for (const item of items) {
+    if (!item.productId) return 'Every line needs a product';
+    if (!(Number(item.quantity) > 0)) return 'Quantity must be greater than 0';
+    if (item.unitPrice !== undefined && !(Number(item.unitPrice) >= 0)) return 'Unit price must be 0 or more';
+    if (item.gstRate !== undefined && !(Number(item.gstRate) >= 0 && Number(item.gstRate) <= 100)) {
+      return 'GST rate must be between 0 and 100';
+    }
+    const discountError = validateDiscount(item.discountType, item.discountValue);
+    if (discountError) return discountError;
+    const batchError = item.batchNumber ? validateBatchDetails(item) : null;
+    if (batchError) return batchError;
+  }
+  return null;
+};
+
+/**
+ * Check the round-off printed on a supplier's bill
+ * @param {number} roundOff - Round-off amount
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateBillRoundOff = (roundOff) => {
+  const value = Number(roundOff || 0);
+  return Number.isFinite(value) && Math.abs(value) < 1 ? null : 'Round off must be less than 1 either way';
+};
+
+/**
+ * Recorded bill with this number from a supplier, used to stop the same bill being entered twice
+ * @param {string} businessId - Business ID
+ * @param {string} supplierId - Supplier ID
+ * @param {string} billNumber - Supplier's bill number
+ * @returns {Promise<object|null>} - PurchaseBill document
+ */
+const findRecordedBill = (businessId, supplierId, billNumber) => PurchaseBill.findOne({
+  businessId,
+  supplierId,
+  billNumber: String(billNumber).trim(),
+  status: 'recorded'
+});
+
+/**
+ * Fill purchase lines from the business's products. The rate defaults to the
+ * product's purchase price and the GST rate to the product's own; batch details
+ * are kept only for batch-tracked products.
+ * @param {string} businessId - Business ID
+ * @param {Array} items - Lines as validated by validatePurchaseItems
+ * @param {object} [options] - { requireBatches: goods are received now, so batch-tracked lines need a batch number }
+ * @returns {Promise<object>} - { items } or { error }
+ */
+const getPurchaseItemDetails = async (businessId, items, options = {}) => {
+  const detailed = [];
+  for (const item of items) {
+    const product = await Product.findOne({ _id: item.productId, businessId });
+    if (!product) {
+      return { error: `Product ${item.productId} not found` };
+    }
+    if (options.requireBatches && product.trackBatches && !item.batchNumber) {
+      return { error: `Batch number is required for ${product.name}` };
+    }
+    detailed.push({
+      productId: product._id,
+      productName: product.name,
+      hsnCode: product.hsnCode,
+      unit: product.unit,
+      quantity: Number(item.quantity),
+      unitPrice: Number(item.unitPrice !== undefined ? item.unitPrice : product.purchasePrice || 0),
+      discountType: item.discountType,
+      discountValue: item.discountValue,
+      gstRate: Number(item.gstRate !== undefined ? item.gstRate : product.gstRate || 0),
+      cessRate: product.cessRate || 0,
+      cessPerUnit: product.cessPerUnit || 0,
+      ...(product.trackBatches && item.batchNumber ? {
+        batchNumber: String(item.batchNumber).trim(),
+        manufacturingDate: item.manufacturingDate,
+        expiryDate: item.expiryDate
+      } : {})
+    });
+  }
+  return { items: detailed };
+};
+
+/**
+ * Totals of a purchase from a supplier. Goods are received in the business's state,
+ * so the supplier's state decides IGST or CGST + SGST; suppliers that do not
+ * charge GST (see purchaseChargesGst) have their lines taxed at nil.
+ * @param {Array} items - Lines from getPurchaseItemDetails
+ * @param {object} supplier - Supplier document
+ * @param {object} business - Business User document
+ * @param {object} [options] - { discountType, discountValue, reverseCharge }
+ * @returns {object} - Totals from calculateInvoiceTotals, plus placeOfSupply (the business's state code)
+ */
+const calculatePurchaseTotals = (items, supplier, business, options = {}) => {
+  const chargesGst = purchaseChargesGst(getSupplierGstTreatment(supplier), options.reverseCharge);
+  const taxedItems = chargesGst
+    ? items
+    : items.map(item => ({ ...item, gstRate: 0, cessRate: 0, cessPerUnit: 0 }));
+
+  const businessStateCode = getBusinessStateCode(business);
+  const supplierStateCode = getStateCodeFromGSTIN(supplier.gstin) || getStateCode(supplier.state);
+  const totals = calculateInvoiceTotals(taxedItems, supplierStateCode, businessStateCode, {
+    discountType: options.discountType,
+    discountValue: options.discountValue,
+    reverseCharge: !!options.reverseCharge
+  });
+  return { ...totals, placeOfSupply: businessStateCode };
+};
+
+/**
+ * Save a purchase bill; stock is left to the caller
+ * @param {object} bill - { business, supplier, items (from getPurchaseItemDetails), billNumber, billDate,
+ *   dueDate, discountType, discountValue, reverseCharge, itcEligible, roundOff, notes,
+ *   purchaseOrderId, stockUpdated, userId }
+ * @returns {Promise<object>} - PurchaseBill document
+ */
+const createPurchaseBill = async ({ business, supplier, items, roundOff = 0, userId, ...fields }) => {
+  const totals = calculatePurchaseTotals(items, supplier, business, fields);
+
+  return PurchaseBill.create({
+    businessId: business._id,
+    supplierId: supplier._id,
+    purchaseOrderId: fields.purchaseOrderId,
+    warehouseId: fields.warehouseId,
+    billNumber: fields.billNumber,
+    billDate: fields.billDate || new Date().toISOString().split('T')[0],
+    dueDate: fields.dueDate,
+    supplierGstin: supplier.gstin,
+    items: totals.items,
+    discountType: fields.discountType || 'percentage',
+    discountValue: fields.discountValue || 0,
+    grossTotal: totals.grossTotal,
+    totalDiscount: totals.totalDiscount,
+    subtotal: totals.subtotal,
+    cgst: totals.cgst,
+    sgst: totals.sgst,
+    igst: totals.igst,
+    cess: totals.cess,
+    totalGST: totals.totalGST,
+    isInterState: !totals.isSameState,
+    placeOfSupply: totals.placeOfSupply,
+    reverseCharge: !!fields.reverseCharge,
+    itcEligible: fields.itcEligible !== false,
+    roundOff,
+    grandTotal: round2(totals.grandTotal + roundOff),
+    stockUpdated: fields.stockUpdated !== false,
+    notes: fields.notes,
+    createdBy: userId
+  });
+};
+
+/**
+ * Summarise input tax credit on purchase bills for GSTR-3B
+ * @param {Array} bills - Recorded PurchaseBill documents
+ * @returns {object} - { inwardReverseCharge (3.1(d) liability), itc: { reverseCharge (4A(3)),
+ *   allOther (4A(5)), ineligible (4D), net (4C) } }
+ */
+const summarizeItc = (bills) => {
+  const addBill = (totals, bill) => {
+    totals.count += 1;
+    totals.taxableValue += bill.subtotal || 0;
+    TAX_HEADS.forEach(head => { totals[head] += bill[head] || 0; });
+  };
+  const emptyTotals = () => ({ count: 0, taxableValue: 0, ...emptyTax() });
+
+  const inwardReverseCharge = emptyTotals();
+  const itc = { reverseCharge: emptyTotals(), allOther: emptyTotals(), ineligible: emptyTotals() };
+
+  bills.forEach(bill => {
+    if (bill.reverseCharge) addBill(inwardReverseCharge, bill);
+    if ((bill.totalGST || 0) + (bill.cess || 0) === 0) return;
+    if (!bill.itcEligible) {
+      addBill(itc.ineligible, bill);
+    } else {
+      addBill(bill.reverseCharge ? itc.reverseCharge : itc.allOther, bill);
+    }
+  });
+
+  itc.net = emptyTax();
+  TAX_HEADS.forEach(head => {
+    itc.net[head] = round2(itc.reverseCharge[head] + itc.allOther[head]);
+    [inwardReverseCharge, itc.reverseCharge, itc.allOther, itc.ineligible].forEach(totals => {
+      totals[head] = round2(totals[head]);
+    });
+  });
+  [inwardReverseCharge, itc.reverseCharge, itc.allOther, itc.ineligible].forEach(totals => {
+    totals.taxableValue = round2(totals.taxableValue);
+  });
+
+  return { inwardReverseCharge, itc };
+};
+
+/**
+ * Set input tax credit off against output tax in the order the GST rules require:
+ * IGST credit goes first against IGST, then CGST, then SGST; CGST and SGST credit
+ * go against their own head and then IGST. CGST and SGST never cross, and cess
+ * credit only pays cess.
+ * @param {object} liability - Output tax { igst, cgst, sgst, cess }
+ * @param {object} credit - ITC available { igst, cgst, sgst, cess }
+ * @returns {object} - { paidThroughItc, payableInCash, creditCarriedForward }, each { igst, cgst, sgst, cess }
+ */
+const setOffItc = (liability, credit) => {
+  const due = emptyTax();
+  const available = emptyTax();
+  TAX_HEADS.forEach(head => {
+    due[head] = Math.max(round2(liability[head]), 0);
+    available[head] = Math.max(round2(credit[head]), 0);
+  });
+  const paidThroughItc = emptyTax();
+
+  const use = (creditHead, liabilityHead) => {
+    const amount = Math.min(available[creditHead], due[liabilityHead]);
+    available[creditHead] = round2(available[creditHead] - amount);
+    due[liabilityHead] = round2(due[liabilityHead] - amount);
+    paidThroughItc[liabilityHead] = round2(paidThroughItc[liabilityHead] + amount);
+  };
+
+  ['igst', 'cgst', 'sgst'].forEach(head => use('igst', head));
+  use('cgst', 'cgst');
+  use('cgst', 'igst');
+  use('sgst', 'sgst');
+  use('sgst', 'igst');
+  use('cess', 'cess');
+
+  return { paidThroughItc, payableInCash: due, creditCarriedForward: available };
+};
+
+/**
+ * Unit cost of products: the weighted average cost over recorded purchase bills up
+ * to a date, or the product's purchase price when it has never been bought on a bill.
+ * Tax that cannot be claimed as ITC is part of the cost.
+ * @param {string} businessId - Business ID
+ * @param {Array} productIds - Product IDs
+ * @param {Date} endDate - Only bills on or before this date count
+ * @returns {Promise<Map>} - Product ID string → unit cost
+ */
+const getProductUnitCosts = async (businessId, productIds, endDate) => {
+  const ids = [...new Set(productIds.map(String))];
+  const bills = await PurchaseBill.find({
+    businessId,
+    status: 'recorded',
+    billDate: { $lte: endDate },
+    'items.productId': { $in: ids }
+  }).select('items itcEligible').lean();
+
+  const purchased = {};
+  bills.forEach(bill => {
+    bill.items.forEach(item => {
+      const key = item.productId.toString();
+      if (!ids.includes(key) || !(item.quantity > 0)) return;
+      const cost = (item.itemTotal || 0) + (bill.itcEligible ? 0 : (item.itemGST || 0) + (item.cess || 0));
+      purchased[key] = purchased[key] || { quantity: 0, cost: 0 };
+      purchased[key].quantity += item.quantity;
+      purchased[key].cost += cost;
+    });
+  });
+
+  const products = await Product.find({ _id: { $in: ids }, businessId }).select('purchasePrice').lean();
+  const costs = new Map();
+  products.forEach(product => {
+    const key = product._id.toString();
+    costs.set(key, purchased[key]
+      ? purchased[key].cost / purchased[key].quantity
+      : product.purchasePrice || 0);
+  });
+  return costs;
+};
+
+module.exports = {
+  SUPPLIER_GST_TREATMENTS,
+  getSupplierGstTreatment,
+  validateSupplierGstTreatment,
+  purchaseChargesGst,
+  validatePurchaseItems,
+  validateBillRoundOff,
+  findRecordedBill,
+  getPurchaseItemDetails,
+  calculatePurchaseTotals,
+  createPurchaseBill,
+  summarizeItc,
+  setOffItc,
+  getProductUnitCosts
+};
@@ -0,0 +1,268 @@
+// Thermal receipt utilities: compact invoices for 58mm and 80mm counter printers
+const PDFDocument = require('pdfkit');
+const { groupItemsByRate, isInterStateDocument } = require('./gstr1');
+const { formatAmount, formatDate } = require('./pdfGenerator');
+
+// Paper width and characters per line (Font A) of each roll size
+const RECEIPT_WIDTHS = {
+  58: { paperWidth: 164, columns: 32 },
+  80: { paperWidth: 227, columns: 48 }
+};
+
+// Courier at this size fits the printer's characters per line on the PDF
+const PDF_FONT_SIZE = 7;
+const PDF_LINE_HEIGHT = 8.5;
+const PDF_MARGIN = 10;
+
+const TAX_HEAD_LABELS = { cgst: 'CGST', sgst: 'SGST', igst: 'IGST', cess: 'Cess' };
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const ESCPOS = {
+  init: [ESC, 0x40],
+  align: { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1] },
+  bold: (on) => [ESC, 0x45, on ? 1 : 0],
+  // Double width and height
+  size: (large) => [GS, 0x21, large ? 0x11 : 0],
+  // Feed and partial cut
+  cut: [GS, 0x56, 0x42, 0x00]
+};
+
+// Printers only have ASCII in every code page; accents are dropped and anything else replaced
+const toAscii = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * Wrap text to lines of at most width characters, breaking long words
+ * @param {string} text - Text to wrap
+ * @param {number} width - Characters per line
+ * @returns {Array<string>}
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+  String(text || '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= width) {
+        line = `${line} ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    if (line) lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Left text and right-aligned text on one line; the right text moves to its own
+ * line when both do not fit
+ * @param {string} left - Left text
+ * @param {string} right - Right text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>}
+ */
+const twoColumns = (left, right, width) => {
+  if (left.length + 1 + right.length <= width) {
+    return [left + right.padStart(width - left.length)];
+  }
+  return [...wrapText(left, width), right.padStart(width)];
+};
+
+/**
+ * Column widths for a table whose every value fits with a space between columns;
+ * the first column takes any width left over
+ * @param {Array<string>} headers - Header cells
+ * @param {Array<Array<string>>} rows - Body cells
+ * @param {number} width - Characters per line
+ * @returns {Array<number>|null} - Widths, or null when the table is too wide for the line
+ */
+const tableWidths = (headers, rows, width) => {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => row[index].length)) +
+    (index === 0 ? 0 : 1));
+  const total = widths.reduce((sum, columnWidth) => sum + columnWidth, 0);
+  if (total > width) return null;
+  widths[0] += width - total;
+  return widths;
+};
+
+/**
+ * Fixed-width columns, the first left-aligned and the rest right-aligned
+ * @param {Array<string>} values - Cell values
+ * @param {Array<number>} widths - Column widths in characters, wide enough for the values
+ * @returns {string}
+ */
+const tableRow = (values, widths) => values
+  .map((value, index) => (index === 0
+    ? String(value).padEnd(widths[index])
+    : String(value).padStart(widths[index])))
+  .join('');
+
+/**
+ * Lay out a receipt as lines of text, shared by the PDF and ESC/POS outputs
+ * @param {object} receiptData - Invoice data object
+ * @param {number} columns - Characters per line
+ * @returns {Array} - [{ text, align, bold, large }]
+ */
+const buildReceiptLines = (receiptData, columns) => {
+  const lines = [];
+  const add = (texts, options = {}) => {
+    [].concat(texts).forEach(text => lines.push({ text: toAscii(text), align: 'left', ...options }));
+  };
+  const rule = () => add('-'.repeat(columns));
+  const business = receiptData.business || {};
+  const customer = receiptData.customer || {};
+
+  // Business header; large text is double width, so half as many characters fit
+  add(wrapText(business.name || 'Business Name', Math.floor(columns / 2)), { align: 'center', bold: true, large: true });
+  add(wrapText(business.address, columns), { align: 'center' });
+  if (business.phone) add(`Phone: ${business.phone}`, { align: 'center' });
+  if (business.gstNumber) add(`GSTIN: ${business.gstNumber}`, { align: 'center', bold: true });
+  rule();
+
+  add((receiptData.title || 'Tax Invoice').toUpperCase(), { align: 'center', bold: true });
+  add(twoColumns(`No: ${receiptData.invoiceNumber || 'N/A'}`, formatDate(receiptData.date || new Date()), columns));
+  if (customer.name) add(wrapText(`Customer: ${customer.companyName || customer.name}`, columns));
+  if (customer.gstin) add(`GSTIN: ${customer.gstin}`);
+  if (receiptData.placeOfSupply) add(wrapText(`Place of Supply: ${receiptData.placeOfSupply}`, columns));
+  rule();
+
+  // Items: name, then HSN, quantity x rate and amount
+  add(twoColumns('HSN  Qty x Rate', 'Amount', columns), { bold: true });
+  rule();
+  (receiptData.items || []).forEach(item => {
+    const grossAmount = item.grossAmount || item.itemTotal;
+    add(wrapText(item.productName || item.name || 'Item', columns));
+    const quantity = `${item.quantity}${item.unit ? ` ${item.unit}` : ''}`;
+    add(twoColumns(`${item.hsnCode || '-'}  ${quantity} x ${formatAmount(item.unitPrice)}`, formatAmount(grossAmount), columns));
+    if (item.discountAmount) {
+      add(twoColumns('  Discount', `-${formatAmount(item.discountAmount)}`, columns));
+    }
+  });
+  rule();
+
+  // Rate-wise tax split. Amounts are never cut short: when a row does not fit the
+  // roll, each rate's amounts go on lines of their own.
+  const rateRows = groupItemsByRate(receiptData);
+  const taxHeads = isInterStateDocument(receiptData) ? ['igst'] : ['cgst', 'sgst'];
+  if (rateRows.some(row => row.cess > 0)) taxHeads.push('cess');
+  const headers = ['GST%', 'Taxable', ...taxHeads.map(head => TAX_HEAD_LABELS[head])];
+  const rows = rateRows.map(row => [
+    `${row.rate}%`,
+    formatAmount(row.taxableValue),
+    ...taxHeads.map(head => formatAmount(row[head]))
+  ]);
+  const widths = tableWidths(headers, rows, columns);
+  if (widths) {
+    add(tableRow(headers, widths), { bold: true });
+    rows.forEach(row => add(tableRow(row, widths)));
+  } else {
+    rows.forEach(row => {
+      add(`GST ${row[0]}`, { bold: true });
+      row.slice(1).forEach((amount, index) => add(twoColumns(`  ${headers[index + 1]}`, amount, columns)));
+    });
+  }
+  rule();
+
+  // Totals
+  const totals = [];
+  if (receiptData.totalDiscount > 0) {
+    totals.push(['Gross Amount', receiptData.grossTotal]);
+    totals.push(['Discount', -receiptData.totalDiscount]);
+  }
+  totals.push(['Taxable Value', receiptData.subtotal]);
+  [['CGST', receiptData.cgst], ['SGST', receiptData.sgst], ['IGST', receiptData.igst], ['Cess', receiptData.cess]]
+    .filter(([, amount]) => amount > 0)
+    .forEach(total => totals.push(total));
+  if (receiptData.roundOff) {
+    totals.push(['Round Off', receiptData.roundOff]);
+  }
+  totals.forEach(([label, amount]) => {
+    add(twoColumns(label, `${amount < 0 ? '-' : ''}${formatAmount(Math.abs(amount))}`, columns));
+  });
+  add(twoColumns('GRAND TOTAL', `Rs. ${formatAmount(receiptData.grandTotal)}`, columns), { bold: true });
+  rule();
+
+  if (receiptData.declaration) {
+    add(wrapText(receiptData.declaration, columns));
+  }
+  add(wrapText(receiptData.footerText || 'Thank you! Visit again.', columns), { align: 'center' });
+  return lines;
+};
+
+/**
+ * Generate a receipt as a PDF one roll wide and as long as its content
+ * @param {object} receiptData - Invoice data object
+ * @param {number} width - Roll width in mm (58 or 80)
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const generateReceiptPDF = (receiptData, width) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const { paperWidth, columns } = RECEIPT_WIDTHS[width];
+      const lines = buildReceiptLines(receiptData, columns);
+      const height = lines.reduce((sum, line) => sum + PDF_LINE_HEIGHT * (line.large ? 2 : 1), 0) + PDF_MARGIN * 2;
+      const doc = new PDFDocument({ size: [paperWidth, height], margin: PDF_MARGIN });
+      const buffers = [];
+
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => {
+        const pdfBuffer = Buffer.concat(buffers);
+        resolve(pdfBuffer);
+      });
+      doc.on('error', reject);
+
+      const textWidth = paperWidth - PDF_MARGIN * 2;
+      let y = PDF_MARGIN;
+      lines.forEach(line => {
+        doc.font(line.bold ? 'Courier-Bold' : 'Courier')
+          .fontSize(PDF_FONT_SIZE * (line.large ? 2 : 1))
+          .text(line.text, PDF_MARGIN, y, { width: textWidth, align: line.align, lineBreak: false });
+        y += PDF_LINE_HEIGHT * (line.large ? 2 : 1);
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate a receipt as raw ESC/POS commands, to send straight to the printer
+ * @param {object} receiptData - Invoice data object
+ * @param {number} width - Roll width in mm (58 or 80)
+ * @returns {Buffer} - ESC/POS byte stream
+ */
+const generateReceiptEscPos = (receiptData, width) => {
+  const { columns } = RECEIPT_WIDTHS[width];
+  const bytes = [...ESCPOS.init];
+  buildReceiptLines(receiptData, columns).forEach(line => {
+    bytes.push(...ESCPOS.align[line.align], ...ESCPOS.bold(line.bold), ...ESCPOS.size(line.large));
+    bytes.push(...Buffer.from(line.text, 'ascii'), 0x0a);
+  });
+  bytes.push(...ESCPOS.align.left, ...ESCPOS.bold(false), ...ESCPOS.size(false));
+  bytes.push(0x0a, 0x0a, 0x0a, ...ESCPOS.cut);
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  RECEIPT_WIDTHS,
+  buildReceiptLines,
+  generateReceiptPDF,
+  generateReceiptEscPos
+};
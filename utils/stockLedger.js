@@ -0,0 +1,240 @@
+// Stock ledger utilities: every change to product stock goes through here and is recorded
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const WarehouseStock = require('../models/WarehouseStock');
+const { getDefaultWarehouse, changeWarehouseStock } = require('./warehouses');
+
+const STOCK_MOVEMENT_TYPES = {
+  opening: 'Opening stock',
+  purchase: 'Purchase',
+  sale: 'Sale',
+  return: 'Sales return',
+  adjustment: 'Adjustment',
+  wastage: 'Wastage',
+  transfer: 'Transfer'
+};
+
+// Movements recorded by hand; sales and returns come from invoices and credit notes
+const MANUAL_MOVEMENT_TYPES = ['opening', 'purchase', 'adjustment', 'wastage'];
+
+// Movements that do not name a warehouse go to the default one, once the business has warehouses
+const movementWarehouseId = async (businessId, warehouseId) => {
+  if (warehouseId) return warehouseId;
+  const warehouse = await getDefaultWarehouse(businessId);
+  return warehouse ? warehouse._id : null;
+};
+
+// Apply a movement to warehouse stock; the fields returned go on the movement
+const moveWarehouseStock = async (businessId, warehouseId, productId, quantity) => {
+  const location = await movementWarehouseId(businessId, warehouseId);
+  if (!location) return {};
+  const stock = await changeWarehouseStock(businessId, location, productId, quantity);
+  return { warehouseId: location, warehouseBalance: stock.quantity };
+};
+
+// Record a movement whose product stock change is already made. Without transactions the
+// three writes are separate, so when the warehouse or movement write fails the stock
+// changes are taken back, leaving product stock, warehouse stock and the ledger in step.
+const completeStockMovement = async (product, { businessId, productId, quantity, warehouseId, userId, ...details }) => {
+  let location = null;
+  try {
+    location = await moveWarehouseStock(businessId, warehouseId, productId, quantity);
+    return await StockMovement.create({
+      ...details,
+      ...location,
+      businessId,
+      productId,
+      quantity,
+      balance: product.stock,
+      createdBy: userId
+    });
+  } catch (error) {
+    await Product.updateOne({ _id: productId, businessId }, { $inc: { stock: -quantity } });
+    if (location && location.warehouseId) {
+      await changeWarehouseStock(businessId, location.warehouseId, productId, -quantity);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change a product's stock by a quantity and record the movement
+ * @param {object} movement - { businessId, productId, type, quantity (negative for stock out),
+ *   warehouseId (default warehouse when omitted), referenceType, referenceId, referenceNumber, reason, userId }
+ * @returns {Promise<object|null>} - { product, movement }, or null if the product no longer exists
+ */
+const recordStockMovement = async ({ businessId, productId, quantity, warehouseId, userId, ...details }) => {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, businessId },
+    { $inc: { stock: quantity } },
+    { new: true }
+  );
+  if (!product) return null;
+
+  const movement = await completeStockMovement(product, { ...details, businessId, productId, quantity, warehouseId, userId });
+  return { product, movement };
+};
+
+/**
+ * Set a product's stock to a counted level and record the difference. With a warehouse,
+ * the count is of that warehouse's stock; without one, of the product's total stock,
+ * with the difference going to the default warehouse.
+ * @param {object} movement - { businessId, productId, stock, warehouseId, type, referenceType, reason, userId }
+ * @returns {Promise<object|null>} - { product, movement }; movement is null when the stock was already at that level
+ */
+const setStockLevel = async ({ businessId, productId, stock, warehouseId, userId, ...details }) => {
+  if (warehouseId) {
+    const row = await WarehouseStock.findOne({ warehouseId, productId });
+    const quantity = stock - (row ? row.quantity : 0);
+    if (quantity === 0) {
+      const product = await Product.findOne({ _id: productId, businessId });
+      return product ? { product, movement: null } : null;
+    }
+    return recordStockMovement({ ...details, businessId, productId, quantity, warehouseId, userId });
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, businessId },
+    { $set: { stock } },
+    { new: false }
+  );
+  if (!product) return null;
+
+  const quantity = stock - (product.stock || 0);
+  product.stock = stock;
+  if (quantity === 0) {
+    return { product, movement: null };
+  }
+
+  const movement = await completeStockMovement(product, { ...details, businessId, productId, quantity, userId });
+  return { product, movement };
+};
+
+/**
+ * Record the opening stock of newly created products, whose stock is already set
+ * @param {Array} products - Product documents of one business
+ * @param {object} details - { referenceType, warehouseId (default warehouse when omitted), userId }
+ * @returns {Promise<Array>} - Movements created
+ */
+const recordOpeningStock = async (products, { referenceType, warehouseId, userId }) => {
+  const stocked = products.filter(product => product.stock > 0);
+  if (stocked.length === 0) return [];
+
+  const location = await movementWarehouseId(stocked[0].businessId, warehouseId);
+  const movements = [];
+  for (const product of stocked) {
+    const movement = {
+      businessId: product.businessId,
+      productId: product._id,
+      type: 'opening',
+      quantity: product.stock,
+      balance: product.stock,
+      referenceType,
+      createdBy: userId
+    };
+    if (location) {
+      const stock = await changeWarehouseStock(product.businessId, location, product._id, product.stock);
+      movement.warehouseId = location;
+      movement.warehouseBalance = stock.quantity;
+    }
+    movements.push(movement);
+  }
+  return StockMovement.insertMany(movements);
+};
+
+/**
+ * Move stock of a product from one warehouse to another, recording the stock going
+ * out of one and into the other. The product's total stock is unchanged.
+ * @param {object} transfer - { businessId, productId, quantity, fromWarehouseId, toWarehouseId,
+ *   referenceType, referenceId, referenceNumber, reason, userId }
+ * @returns {Promise<Array|null>} - [out, in] movements, or null if the product no longer exists
+ *   or the source warehouse does not hold the quantity
+ */
+const transferStock = async ({ businessId, productId, quantity, fromWarehouseId, toWarehouseId, userId, ...details }) => {
+  const product = await Product.findOne({ _id: productId, businessId });
+  if (!product) return null;
+
+  const source = await WarehouseStock.findOneAndUpdate(
+    { warehouseId: fromWarehouseId, productId, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity } },
+    { new: true }
+  );
+  if (!source) return null;
+
+  // As with other movements, a failed write takes back the stock already moved
+  let destination = null;
+  try {
+    destination = await changeWarehouseStock(businessId, toWarehouseId, productId, quantity);
+    const movement = { ...details, businessId, productId, type: 'transfer', balance: product.stock, createdBy: userId };
+    return await StockMovement.insertMany([
+      { ...movement, quantity: -quantity, warehouseId: fromWarehouseId, warehouseBalance: source.quantity },
+      { ...movement, quantity, warehouseId: toWarehouseId, warehouseBalance: destination.quantity }
+    ]);
+  } catch (error) {
+    await changeWarehouseStock(businessId, fromWarehouseId, productId, quantity);
+    if (destination) {
+      await changeWarehouseStock(businessId, toWarehouseId, productId, -quantity);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Stock card of a product: opening balance, each movement in the period, and closing balance
+ * @param {string} businessId - Business ID
+ * @param {string} productId - Product ID
+ * @param {Date} startDate - Period start
+ * @param {Date} endDate - Period end
+ * @returns {Promise<object|null>} - Stock card, or null if the product is not found
+ */
+const getStockCard = async (businessId, productId, startDate, endDate) => {
+  const product = await Product.findOne({ _id: productId, businessId })
+    .select('businessId name sku unit stock');
+  if (!product) return null;
+
+  // Opening balance is the balance after the last earlier movement. Products whose
+  // stock predates the ledger have none, so it is worked back from current stock.
+  const previous = await StockMovement.findOne({ businessId, productId, date: { $lt: startDate } })
+    .sort({ date: -1, _id: -1 });
+  let openingBalance;
+  if (previous) {
+    openingBalance = previous.balance;
+  } else {
+    // aggregate does not cast IDs, so the product's own ObjectIds are used
+    const [since] = await StockMovement.aggregate([
+      { $match: { businessId: product.businessId, productId: product._id, date: { $gte: startDate } } },
+      { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]);
+    openingBalance = product.stock - (since ? since.quantity : 0);
+  }
+
+  const movements = await StockMovement.find({ businessId, productId, date: { $gte: startDate, $lte: endDate } })
+    .populate('createdBy', 'name')
+    .sort({ date: 1, _id: 1 });
+
+  const inward = movements.filter(movement => movement.quantity > 0)
+    .reduce((sum, movement) => sum + movement.quantity, 0);
+  const outward = movements.filter(movement => movement.quantity < 0)
+    .reduce((sum, movement) => sum - movement.quantity, 0);
+
+  return {
+    product,
+    startDate,
+    endDate,
+    openingBalance,
+    inward,
+    outward,
+    closingBalance: movements.length > 0 ? movements[movements.length - 1].balance : openingBalance,
+    movements
+  };
+};
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  recordStockMovement,
+  setStockLevel,
+  recordOpeningStock,
+  transferStock,
+  getStockCard
+};
@@ -0,0 +1,56 @@
+// UPI utilities: payment deep links customers can scan to pay an invoice
+const QRCode = require('qrcode');
+const { getOutstandingAmount } = require('./invoicePayments');
+
+// Virtual payment address: handle@psp, e.g. bizTraders@okhdfcbank
+const UPI_VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z]{2,64}$/;
+
+/**
+ * Build a upi://pay deep link
+ * @param {object} params - { vpa, payeeName, amount, note }
+ * @returns {string}
+ */
+const buildUpiPaymentLink = ({ vpa, payeeName, amount, note }) => {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', amount !== undefined ? Number(amount).toFixed(2) : undefined],
+    ['cu', 'INR'],
+    ['tn', note]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+  // Some UPI apps do not decode %40, so the @ of the VPA is left as is
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+};
+
+/**
+ * UPI link for the balance due on an invoice, with the invoice number as the note
+ * @param {object} invoice - Invoice document
+ * @param {string} vpa - Business UPI VPA
+ * @param {string} payeeName - Business name
+ * @returns {object|null} - { vpa, amount, link }, or null when there is nothing to collect
+ */
+const getInvoiceUpiPayment = (invoice, vpa, payeeName) => {
+  const amount = getOutstandingAmount(invoice);
+  if (!vpa || amount <= 0 || invoice.status === 'cancelled') {
+    return null;
+  }
+  return {
+    vpa,
+    amount,
+    link: buildUpiPaymentLink({ vpa, payeeName, amount, note: invoice.invoiceNumber })
+  };
+};
+
+/**
+ * QR code of a UPI link as a PNG, for showing on screen
+ * @param {string} link - upi://pay link
+ * @returns {Promise<Buffer>} - PNG image
+ */
+const generateUpiQR = (link) => QRCode.toBuffer(link, { errorCorrectionLevel: 'M', margin: 2, width: 300 });
+
+module.exports = {
+  UPI_VPA_PATTERN,
+  buildUpiPaymentLink,
+  getInvoiceUpiPayment,
+  generateUpiQR
+};
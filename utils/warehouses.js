@@ -0,0 +1,139 @@
+// Warehouse utilities: stock held at each location of a business
+const Product = require('../models/Product');
+const ProductBatch = require('../models/ProductBatch');
+const Warehouse = require('../models/Warehouse');
+const WarehouseStock = require('../models/WarehouseStock');
+
+/**
+ * Get the warehouse stock goes to when a document does not name one
+ * @param {string} businessId - Business ID
+ * @returns {Promise<object|null>} - Warehouse document, or null when the business has no warehouses
+ */
+const getDefaultWarehouse = (businessId) => Warehouse.findOne({ businessId, isDefault: true });
+
+/**
+ * Find the warehouse a document chose, or the default one when it chose none
+ * @param {string} businessId - Business ID
+ * @param {string} warehouseId - Warehouse ID from the request (optional)
+ * @returns {Promise<object>} - { warehouse } (null when the business has no warehouses) or { error }
+ */
+const resolveWarehouse = async (businessId, warehouseId) => {
+  if (!warehouseId) {
+    return { warehouse: await getDefaultWarehouse(businessId) };
+  }
+  const warehouse = await Warehouse.findOne({ _id: warehouseId, businessId });
+  if (!warehouse) return { error: 'Warehouse not found' };
+  if (!warehouse.isActive) return { error: `Warehouse ${warehouse.name} is inactive` };
+  return { warehouse };
+};
+
+/**
+ * Change a product's stock at a warehouse
+ * @param {string} businessId - Business ID
+ * @param {string} warehouseId - Warehouse ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Change in stock (negative for stock out)
+ * @returns {Promise<object>} - WarehouseStock document after the change
+ */
+const changeWarehouseStock = (businessId, warehouseId, productId, quantity) =>
+  WarehouseStock.findOneAndUpdate(
+    { warehouseId, productId },
+    { $inc: { quantity }, $setOnInsert: { businessId } },
+    { new: true, upsert: true }
+  );
+
+/**
+ * Stock of products at a warehouse
+ * @param {string} warehouseId - Warehouse ID
+ * @param {Array} productIds - Product IDs (optional; all products at the warehouse when omitted)
+ * @returns {Promise<Map>} - Product ID -> WarehouseStock document
+ */
+const getWarehouseStock = async (warehouseId, productIds) => {
+  const query = { warehouseId };
+  if (productIds) query.productId = { $in: productIds };
+  const rows = await WarehouseStock.find(query);
+  return new Map(rows.map(row => [row.productId.toString(), row]));
+};
+
+/**
+ * Check that stock about to leave is there, at the warehouse when there is one and
+ * otherwise in the product's total stock. Warehouse stock has no floor of its own, so
+ * this is checked wherever stock goes out.
+ * @param {string} businessId - Business ID
+ * @param {object|null} warehouse - Warehouse document (null when the business has no warehouses)
+ * @param {Array} items - [{ productId, productName, quantity }]; a product may be on several lines
+ * @returns {Promise<string|null>} - Error message for the first product short of stock, or null
+ */
+const findStockShortfall = async (businessId, warehouse, items) => {
+  const needed = new Map();
+  items.forEach(item => {
+    const key = item.productId.toString();
+    const line = needed.get(key) || { productName: item.productName, quantity: 0 };
+    line.quantity += Number(item.quantity);
+    needed.set(key, line);
+  });
+
+  const productIds = [...needed.keys()];
+  const available = new Map();
+  if (warehouse) {
+    const stock = await getWarehouseStock(warehouse._id, productIds);
+    stock.forEach((row, key) => available.set(key, row.quantity));
+  } else {
+    const products = await Product.find({ _id: { $in: productIds }, businessId }).select('stock');
+    products.forEach(product => available.set(product._id.toString(), product.stock));
+  }
+
+  for (const [key, line] of needed) {
+    const quantity = Math.max(available.get(key) || 0, 0);
+    if (line.quantity > quantity) {
+      const productName = line.productName || 'an item';
+      return warehouse
+        ? `${warehouse.name} has only ${quantity} of ${productName}`
+        : `Only ${quantity} of ${productName} is in stock`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Stock level and low-stock level of a product at a warehouse. The warehouse's own
+ * minimum applies when set, otherwise the product's.
+ * @param {object} product - Product document
+ * @param {object} row - WarehouseStock document (undefined when the warehouse never held the product)
+ * @returns {object} - { stock, minStock }
+ */
+const warehouseStockLevel = (product, row) => ({
+  stock: row ? row.quantity : 0,
+  minStock: row && row.minStock !== undefined && row.minStock !== null ? row.minStock : (product.minStock || 0)
+});
+
+/**
+ * Put all current stock of a business, and its batches, in its first warehouse, so
+ * warehouse stock adds up to product stock from the start
+ * @param {object} warehouse - Warehouse document
+ * @returns {Promise<void>}
+ */
+const seedWarehouseStock = async (warehouse) => {
+  await ProductBatch.updateMany(
+    { businessId: warehouse.businessId, warehouseId: null },
+    { $set: { warehouseId: warehouse._id } }
+  );
+  const products = await Product.find({ businessId: warehouse.businessId, stock: { $ne: 0 } }).select('stock');
+  if (products.length === 0) return;
+  await WarehouseStock.insertMany(products.map(product => ({
+    businessId: warehouse.businessId,
+    warehouseId: warehouse._id,
+    productId: product._id,
+    quantity: product.stock
+  })));
+};
+
+module.exports = {
+  getDefaultWarehouse,
+  resolveWarehouse,
+  changeWarehouseStock,
+  getWarehouseStock,
+  findStockShortfall,
+  warehouseStockLevel,
+  seedWarehouseStock
+};